@@ -1,6 +1,8 @@
 const db = require('../db');
 const broadcaster = require('../websocket/broadcaster');
 const alertStateManager = require('../services/alert.state.manager');
+const notificationService = require('../services/notification.service');
+const incidentService = require('../services/incident.service');
 
 /**
  * Service to handle alert-related database operations and real-time triggers
@@ -77,6 +79,35 @@ class AlertService {
     this.activeAlertsCache.delete(key);
   }
 
+  /**
+   * Rebuild the cache from unresolved alerts after a restart
+   * Entries keep their real age so the 5-minute deduplication window is unchanged
+   */
+  async hydrateCache() {
+    const query = `
+      SELECT DISTINCT ON (vehicle_id, alert_type)
+        alert_id,
+        vehicle_id,
+        alert_type,
+        EXTRACT(EPOCH FROM (NOW() - created_at)) * 1000 as age_ms
+      FROM alerts
+      WHERE resolved_at IS NULL
+      AND created_at >= NOW() - INTERVAL '5 minutes'
+      ORDER BY vehicle_id, alert_type, created_at DESC
+    `;
+    const { rows } = await db.query(query);
+    const now = Date.now();
+
+    rows.forEach(row => {
+      this.activeAlertsCache.set(this.getCacheKey(row.vehicle_id, row.alert_type), {
+        alertId: row.alert_id,
+        createdAt: now - Math.max(parseFloat(row.age_ms), 0)
+      });
+    });
+
+    return rows.length;
+  }
+
   /**
    * Clean up expired cache entries
    */
@@ -107,8 +138,10 @@ class AlertService {
 
   /**
    * Create a new alert and broadcast it
+   * context carries the vehicle's recent history for window-based messages
    */
-  async createAlert(vehicleId, rule, data) {
+  async createAlert(vehicleId, rule, data, context) {
+    const message = rule.message(data, context);
     const query = `
       INSERT INTO alerts (vehicle_id, alert_type, severity, message, data)
       VALUES ($1, $2, $3, $4, $5)
@@ -118,7 +151,7 @@ class AlertService {
       vehicleId,
       rule.type,
       rule.severity,
-      rule.message(data),
+      message,
       JSON.stringify(data)
     ];
 
@@ -130,7 +163,7 @@ class AlertService {
       vehicle_id: vehicleId,
       alert_type: rule.type,
       severity: rule.severity,
-      message: rule.message(data)
+      message
     });
 
     // Add to cache for fast deduplication
@@ -141,6 +174,20 @@ class AlertService {
     if (stateResult.shouldNotify) {
       this.broadcastAlert(alert, stateResult.visualImpact);
     }
+
+    // Fan out to webhook/email channels without holding up the caller
+    notificationService.notifyAlert(alert).catch(err => {
+      console.error('[Notifications] Failed to queue deliveries:', err.message);
+    });
+
+    // Group with related alerts into an incident
+    incidentService.correlate(alert).catch(err => {
+      console.error('[Incidents] Correlation failed:', err.message);
+    });
+
+    // Tell the vehicle over MQTT (required here: the bridge depends on the ingestion pipeline)
+    const mqttBridge = require('../services/mqtt.bridge.service');
+    mqttBridge.publishAlert(alert);
     
     return alert;
   }
@@ -177,7 +224,7 @@ class AlertService {
 
   /**
    * Resolve an existing alert
-   * Also removes from cache
+   * Also removes from cache and resolves incidents left with no open alerts
    */
   async resolveAlert(vehicleId, alertType) {
     const query = `
@@ -186,6 +233,7 @@ class AlertService {
       WHERE vehicle_id = $1
       AND alert_type = $2
       AND resolved_at IS NULL
+      RETURNING incident_id
     `;
     const result = await db.query(query, [vehicleId, alertType]);
 
@@ -194,6 +242,14 @@ class AlertService {
 
     if (result.rowCount > 0) {
       this.stats.alertsResolved++;
+
+      const mqttBridge = require('../services/mqtt.bridge.service');
+      mqttBridge.publishAlertResolved(vehicleId, alertType);
+    }
+
+    const incidentIds = [...new Set(result.rows.map(r => r.incident_id).filter(Boolean))];
+    if (incidentIds.length > 0) {
+      await incidentService.resolveCleared(incidentIds);
     }
   }
 
@@ -1,33 +1,152 @@
 const ALERT_RULES = require('./rules');
+const { compileRule } = require('./rule.compiler');
 const alertService = require('./alert.service');
+const ruleState = require('./rule.state');
+const telemetryWindow = require('./telemetry.window');
+const alertRuleService = require('../services/alert.rule.service');
+const vehicleProfileService = require('../services/vehicle.profile.service');
+const baselineService = require('../services/baseline.service');
+const suppressionService = require('../services/suppression.service');
 
 /**
  * Engine to evaluate alert rules against incoming telemetry
  */
 class AlertEvaluator {
+  constructor() {
+    // Active rule set grouped by alert type
+    // Structure: Array<{ type, rules: Array<compiled rule> }>
+    // Starts with the built-in rules until the database set is loaded
+    this.ruleGroups = [];
+    this.setRules(ALERT_RULES.map(compileRule));
+    this.lastReloadAt = null;
+
+    // Pick up rule changes made by other backend instances
+    this.RULE_RELOAD_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.reloadRules().catch(err => {
+        console.error('[AlertEvaluator] Rule reload failed:', err.message);
+      });
+    }, this.RULE_RELOAD_INTERVAL_MS);
+  }
+
+  /**
+   * Group compiled rules by alert type, preserving evaluation order
+   */
+  groupRules(rules) {
+    const groups = new Map();
+    for (const rule of rules) {
+      if (!groups.has(rule.type)) {
+        groups.set(rule.type, { type: rule.type, rules: [] });
+      }
+      groups.get(rule.type).rules.push(rule);
+    }
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Install a compiled rule set and size the telemetry history to match
+   */
+  setRules(compiled) {
+    this.ruleGroups = this.groupRules(compiled);
+    telemetryWindow.setRetention(compiled.reduce((max, rule) => Math.max(max, rule.windowMs), 0));
+  }
+
+  /**
+   * Replace the active rule set with the enabled rules from the database
+   * Rows that fail to compile are skipped so one bad rule cannot stop evaluation
+   */
+  async reloadRules() {
+    const rows = await alertRuleService.getEnabledRules();
+    const compiled = [];
+
+    for (const row of rows) {
+      try {
+        compiled.push(compileRule(row));
+      } catch (error) {
+        console.error(`[AlertEvaluator] Skipping rule ${row.rule_id}:`, error.message);
+      }
+    }
+
+    this.setRules(compiled);
+    this.lastReloadAt = Date.now();
+    return compiled.length;
+  }
+
+  /**
+   * Check whether a violation streak satisfies the rule's trigger window
+   */
+  isTriggerSatisfied(rule, streak, sampleTime) {
+    return streak.samples >= rule.triggerSamples &&
+      sampleTime - streak.pendingSince >= rule.triggerDurationMs;
+  }
+
+  /**
+   * Check whether every rule in the group allows the alert to clear
+   * Rules without a clear condition clear as soon as they stop matching
+   */
+  isCleared(group, data, context) {
+    return group.rules.every(rule => !rule.clearCondition || rule.clearCondition(data, context));
+  }
+
   /**
    * Evaluate all rules for a given telemetry packet
    */
   async evaluate(telemetry) {
     const { vehicle_id, data } = telemetry;
+    const sampleTime = telemetry.timestamp || Date.now();
+
+    // Record the sample so window functions (delta, slope, ...) can see it
+    telemetryWindow.add(vehicle_id, sampleTime, data);
+    const context = {
+      history: telemetryWindow.getSamples(vehicle_id),
+      now: sampleTime,
+      limits: vehicleProfileService.getLimits(vehicle_id),
+      baselines: baselineService.getBaselines(vehicle_id)
+    };
 
-    for (const rule of ALERT_RULES) {
-      const isViolation = rule.condition(data);
+    for (const group of this.ruleGroups) {
+      const violatedRule = group.rules.find(rule => rule.condition(data, context));
+
+      if (violatedRule) {
+        // 1. Wait until the violation has held for the rule's trigger window
+        const streak = ruleState.recordViolation(vehicle_id, group.type, sampleTime);
+        if (!this.isTriggerSatisfied(violatedRule, streak, sampleTime)) {
+          continue;
+        }
+
+        // 2. Maintenance windows/suppressions record the alert aside instead of raising it
+        // (the rule stays inactive so it fires normally once the window ends)
+        const suppression = suppressionService.findSuppression(vehicle_id, group.type, sampleTime);
+        if (suppression) {
+          await suppressionService.recordSuppressed(suppression, vehicle_id, violatedRule, data, context);
+          continue;
+        }
+
+        // 3. Check for de-duplication
+        const existingAlert = await alertService.getExistingAlert(vehicle_id, group.type);
 
-      if (isViolation) {
-        // 1. Check for de-duplication
-        const existingAlert = await alertService.getExistingAlert(vehicle_id, rule.type);
-        
         if (!existingAlert) {
-          // 2. Create and broadcast new alert
-          await alertService.createAlert(vehicle_id, rule, data);
-          console.log(`Alert Generated: ${rule.type} for ${vehicle_id}`);
+          // 4. Create and broadcast new alert
+          await alertService.createAlert(vehicle_id, violatedRule, data, context);
+          console.log(`Alert Generated: ${group.type} for ${vehicle_id}`);
         }
+        ruleState.setActive(vehicle_id, group.type, true);
       } else {
-        // 3. Auto-resolve if condition is no longer met
-        await alertService.resolveAlert(vehicle_id, rule.type);
+        ruleState.resetStreak(vehicle_id, group.type);
+
+        // 5. Hysteresis: stay open while the value sits between trigger and clear thresholds
+        if (!this.isCleared(group, data, context)) {
+          continue;
+        }
+
+        // 6. Auto-resolve if condition is no longer met
+        await alertService.resolveAlert(vehicle_id, group.type);
+        ruleState.setActive(vehicle_id, group.type, false);
       }
     }
+
+    // Learn from the sample only after it has been judged against the old baseline
+    baselineService.update(vehicle_id, data);
   }
 }
 
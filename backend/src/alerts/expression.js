@@ -0,0 +1,605 @@
+/**
+ * Sandboxed expression language for alert rule conditions
+ *
+ * Expressions are tokenized and parsed into an AST, then interpreted against
+ * the telemetry data object. Nothing is ever passed to eval/Function, only own
+ * properties of the data object can be read, and only whitelisted functions
+ * can be called.
+ *
+ * Examples:
+ *   soc < 20 AND speed > 60
+ *   battery_temp - ambient_temp > 25
+ *   abs(battery_current) > 150 OR NOT (motor_temp <= 80)
+ *   delta(motor_temp, 30) >= 5          (rose 5°C within the last 30 seconds)
+ *   slope(battery_voltage, 10) < -0.3   (falling faster than 0.3 V/s)
+ *   battery_voltage < limits.voltage_warning_low   (per-vehicle model/override limit)
+ *   abs(zscore(motor_temp)) > limits.anomaly_z_score   (deviation from the vehicle's own baseline)
+ *
+ * Grammar (lowest to highest precedence):
+ *   or         := and (('OR' | '||') and)*
+ *   and        := not (('AND' | '&&') not)*
+ *   not        := ('NOT' | '!') not | comparison
+ *   comparison := additive (('<' | '<=' | '>' | '>=' | '==' | '=' | '!=') additive)?
+ *   additive   := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := NUMBER | STRING | TRUE | FALSE | IDENT | IDENT '(' args ')' | '(' or ')'
+ *
+ * Missing data is unknown (null) rather than false: a comparison involving a
+ * missing field is null, and NOT / AND / OR follow three-valued logic (NOT null
+ * is null, false AND null is false, true OR null is true). A condition only
+ * matches when it is true, so missing data never triggers an alert.
+ */
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_NESTING_DEPTH = 32;
+const MAX_WINDOW_SEC = 600;
+
+const KEYWORDS = {
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not',
+  TRUE: 'true',
+  FALSE: 'false'
+};
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+const numeric = (fn) => (...args) => (args.every(isNumber) ? fn(...args) : null);
+
+/**
+ * Whitelisted functions callable from expressions
+ * Structure: { name: { minArgs, maxArgs, fn } }
+ */
+const FUNCTIONS = {
+  abs: { minArgs: 1, maxArgs: 1, fn: numeric(Math.abs) },
+  min: { minArgs: 1, maxArgs: 10, fn: numeric(Math.min) },
+  max: { minArgs: 1, maxArgs: 10, fn: numeric(Math.max) },
+  floor: { minArgs: 1, maxArgs: 1, fn: numeric(Math.floor) },
+  ceil: { minArgs: 1, maxArgs: 1, fn: numeric(Math.ceil) },
+  sqrt: { minArgs: 1, maxArgs: 1, fn: numeric(Math.sqrt) },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: numeric((value, digits = 0) => {
+      const factor = Math.pow(10, digits);
+      return Math.round(value * factor) / factor;
+    })
+  }
+};
+
+/**
+ * Window functions over the vehicle's recent samples
+ * Called as name(field, seconds); each receives the numeric points
+ * [{ t (ms), v }] recorded for that field within the window, oldest first
+ */
+const WINDOW_FUNCTIONS = {
+  delta: (points) => (points.length < 2 ? null : points[points.length - 1].v - points[0].v),
+  slope: (points) => {
+    // Least-squares slope in units per second
+    if (points.length < 2) return null;
+    const n = points.length;
+    const t0 = points[0].t;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    for (const { t, v } of points) {
+      const x = (t - t0) / 1000;
+      sumX += x;
+      sumY += v;
+      sumXY += x * v;
+      sumXX += x * x;
+    }
+    const denominator = n * sumXX - sumX * sumX;
+    return denominator === 0 ? null : (n * sumXY - sumX * sumY) / denominator;
+  },
+  min_over: (points) => (points.length === 0 ? null : Math.min(...points.map(p => p.v))),
+  max_over: (points) => (points.length === 0 ? null : Math.max(...points.map(p => p.v))),
+  avg_over: (points) => (points.length === 0 ? null : points.reduce((sum, p) => sum + p.v, 0) / points.length)
+};
+
+/**
+ * Baseline functions over the vehicle's learned normal for a field
+ * Called as name(field); each receives the current value and the field's
+ * baseline { mean, std, ready } from context.baselines (null until warmed up)
+ */
+const BASELINE_FUNCTIONS = {
+  zscore: (value, baseline) => (isNumber(value) ? (value - baseline.mean) / baseline.std : null),
+  baseline_mean: (value, baseline) => baseline.mean,
+  baseline_std: (value, baseline) => baseline.std
+};
+
+/**
+ * Build a syntax error carrying the character position of the problem
+ */
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} at position ${position}`);
+  error.position = position;
+  error.isExpressionError = true;
+  return error;
+};
+
+/**
+ * Split the source string into tokens
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const rest = source.slice(i);
+
+    const numberMatch = rest.match(/^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const identMatch = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+    if (identMatch) {
+      const word = identMatch[0];
+      const keyword = KEYWORDS[word.toUpperCase()];
+      tokens.push(keyword
+        ? { type: keyword, position: i }
+        : { type: 'identifier', value: word, position: i });
+      i += word.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = source.indexOf(char, i + 1);
+      if (end === -1) {
+        throw syntaxError('Unterminated string literal', i);
+      }
+      tokens.push({ type: 'string', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const operatorMatch = rest.match(/^(>=|<=|==|!=|&&|\|\||[<>=!+\-*/%(),])/);
+    if (operatorMatch) {
+      const op = operatorMatch[0];
+      const aliases = { '&&': 'and', '||': 'or', '!': 'not', '=': '==' };
+      const type = aliases[op] || op;
+      tokens.push(['and', 'or', 'not'].includes(type)
+        ? { type, position: i }
+        : { type: 'operator', value: type, position: i });
+      i += op.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser producing an AST
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(...ops) {
+    const token = this.peek();
+    return token.type === 'operator' && ops.includes(token.value);
+  }
+
+  expectOperator(op) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== op) {
+      throw syntaxError(`Expected "${op}" but found ${this.describe(token)}`, token.position);
+    }
+    return token;
+  }
+
+  describe(token) {
+    if (token.type === 'end') return 'end of expression';
+    if (token.type === 'operator') return `"${token.value}"`;
+    if (token.value !== undefined) return `"${token.value}"`;
+    return `"${token.type.toUpperCase()}"`;
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw syntaxError(`Unexpected ${this.describe(token)}`, token.position);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek().type === 'or') {
+      this.next();
+      left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peek().type === 'and') {
+      this.next();
+      left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peek().type === 'not') {
+      this.next();
+      return this.nested(() => ({ type: 'not', argument: this.parseNot() }));
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    if (this.isOperator('<', '<=', '>', '>=', '==', '!=')) {
+      const op = this.next().value;
+      return { type: 'comparison', op, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseTerm();
+    while (this.isOperator('+', '-')) {
+      const op = this.next().value;
+      left = { type: 'arithmetic', op, left, right: this.parseTerm() };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseUnary();
+    while (this.isOperator('*', '/', '%')) {
+      const op = this.next().value;
+      left = { type: 'arithmetic', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-')) {
+      this.next();
+      return this.nested(() => ({ type: 'negate', argument: this.parseUnary() }));
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'true':
+        return { type: 'literal', value: true };
+      case 'false':
+        return { type: 'literal', value: false };
+      case 'identifier':
+        if (this.isOperator('(')) {
+          return this.parseCall(token);
+        }
+        return { type: 'identifier', name: token.value, path: token.value.split('.') };
+      case 'operator':
+        if (token.value === '(') {
+          const inner = this.nested(() => this.parseOr());
+          this.expectOperator(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw syntaxError(`Unexpected ${this.describe(token)}`, token.position);
+  }
+
+  parseCall(nameToken) {
+    const name = nameToken.value;
+    if (Object.prototype.hasOwnProperty.call(WINDOW_FUNCTIONS, name)) {
+      return this.parseWindowCall(nameToken);
+    }
+    if (Object.prototype.hasOwnProperty.call(BASELINE_FUNCTIONS, name)) {
+      return this.parseBaselineCall(nameToken);
+    }
+
+    const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+    if (!definition) {
+      throw syntaxError(`Unknown function "${name}"`, nameToken.position);
+    }
+
+    this.expectOperator('(');
+    const args = [];
+    if (!this.isOperator(')')) {
+      args.push(this.nested(() => this.parseOr()));
+      while (this.isOperator(',')) {
+        this.next();
+        args.push(this.nested(() => this.parseOr()));
+      }
+    }
+    this.expectOperator(')');
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      const expected = definition.minArgs === definition.maxArgs
+        ? definition.minArgs
+        : `${definition.minArgs}-${definition.maxArgs}`;
+      throw syntaxError(`Function "${name}" expects ${expected} argument(s) but got ${args.length}`, nameToken.position);
+    }
+
+    return { type: 'call', name, args };
+  }
+
+  /**
+   * Window functions take a field name and a literal window size in seconds
+   */
+  parseWindowCall(nameToken) {
+    const name = nameToken.value;
+    this.expectOperator('(');
+
+    const fieldToken = this.next();
+    if (fieldToken.type !== 'identifier') {
+      throw syntaxError(`Function "${name}" expects a telemetry field as its first argument`, fieldToken.position);
+    }
+    this.expectOperator(',');
+
+    const secondsToken = this.next();
+    if (secondsToken.type !== 'number' || secondsToken.value <= 0 || secondsToken.value > MAX_WINDOW_SEC) {
+      throw syntaxError(`Function "${name}" expects a window between 0 and ${MAX_WINDOW_SEC} seconds`, secondsToken.position);
+    }
+    this.expectOperator(')');
+
+    return {
+      type: 'window',
+      name,
+      field: { type: 'identifier', name: fieldToken.value, path: fieldToken.value.split('.') },
+      seconds: secondsToken.value
+    };
+  }
+
+  /**
+   * Baseline functions take a single telemetry field name
+   */
+  parseBaselineCall(nameToken) {
+    const name = nameToken.value;
+    this.expectOperator('(');
+
+    const fieldToken = this.next();
+    if (fieldToken.type !== 'identifier') {
+      throw syntaxError(`Function "${name}" expects a telemetry field as its argument`, fieldToken.position);
+    }
+    this.expectOperator(')');
+
+    return {
+      type: 'baseline',
+      name,
+      field: { type: 'identifier', name: fieldToken.value, path: fieldToken.value.split('.') }
+    };
+  }
+
+  nested(fn) {
+    this.depth++;
+    if (this.depth > MAX_NESTING_DEPTH) {
+      throw syntaxError(`Expression nested deeper than ${MAX_NESTING_DEPTH} levels`, this.peek().position);
+    }
+    const result = fn();
+    this.depth--;
+    return result;
+  }
+}
+
+/**
+ * Parse an expression string into an AST
+ * Throws an Error with isExpressionError and position set on invalid syntax
+ */
+const parseExpression = (source) => {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw syntaxError('Expression is empty', 0);
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw syntaxError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`, MAX_EXPRESSION_LENGTH);
+  }
+  return new Parser(tokenize(source)).parse();
+};
+
+/**
+ * Resolve a (possibly dotted) identifier against own properties of the data object
+ */
+const resolveIdentifier = (path, data) => {
+  let current = data;
+  for (const key of path) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return null;
+    }
+    current = current[key];
+  }
+  return current === undefined ? null : current;
+};
+
+const truthy = (value) => value === true || (isNumber(value) && value !== 0);
+
+/**
+ * Truth value for three-valued logic: true, false, or null (unknown)
+ */
+const truthValue = (value) => (value === null ? null : truthy(value));
+
+/**
+ * Collect the numeric points of a field inside a time window
+ * context.history is the vehicle's [{ timestamp, data }] buffer and
+ * context.now the timestamp of the packet being evaluated
+ */
+const windowPoints = (field, seconds, context) => {
+  if (!context || !context.history) return [];
+  const now = context.now;
+  const from = now - seconds * 1000;
+  const points = [];
+  for (const sample of context.history) {
+    if (sample.timestamp < from || sample.timestamp > now) continue;
+    const value = resolveIdentifier(field.path, sample.data);
+    if (isNumber(value)) {
+      points.push({ t: sample.timestamp, v: value });
+    }
+  }
+  return points;
+};
+
+/**
+ * Interpret an AST node against a telemetry data object
+ * Missing fields evaluate to null; comparisons and logic involving null are null (unknown)
+ * The optional context supplies history for window functions, limits and baselines
+ */
+const evaluateExpression = (node, data, context) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'identifier':
+      // limits.* reads the vehicle's resolved limits rather than telemetry
+      if (node.path[0] === 'limits' && node.path.length > 1) {
+        return resolveIdentifier(node.path.slice(1), (context && context.limits) || {});
+      }
+      return resolveIdentifier(node.path, data);
+
+    case 'negate': {
+      const value = evaluateExpression(node.argument, data, context);
+      return isNumber(value) ? -value : null;
+    }
+
+    case 'not': {
+      const value = truthValue(evaluateExpression(node.argument, data, context));
+      return value === null ? null : !value;
+    }
+
+    case 'logical': {
+      // The left operand decides on its own when it is false (AND) or true (OR)
+      const decisive = node.op === 'or';
+      const left = truthValue(evaluateExpression(node.left, data, context));
+      if (left === decisive) return decisive;
+      const right = truthValue(evaluateExpression(node.right, data, context));
+      if (right === decisive) return decisive;
+      return left === null || right === null ? null : !decisive;
+    }
+
+    case 'arithmetic': {
+      const left = evaluateExpression(node.left, data, context);
+      const right = evaluateExpression(node.right, data, context);
+      if (!isNumber(left) || !isNumber(right)) return null;
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? null : left / right;
+        case '%': return right === 0 ? null : left % right;
+        default: return null;
+      }
+    }
+
+    case 'comparison': {
+      const left = evaluateExpression(node.left, data, context);
+      const right = evaluateExpression(node.right, data, context);
+      if (left === null || right === null) return null;
+      switch (node.op) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default:
+          if (!isNumber(left) || !isNumber(right)) return false;
+          if (node.op === '<') return left < right;
+          if (node.op === '<=') return left <= right;
+          if (node.op === '>') return left > right;
+          return left >= right;
+      }
+    }
+
+    case 'window': {
+      const result = WINDOW_FUNCTIONS[node.name](windowPoints(node.field, node.seconds, context));
+      return isNumber(result) ? result : null;
+    }
+
+    case 'baseline': {
+      const baselines = (context && context.baselines) || {};
+      const baseline = Object.prototype.hasOwnProperty.call(baselines, node.field.name) ? baselines[node.field.name] : null;
+      if (!baseline || !baseline.ready) return null;
+      const result = BASELINE_FUNCTIONS[node.name](resolveIdentifier(node.field.path, data), baseline);
+      return isNumber(result) ? result : null;
+    }
+
+    case 'call': {
+      const args = node.args.map(arg => evaluateExpression(arg, data, context));
+      const result = FUNCTIONS[node.name].fn(...args);
+      return isNumber(result) ? result : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Collect the telemetry field names referenced by an AST
+ */
+const collectIdentifiers = (node, names = new Set()) => {
+  if (node.type === 'identifier') names.add(node.name);
+  ['left', 'right', 'argument', 'field'].forEach(key => node[key] && collectIdentifiers(node[key], names));
+  (node.args || []).forEach(arg => collectIdentifiers(arg, names));
+  return names;
+};
+
+/**
+ * Find the largest window (in seconds) used by window functions in an AST
+ */
+const maxWindowSeconds = (node) => {
+  const children = ['left', 'right', 'argument'].map(key => node[key]).filter(Boolean).concat(node.args || []);
+  return children.reduce(
+    (max, child) => Math.max(max, maxWindowSeconds(child)),
+    node.type === 'window' ? node.seconds : 0
+  );
+};
+
+/**
+ * Parse once and return a reusable evaluator
+ */
+const compileExpression = (source) => {
+  const ast = parseExpression(source);
+  return {
+    source,
+    ast,
+    identifiers: Array.from(collectIdentifiers(ast)),
+    windowSeconds: maxWindowSeconds(ast),
+    evaluate: (data, context) => evaluateExpression(ast, data || {}, context)
+  };
+};
+
+module.exports = {
+  FUNCTIONS,
+  WINDOW_FUNCTIONS,
+  BASELINE_FUNCTIONS,
+  MAX_WINDOW_SEC,
+  parseExpression,
+  evaluateExpression,
+  compileExpression,
+  truthy
+};
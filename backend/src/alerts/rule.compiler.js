@@ -0,0 +1,173 @@
+const { compileExpression, truthy } = require('./expression');
+
+/**
+ * Turns stored alert rule rows into the { type, severity, condition, message }
+ * shape consumed by AlertEvaluator and AlertService
+ *
+ * A row is either a simple threshold (metric + comparator + threshold) or a
+ * free-form expression; the expression wins when both are present.
+ *
+ * Optional trigger windows (trigger_samples / trigger_duration_sec) and clear
+ * conditions (clear_threshold / clear_expression) are compiled alongside so
+ * the evaluator can apply them without re-reading the row.
+ *
+ * Conditions and messages accept an optional context ({ history, now, limits, baselines })
+ * used by window functions such as delta(motor_temp, 30), by per-vehicle
+ * limits (threshold_ref on threshold rules, limits.* in expressions) and by
+ * baseline functions such as zscore(motor_temp).
+ */
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+// Direction a metric has to move past clear_threshold for the alert to clear
+const CLEAR_COMPARATORS = {
+  '>': '<',
+  '>=': '<',
+  '<': '>',
+  '<=': '>'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Resolve a threshold rule's threshold, preferring the vehicle's limit named by threshold_ref
+ */
+const resolveThreshold = (row, context) => {
+  const limits = context && context.limits;
+  if (row.threshold_ref && limits && typeof limits[row.threshold_ref] === 'number') {
+    return limits[row.threshold_ref];
+  }
+  return row.threshold === null || row.threshold === undefined ? null : Number(row.threshold);
+};
+
+/**
+ * Pre-compile the {{placeholders}} of a message template
+ * Placeholders are {{value}}, {{metric}}, {{threshold}} or any expression,
+ * e.g. {{battery_temp - ambient_temp}}
+ * Throws on the first placeholder with invalid syntax
+ */
+const compileTemplate = (template) => {
+  const placeholders = new Map();
+  for (const [, body] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!['value', 'metric', 'threshold'].includes(body) && !placeholders.has(body)) {
+      placeholders.set(body, compileExpression(body));
+    }
+  }
+  return placeholders;
+};
+
+/**
+ * Fill {{placeholders}} in a message template
+ */
+const renderMessage = (template, row, data, placeholders = compileTemplate(template), context) => {
+  return template.replace(PLACEHOLDER_PATTERN, (match, body) => {
+    if (body === 'value') return row.metric ? data[row.metric] : match;
+    if (body === 'metric') return row.metric || match;
+    if (body === 'threshold') {
+      const threshold = resolveThreshold(row, context);
+      return threshold !== null ? threshold : match;
+    }
+
+    const compiled = placeholders.get(body);
+    const value = compiled ? compiled.evaluate(data, context) : null;
+    if (value === null) return match;
+
+    // Bare field references render as-is; computed values are rounded for readability
+    if (typeof value === 'number' && compiled.ast.type !== 'identifier' && !Number.isInteger(value)) {
+      return parseFloat(value.toFixed(2));
+    }
+    return value;
+  });
+};
+
+/**
+ * Build the condition function for a rule row
+ */
+const compileCondition = (row) => {
+  if (row.expression) {
+    const compiled = compileExpression(row.expression);
+    return (data, context) => truthy(compiled.evaluate(data, context));
+  }
+
+  const compare = COMPARATORS[row.comparator];
+  if (!compare) {
+    throw new Error(`Unsupported comparator "${row.comparator}" in rule ${row.rule_id || row.alert_type}`);
+  }
+
+  return (data, context) => {
+    const value = data[row.metric];
+    const threshold = resolveThreshold(row, context);
+    return typeof value === 'number' && threshold !== null && compare(value, threshold);
+  };
+};
+
+/**
+ * Build the hysteresis clear function for a rule row
+ * Returns null when the alert should clear as soon as the condition stops matching
+ */
+const compileClearCondition = (row) => {
+  if (row.clear_expression) {
+    const compiled = compileExpression(row.clear_expression);
+    return (data, context) => truthy(compiled.evaluate(data, context));
+  }
+
+  if (row.clear_threshold !== null && row.clear_threshold !== undefined && !row.expression) {
+    const compare = COMPARATORS[CLEAR_COMPARATORS[row.comparator]];
+    if (!compare) {
+      throw new Error(`clear_threshold is not supported with comparator "${row.comparator}"`);
+    }
+
+    const clearThreshold = Number(row.clear_threshold);
+    return (data) => {
+      const value = data[row.metric];
+      return typeof value === 'number' && compare(value, clearThreshold);
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Largest history window (ms) any part of the row needs
+ */
+const windowMsForRow = (row, placeholders) => {
+  const sources = [row.expression, row.clear_expression].filter(Boolean).map(compileExpression);
+  const seconds = sources.concat(Array.from(placeholders.values()))
+    .reduce((max, compiled) => Math.max(max, compiled.windowSeconds), 0);
+  return seconds * 1000;
+};
+
+/**
+ * Compile a single rule row into an executable rule
+ */
+const compileRule = (row) => {
+  const placeholders = compileTemplate(row.message_template);
+
+  return {
+    id: row.rule_id || null,
+    type: row.alert_type,
+    severity: row.severity,
+    condition: compileCondition(row),
+    clearCondition: compileClearCondition(row),
+    triggerSamples: Math.max(parseInt(row.trigger_samples) || 1, 1),
+    triggerDurationMs: Math.max(parseInt(row.trigger_duration_sec) || 0, 0) * 1000,
+    windowMs: windowMsForRow(row, placeholders),
+    message: (data, context) => renderMessage(row.message_template, row, data, placeholders, context)
+  };
+};
+
+module.exports = {
+  COMPARATORS,
+  CLEAR_COMPARATORS,
+  compileRule,
+  compileTemplate,
+  renderMessage,
+  resolveThreshold
+};
@@ -0,0 +1,192 @@
+const db = require('../db');
+
+/**
+ * Per-vehicle trigger/clear state for alert rule groups
+ *
+ * Tracks how long (and for how many consecutive samples) a vehicle has been
+ * violating each alert type, and whether the evaluator considers the alert
+ * active. State lives in memory for the hot path and is snapshotted to the
+ * alert_rule_state table so trigger windows survive backend restarts.
+ */
+class RuleStateStore {
+  constructor() {
+    // Map<vehicleId_alertType, { vehicleId, alertType, pendingSince, samples, lastSampleAt, active }>
+    this.states = new Map();
+
+    // Keys changed or removed since the last flush
+    this.dirtyKeys = new Set();
+    // Map<key, { vehicleId, alertType }>
+    this.removedKeys = new Map();
+
+    // A violation streak is broken if the vehicle is silent for longer than this
+    this.STREAK_GAP_MS = 60000;
+
+    this.FLUSH_INTERVAL_MS = 5000;
+    setInterval(() => {
+      this.flush().catch(err => {
+        console.error('[RuleState] Flush failed:', err.message);
+      });
+    }, this.FLUSH_INTERVAL_MS);
+  }
+
+  getKey(vehicleId, alertType) {
+    return `${vehicleId}_${alertType}`;
+  }
+
+  /**
+   * Get the state for a vehicle/alert type, creating an idle one if needed
+   */
+  get(vehicleId, alertType) {
+    const key = this.getKey(vehicleId, alertType);
+    let state = this.states.get(key);
+    if (!state) {
+      state = { vehicleId, alertType, pendingSince: null, samples: 0, lastSampleAt: null, active: false };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  /**
+   * Record a violating sample and return the updated streak
+   */
+  recordViolation(vehicleId, alertType, sampleTime) {
+    const state = this.get(vehicleId, alertType);
+
+    const streakBroken = state.lastSampleAt !== null && sampleTime - state.lastSampleAt > this.STREAK_GAP_MS;
+    if (state.pendingSince === null || streakBroken) {
+      state.pendingSince = sampleTime;
+      state.samples = 0;
+    }
+
+    state.samples++;
+    state.lastSampleAt = sampleTime;
+    this.markDirty(state);
+    return state;
+  }
+
+  /**
+   * Reset the violation streak (sample no longer violating)
+   */
+  resetStreak(vehicleId, alertType) {
+    const key = this.getKey(vehicleId, alertType);
+    const state = this.states.get(key);
+    if (!state || state.pendingSince === null) return;
+
+    state.pendingSince = null;
+    state.samples = 0;
+    this.markDirty(state);
+  }
+
+  /**
+   * Mark the alert type as active (alert raised) or inactive (alert cleared)
+   */
+  setActive(vehicleId, alertType, active) {
+    const state = this.get(vehicleId, alertType);
+    if (state.active === active) return;
+
+    state.active = active;
+    this.markDirty(state);
+  }
+
+  /**
+   * Queue a state for the next flush, dropping it entirely once idle
+   */
+  markDirty(state) {
+    const key = this.getKey(state.vehicleId, state.alertType);
+    if (!state.active && state.pendingSince === null) {
+      this.states.delete(key);
+      this.dirtyKeys.delete(key);
+      this.removedKeys.set(key, { vehicleId: state.vehicleId, alertType: state.alertType });
+    } else {
+      this.removedKeys.delete(key);
+      this.dirtyKeys.add(key);
+    }
+  }
+
+  /**
+   * Load persisted state on startup
+   */
+  async hydrate() {
+    const { rows } = await db.query('SELECT * FROM alert_rule_state');
+    for (const row of rows) {
+      this.states.set(this.getKey(row.vehicle_id, row.alert_type), {
+        vehicleId: row.vehicle_id,
+        alertType: row.alert_type,
+        pendingSince: row.pending_since !== null ? parseInt(row.pending_since) : null,
+        samples: row.consecutive_samples,
+        lastSampleAt: row.last_sample_at !== null ? parseInt(row.last_sample_at) : null,
+        active: row.active
+      });
+    }
+    return rows.length;
+  }
+
+  /**
+   * Write changed states to the database in bulk
+   * Keys whose write fails are queued again for the next flush
+   */
+  async flush() {
+    if (this.dirtyKeys.size === 0 && this.removedKeys.size === 0) return;
+
+    const dirtyKeys = Array.from(this.dirtyKeys);
+    const removedEntries = Array.from(this.removedKeys.entries());
+    const dirty = dirtyKeys.map(key => this.states.get(key)).filter(Boolean);
+    const removed = removedEntries.map(([, entry]) => entry);
+    this.dirtyKeys.clear();
+    this.removedKeys.clear();
+
+    if (dirty.length > 0) {
+      try {
+        await db.query(
+          `INSERT INTO alert_rule_state (vehicle_id, alert_type, pending_since, consecutive_samples, last_sample_at, active, updated_at)
+           SELECT *, NOW() FROM UNNEST($1::varchar[], $2::varchar[], $3::bigint[], $4::int[], $5::bigint[], $6::boolean[])
+           ON CONFLICT (vehicle_id, alert_type) DO UPDATE SET
+             pending_since = EXCLUDED.pending_since,
+             consecutive_samples = EXCLUDED.consecutive_samples,
+             last_sample_at = EXCLUDED.last_sample_at,
+             active = EXCLUDED.active,
+             updated_at = NOW()`,
+          [
+            dirty.map(s => s.vehicleId),
+            dirty.map(s => s.alertType),
+            dirty.map(s => s.pendingSince),
+            dirty.map(s => s.samples),
+            dirty.map(s => s.lastSampleAt),
+            dirty.map(s => s.active)
+          ]
+        );
+      } catch (error) {
+        this.requeue(dirtyKeys, removedEntries);
+        throw error;
+      }
+    }
+
+    if (removed.length > 0) {
+      try {
+        await db.query(
+          `DELETE FROM alert_rule_state
+           WHERE (vehicle_id, alert_type) IN (SELECT * FROM UNNEST($1::varchar[], $2::varchar[]))`,
+          [removed.map(r => r.vehicleId), removed.map(r => r.alertType)]
+        );
+      } catch (error) {
+        this.requeue([], removedEntries);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Queue keys of a failed flush again, unless they changed since (a newer
+   * update or removal of the same key is already queued and supersedes them)
+   */
+  requeue(dirtyKeys, removedEntries) {
+    dirtyKeys.forEach(key => {
+      if (!this.removedKeys.has(key) && this.states.has(key)) this.dirtyKeys.add(key);
+    });
+    removedEntries.forEach(([key, entry]) => {
+      if (!this.dirtyKeys.has(key) && !this.states.has(key)) this.removedKeys.set(key, entry);
+    });
+  }
+}
+
+module.exports = new RuleStateStore();
@@ -1,48 +1,117 @@
 /**
- * Alert rules definitions
+ * Built-in alert rules definitions
+ *
+ * These rows are seeded into the alert_rules table on first boot and act as
+ * the fallback rule set until the database rules have been loaded.
+ * Rows sharing an alert_type are OR-ed together; the first matching row
+ * supplies the severity and message for the alert.
+ * threshold_ref names a per-vehicle limit (see vehicle.profile.service) that
+ * replaces threshold when the vehicle's model or overrides define it.
+ * The anomaly rules compare readings with the vehicle's own learned baseline
+ * (zscore) instead of a fixed threshold; they stay silent until it has warmed up.
  */
 const ALERT_RULES = [
   {
-    type: 'high_temperature',
+    alert_type: 'high_temperature',
     severity: 'WARNING',
-    condition: (data) => data.motor_temp > 80 || data.battery_temp > 50,
-    message: (data) => {
-      if (data.motor_temp > 80) return `Motor temperature high: ${data.motor_temp}°C`;
-      return `Battery temperature high: ${data.battery_temp}°C`;
-    }
+    metric: 'motor_temp',
+    comparator: '>',
+    threshold: 80,
+    threshold_ref: 'motor_temp_warning',
+    message_template: 'Motor temperature high: {{value}}°C'
   },
   {
-    type: 'critical_temperature',
+    alert_type: 'high_temperature',
+    severity: 'WARNING',
+    metric: 'battery_temp',
+    comparator: '>',
+    threshold: 50,
+    threshold_ref: 'battery_temp_warning',
+    message_template: 'Battery temperature high: {{value}}°C'
+  },
+  {
+    alert_type: 'critical_temperature',
     severity: 'CRITICAL',
-    condition: (data) => data.motor_temp > 100 || data.battery_temp > 60,
-    message: (data) => {
-      if (data.motor_temp > 100) return `CRITICAL: Motor temperature high: ${data.motor_temp}°C`;
-      return `CRITICAL: Battery temperature high: ${data.battery_temp}°C`;
-    }
+    metric: 'motor_temp',
+    comparator: '>',
+    threshold: 100,
+    threshold_ref: 'motor_temp_critical',
+    message_template: 'CRITICAL: Motor temperature high: {{value}}°C'
   },
   {
-    type: 'low_battery',
+    alert_type: 'critical_temperature',
+    severity: 'CRITICAL',
+    metric: 'battery_temp',
+    comparator: '>',
+    threshold: 60,
+    threshold_ref: 'battery_temp_critical',
+    message_template: 'CRITICAL: Battery temperature high: {{value}}°C'
+  },
+  {
+    alert_type: 'low_battery',
     severity: 'WARNING',
-    condition: (data) => data.soc < 20,
-    message: (data) => `Low battery: ${data.soc}%`
+    metric: 'soc',
+    comparator: '<',
+    threshold: 20,
+    message_template: 'Low battery: {{value}}%'
   },
   {
-    type: 'critical_battery',
+    alert_type: 'critical_battery',
     severity: 'CRITICAL',
-    condition: (data) => data.soc < 10,
-    message: (data) => `CRITICAL: Battery low: ${data.soc}%`
+    metric: 'soc',
+    comparator: '<',
+    threshold: 10,
+    message_template: 'CRITICAL: Battery low: {{value}}%'
+  },
+  {
+    alert_type: 'abnormal_voltage',
+    severity: 'WARNING',
+    metric: 'battery_voltage',
+    comparator: '<',
+    threshold: 48,
+    threshold_ref: 'voltage_warning_low',
+    message_template: 'Abnormal voltage: {{value}}V'
+  },
+  {
+    alert_type: 'abnormal_voltage',
+    severity: 'WARNING',
+    metric: 'battery_voltage',
+    comparator: '>',
+    threshold: 84,
+    threshold_ref: 'voltage_warning_high',
+    message_template: 'Abnormal voltage: {{value}}V'
+  },
+  {
+    alert_type: 'high_current_draw',
+    severity: 'WARNING',
+    metric: 'battery_current',
+    comparator: '>',
+    threshold: 150,
+    threshold_ref: 'current_warning_high',
+    message_template: 'High current draw: {{value}}A'
+  },
+  {
+    alert_type: 'high_current_draw',
+    severity: 'WARNING',
+    metric: 'battery_current',
+    comparator: '<',
+    threshold: -150,
+    threshold_ref: 'current_warning_low',
+    message_template: 'High current draw: {{value}}A'
   },
   {
-    type: 'abnormal_voltage',
+    alert_type: 'anomaly',
     severity: 'WARNING',
-    condition: (data) => data.battery_voltage < 48 || data.battery_voltage > 84,
-    message: (data) => `Abnormal voltage: ${data.battery_voltage}V`
+    expression: 'abs(zscore(motor_temp)) > limits.anomaly_z_score',
+    trigger_samples: 3,
+    message_template: 'Motor temperature {{motor_temp}}°C is unusual for this vehicle (baseline {{baseline_mean(motor_temp)}}°C, z-score {{zscore(motor_temp)}})'
   },
   {
-    type: 'high_current_draw',
+    alert_type: 'anomaly',
     severity: 'WARNING',
-    condition: (data) => Math.abs(data.battery_current) > 150,
-    message: (data) => `High current draw: ${data.battery_current}A`
+    expression: 'abs(zscore(battery_temp)) > limits.anomaly_z_score',
+    trigger_samples: 3,
+    message_template: 'Battery temperature {{battery_temp}}°C is unusual for this vehicle (baseline {{baseline_mean(battery_temp)}}°C, z-score {{zscore(battery_temp)}})'
   }
 ];
 
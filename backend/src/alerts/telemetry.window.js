@@ -0,0 +1,82 @@
+/**
+ * Sliding window of recent telemetry samples per vehicle
+ *
+ * Backs the rate-of-change/trend functions of the rule expression language
+ * (delta, slope, min_over, max_over, avg_over). Retention is driven by the
+ * largest window referenced by the active rule set, so nothing is kept when
+ * no rule needs history.
+ */
+class TelemetryWindow {
+  constructor() {
+    // Map<vehicle_id, Array<{ timestamp, data }>> sorted by timestamp ascending
+    this.samples = new Map();
+    this.retentionMs = 0;
+
+    // Hard cap per vehicle to bound memory at high packet rates
+    this.MAX_SAMPLES_PER_VEHICLE = 2000;
+
+    // Drop vehicles that stopped reporting
+    setInterval(() => this.cleanup(), 60000);
+  }
+
+  /**
+   * Set how much history to keep (largest rule window)
+   */
+  setRetention(retentionMs) {
+    this.retentionMs = retentionMs;
+    if (retentionMs === 0) {
+      this.samples.clear();
+    }
+  }
+
+  /**
+   * Record a sample, keeping the buffer ordered and trimmed
+   */
+  add(vehicleId, timestamp, data) {
+    if (this.retentionMs === 0) return;
+
+    let buffer = this.samples.get(vehicleId);
+    if (!buffer) {
+      buffer = [];
+      this.samples.set(vehicleId, buffer);
+    }
+
+    // Packets almost always arrive in order; walk back for the rare late one
+    let index = buffer.length;
+    while (index > 0 && buffer[index - 1].timestamp > timestamp) {
+      index--;
+    }
+    buffer.splice(index, 0, { timestamp, data });
+
+    const newest = buffer[buffer.length - 1].timestamp;
+    let expired = 0;
+    while (expired < buffer.length && newest - buffer[expired].timestamp > this.retentionMs) {
+      expired++;
+    }
+    expired = Math.max(expired, buffer.length - this.MAX_SAMPLES_PER_VEHICLE);
+    if (expired > 0) {
+      buffer.splice(0, expired);
+    }
+  }
+
+  /**
+   * Get the samples recorded for a vehicle
+   */
+  getSamples(vehicleId) {
+    return this.samples.get(vehicleId) || [];
+  }
+
+  /**
+   * Remove vehicles whose newest sample has left the retention window
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [vehicleId, buffer] of this.samples.entries()) {
+      if (buffer.length === 0 || now - buffer[buffer.length - 1].timestamp > this.retentionMs) {
+        this.samples.delete(vehicleId);
+      }
+    }
+  }
+}
+
+module.exports = new TelemetryWindow();
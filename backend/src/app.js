@@ -2,26 +2,51 @@ const express = require('express');
 const cors = require('cors');
 const vehicleRoutes = require('./routes/vehicle.routes');
 const telemetryRoutes = require('./routes/telemetry.routes');
+const deadLetterRoutes = require('./routes/dead.letter.routes');
 const alertRoutes = require('./routes/alert.routes');
+const alertRuleRoutes = require('./routes/alert.rule.routes');
+const offlineThresholdRoutes = require('./routes/offline.threshold.routes');
+const vehicleModelRoutes = require('./routes/vehicle.model.routes');
+const telemetrySchemaRoutes = require('./routes/telemetry.schema.routes');
+const notificationChannelRoutes = require('./routes/notification.channel.routes');
+const escalationPolicyRoutes = require('./routes/escalation.policy.routes');
+const suppressionRoutes = require('./routes/suppression.routes');
+const incidentRoutes = require('./routes/incident.routes');
 const authRoutes = require('./routes/authRoutes');
+const startupService = require('./services/startup.service');
 
 const app = express();
 
 // Enable CORS for all requests
 app.use(cors());
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies (large enough for telemetry batches)
+app.use(express.json({ limit: '5mb' }));
 
 // API Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/vehicles', vehicleRoutes);
+app.use('/api/v1/vehicle-models', vehicleModelRoutes);
+app.use('/api/v1/telemetry-schemas', telemetrySchemaRoutes);
+app.use('/api/v1/telemetry/dead-letters', deadLetterRoutes);
 app.use('/api/v1/telemetry', telemetryRoutes);
 app.use('/api/v1/alerts', alertRoutes);
+app.use('/api/v1/alert-rules', alertRuleRoutes);
+app.use('/api/v1/offline-thresholds', offlineThresholdRoutes);
+app.use('/api/v1/notification-channels', notificationChannelRoutes);
+app.use('/api/v1/escalation-policies', escalationPolicyRoutes);
+app.use('/api/v1/suppressions', suppressionRoutes);
+app.use('/api/v1/incidents', incidentRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'UP', timestamp: new Date().toISOString() });
+  res.status(200).json({ status: 'UP', ready: startupService.isReady(), timestamp: new Date().toISOString() });
+});
+
+// Readiness endpoint: 503 until startup hydration has completed
+app.get('/ready', (req, res) => {
+  const status = startupService.getStatus();
+  res.status(status.ready ? 200 : 503).json({ status: status.ready ? 'READY' : 'STARTING', ...status });
 });
 
 // 404 Handler
@@ -1,4 +1,9 @@
 const alertApiService = require('../services/alert.api.service');
+const alertHistoryValidator = require('../validators/alert.history.validator');
+
+// Default response-time SLAs for the metrics endpoint (minutes)
+const SLA_ACK_MINUTES = parseInt(process.env.ALERT_SLA_ACK_MINUTES) || 15;
+const SLA_RESOLVE_MINUTES = parseInt(process.env.ALERT_SLA_RESOLVE_MINUTES) || 240;
 const { successResponse, errorResponse } = require('../utils/response');
 
 /**
@@ -18,6 +23,26 @@ class AlertController {
     }
   }
 
+  /**
+   * Alert history with filters, sorting and cursor pagination
+   * Query params: vehicle_id, alert_type, severity, status, from, to, q, sort, order, limit, cursor
+   * (alert_type, severity and status accept comma-separated lists)
+   */
+  async getAlertHistory(req, res) {
+    try {
+      const { isValid, errors, filters } = alertHistoryValidator.validate(req.query);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const history = await alertApiService.getAlertHistory(filters);
+      return successResponse(res, 'Alert history fetched successfully', history);
+    } catch (error) {
+      console.error('Get Alert History Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
   /**
    * Get alert by ID
    */
@@ -37,13 +62,31 @@ class AlertController {
     }
   }
 
+  /**
+   * Validate the optional acknowledgement note
+   */
+  validateNote(note) {
+    if (note === undefined || note === null) return null;
+    if (typeof note !== 'string' || note.length > 1000) {
+      return { field: 'note', message: 'note must be a string of at most 1000 characters' };
+    }
+    return null;
+  }
+
   /**
    * Acknowledge alert
+   * Body: { note } (optional); the acknowledging user comes from the JWT
    */
   async acknowledge(req, res) {
     try {
       const { id } = req.params;
-      const alert = await alertApiService.acknowledgeAlert(id);
+      const note = req.body ? req.body.note : undefined;
+      const noteError = this.validateNote(note);
+      if (noteError) {
+        return errorResponse(res, 'Validation failed', 400, [noteError]);
+      }
+
+      const alert = await alertApiService.acknowledgeAlert(id, { user: req.user.username, note });
 
       if (!alert) {
         return errorResponse(res, 'Alert not found or already acknowledged', 404);
@@ -58,6 +101,8 @@ class AlertController {
           event: 'alert_acknowledged',
           alert_id: id,
           acknowledged_at: alert.acknowledged_at,
+          acknowledged_by: alert.acknowledged_by,
+          note: alert.acknowledgement_note,
           vehicle_id: alert.vehicle_id,
           timestamp: Date.now()
         };
@@ -80,6 +125,270 @@ class AlertController {
     }
   }
 
+  /**
+   * Acknowledge all open alerts matching a filter in one transaction
+   * Body: { vehicle_id, alert_type, severity, note } - at least one filter is required
+   * Emits a single aggregated alert_acknowledged event
+   */
+  async bulkAcknowledge(req, res) {
+    try {
+      const { vehicle_id, alert_type, severity, note } = req.body || {};
+      const errors = [];
+
+      if (!vehicle_id && !alert_type && !severity) {
+        errors.push({ field: 'filters', message: 'At least one of vehicle_id, alert_type or severity is required' });
+      }
+      if (severity && !['INFO', 'WARNING', 'CRITICAL'].includes(severity)) {
+        errors.push({ field: 'severity', message: 'severity must be one of INFO, WARNING, CRITICAL' });
+      }
+      const noteError = this.validateNote(note);
+      if (noteError) errors.push(noteError);
+      if (errors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const filters = {};
+      if (vehicle_id) filters.vehicle_id = vehicle_id;
+      if (alert_type) filters.alert_type = alert_type;
+      if (severity) filters.severity = severity;
+
+      const result = await alertApiService.bulkAcknowledge(filters, { user: req.user.username, note });
+      console.log(`Bulk acknowledged ${result.alerts.length} alerts by ${req.user.username} (${JSON.stringify(filters)})`);
+
+      if (result.alerts.length > 0) {
+        this.broadcastAlertEvent('alert_acknowledged', {
+          bulk: true,
+          batch_id: result.batch_id,
+          alert_ids: result.alerts.map(a => a.alert_id),
+          vehicle_ids: [...new Set(result.alerts.map(a => a.vehicle_id))],
+          count: result.alerts.length,
+          filters,
+          acknowledged_at: result.acknowledged_at,
+          acknowledged_by: req.user.username,
+          note: note || null
+        });
+      }
+
+      return successResponse(res, `${result.alerts.length} alerts acknowledged`, {
+        batch_id: result.batch_id,
+        count: result.alerts.length,
+        acknowledged_at: result.acknowledged_at,
+        alerts: result.alerts
+      });
+    } catch (error) {
+      console.error('Bulk Acknowledge Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Acknowledgement audit trail
+   * Query params: alert_id, acknowledged_by, vehicle_id, limit
+   */
+  async listAcknowledgements(req, res) {
+    try {
+      const { alert_id, acknowledged_by, vehicle_id, limit } = req.query;
+      const entries = await alertApiService.getAcknowledgements({ alert_id, acknowledged_by, vehicle_id, limit });
+      return successResponse(res, 'Acknowledgement audit trail fetched successfully', entries);
+    } catch (error) {
+      console.error('List Acknowledgements Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Emit an alert update event to all connected clients
+   */
+  broadcastAlertEvent(event, payload) {
+    const broadcaster = require('../websocket/broadcaster');
+    if (broadcaster.io) {
+      broadcaster.io.emit(event, { event, ...payload, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Take or hand over ownership of an alert
+   * Body: { assignee } - defaults to the caller; only admins may assign someone else
+   */
+  async assign(req, res) {
+    try {
+      const { id } = req.params;
+      const username = req.user.username;
+      const assignee = req.body && req.body.assignee !== undefined ? req.body.assignee : username;
+
+      if (typeof assignee !== 'string' || assignee.trim().length === 0 || assignee.length > 100) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'assignee', message: 'assignee must be a non-empty string of at most 100 characters' }
+        ]);
+      }
+      if (assignee !== username && req.user.role !== 'admin') {
+        return errorResponse(res, 'Only admins can assign alerts to other users', 403);
+      }
+
+      const alert = await alertApiService.assignAlert(id, assignee);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found or already resolved', 404);
+      }
+
+      this.broadcastAlertEvent('alert_assigned', {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        assignee: alert.assignee,
+        assigned_at: alert.assigned_at
+      });
+
+      return successResponse(res, 'Alert assigned successfully', alert);
+    } catch (error) {
+      console.error('Assign Alert Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Release ownership of an alert (assignee or admin)
+   */
+  async unassign(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await alertApiService.getAlertById(id);
+      if (!existing) {
+        return errorResponse(res, 'Alert not found', 404);
+      }
+      if (existing.assignee && existing.assignee !== req.user.username && req.user.role !== 'admin') {
+        return errorResponse(res, 'Only the assignee or an admin can release this alert', 403);
+      }
+
+      const alert = await alertApiService.assignAlert(id, null);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found or already resolved', 404);
+      }
+
+      this.broadcastAlertEvent('alert_assigned', {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        assignee: null,
+        assigned_at: null
+      });
+
+      return successResponse(res, 'Alert released successfully', alert);
+    } catch (error) {
+      console.error('Unassign Alert Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Snooze an alert
+   * Body: { minutes } - defaults to 30, at most 1440
+   */
+  async snooze(req, res) {
+    try {
+      const { id } = req.params;
+      const minutes = req.body && req.body.minutes !== undefined ? req.body.minutes : 30;
+
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'minutes', message: 'minutes must be an integer between 1 and 1440' }
+        ]);
+      }
+
+      const alert = await alertApiService.snoozeAlert(id, minutes, req.user.username);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found or already resolved', 404);
+      }
+
+      this.broadcastAlertEvent('alert_snoozed', {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        snoozed_until: alert.snoozed_until,
+        snoozed_by: alert.snoozed_by
+      });
+
+      return successResponse(res, `Alert snoozed for ${minutes} minutes`, alert);
+    } catch (error) {
+      console.error('Snooze Alert Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Cancel an alert's snooze
+   */
+  async unsnooze(req, res) {
+    try {
+      const alert = await alertApiService.snoozeAlert(req.params.id, 0, null);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found or already resolved', 404);
+      }
+
+      this.broadcastAlertEvent('alert_snoozed', {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        snoozed_until: null,
+        snoozed_by: null
+      });
+
+      return successResponse(res, 'Alert snooze cancelled', alert);
+    } catch (error) {
+      console.error('Unsnooze Alert Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * List the comment thread of an alert
+   */
+  async listComments(req, res) {
+    try {
+      const { id } = req.params;
+      const alert = await alertApiService.getAlertById(id);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found', 404);
+      }
+
+      const comments = await alertApiService.getComments(id);
+      return successResponse(res, 'Alert comments fetched successfully', comments);
+    } catch (error) {
+      console.error('List Alert Comments Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Add a comment to an alert
+   * Body: { body }
+   */
+  async addComment(req, res) {
+    try {
+      const { id } = req.params;
+      const body = req.body && typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+      if (body.length === 0 || body.length > 2000) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'body', message: 'body is mandatory and must be at most 2000 characters' }
+        ]);
+      }
+
+      const alert = await alertApiService.getAlertById(id);
+      if (!alert) {
+        return errorResponse(res, 'Alert not found', 404);
+      }
+
+      const comment = await alertApiService.addComment(id, req.user.username, body);
+
+      this.broadcastAlertEvent('alert_comment_added', {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        comment
+      });
+
+      return successResponse(res, 'Comment added successfully', comment, 201);
+    } catch (error) {
+      console.error('Add Alert Comment Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
   /**
    * Get alert statistics for monitoring
    */
@@ -216,6 +525,59 @@ class AlertController {
     }
   }
 
+  /**
+   * MTTA / MTTR response-time metrics
+   * GET /api/v1/alerts/stats/response-times
+   * Query params: group_by (alert_type, vehicle_group, operator), time_window (minutes, default 1440),
+   * severity, sla_ack_minutes, sla_resolve_minutes
+   */
+  async getResponseTimeMetrics(req, res) {
+    try {
+      const {
+        group_by = 'alert_type',
+        time_window = '1440',
+        severity,
+        sla_ack_minutes = String(SLA_ACK_MINUTES),
+        sla_resolve_minutes = String(SLA_RESOLVE_MINUTES)
+      } = req.query;
+      const errors = [];
+
+      if (!['alert_type', 'vehicle_group', 'operator'].includes(group_by)) {
+        errors.push({ field: 'group_by', message: 'group_by must be one of alert_type, vehicle_group, operator' });
+      }
+      if (severity && !['INFO', 'WARNING', 'CRITICAL'].includes(severity)) {
+        errors.push({ field: 'severity', message: 'severity must be one of INFO, WARNING, CRITICAL' });
+      }
+
+      const minutes = (field, value, max) => {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+          errors.push({ field, message: `${field} must be an integer between 1 and ${max}` });
+        }
+        return parsed;
+      };
+      const timeWindowMinutes = minutes('time_window', time_window, 90 * 24 * 60);
+      const slaAckMinutes = minutes('sla_ack_minutes', sla_ack_minutes, 7 * 24 * 60);
+      const slaResolveMinutes = minutes('sla_resolve_minutes', sla_resolve_minutes, 30 * 24 * 60);
+
+      if (errors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const metrics = await alertApiService.getResponseTimeMetrics({
+        group_by,
+        time_window_minutes: timeWindowMinutes,
+        severity,
+        sla_ack_minutes: slaAckMinutes,
+        sla_resolve_minutes: slaResolveMinutes
+      });
+      return successResponse(res, 'Response time metrics fetched successfully', metrics);
+    } catch (error) {
+      console.error('Get Response Time Metrics Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
   /**
    * Get alerts per minute time series data
    * GET /api/v1/alerts/stats/alerts-per-minute
@@ -0,0 +1,208 @@
+const alertRuleService = require('../services/alert.rule.service');
+const alertRuleValidator = require('../validators/alert.rule.validator');
+const alertEvaluator = require('../alerts/evaluator');
+const { compileRule } = require('../alerts/rule.compiler');
+const ruleBacktestService = require('../services/rule.backtest.service');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller to handle alert rule configuration requests
+ */
+class AlertRuleController {
+  /**
+   * Reload the evaluator so rule changes apply without a restart
+   */
+  async applyRuleChanges() {
+    try {
+      await alertEvaluator.reloadRules();
+    } catch (error) {
+      console.error('[AlertRules] Reload after change failed:', error.message);
+    }
+  }
+
+  /**
+   * List all alert rules
+   */
+  async listRules(req, res) {
+    try {
+      const rules = await alertRuleService.getAllRules();
+      return successResponse(res, 'Alert rules fetched successfully', rules);
+    } catch (error) {
+      console.error('List Alert Rules Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get alert rule by ID
+   */
+  async getRule(req, res) {
+    try {
+      const { id } = req.params;
+      const rule = await alertRuleService.getRuleById(id);
+
+      if (!rule) {
+        return errorResponse(res, 'Alert rule not found', 404);
+      }
+
+      return successResponse(res, 'Alert rule fetched successfully', rule);
+    } catch (error) {
+      console.error('Get Alert Rule Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create a new alert rule
+   */
+  async createRule(req, res) {
+    try {
+      const { isValid, errors } = alertRuleValidator.validate(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const rule = await alertRuleService.createRule(req.body);
+      await this.applyRuleChanges();
+
+      return successResponse(res, 'Alert rule created successfully', rule, 201);
+    } catch (error) {
+      console.error('Create Alert Rule Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Update an existing alert rule
+   */
+  async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await alertRuleService.getRuleById(id);
+      if (!existing) {
+        return errorResponse(res, 'Alert rule not found', 404);
+      }
+
+      // Validate the rule as it will look after the update
+      const { isValid, errors } = alertRuleValidator.validate({ ...existing, ...req.body });
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const rule = await alertRuleService.updateRule(id, req.body);
+
+      await this.applyRuleChanges();
+
+      return successResponse(res, 'Alert rule updated successfully', rule);
+    } catch (error) {
+      console.error('Update Alert Rule Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   * NOTE: Active alerts raised by the rule are left untouched
+   */
+  async deleteRule(req, res) {
+    try {
+      const { id } = req.params;
+      const rule = await alertRuleService.deleteRule(id);
+
+      if (!rule) {
+        return errorResponse(res, 'Alert rule not found', 404);
+      }
+
+      await this.applyRuleChanges();
+
+      return successResponse(res, 'Alert rule deleted successfully', rule);
+    } catch (error) {
+      console.error('Delete Alert Rule Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Build the candidate rule set for a backtest: the enabled rules with patches applied
+   * Entries with rule_id patch that stored rule (enabled: false drops it, true adds a
+   * disabled one); entries without rule_id are new rules evaluated after the stored ones
+   * Returns { rows, errors }
+   */
+  async buildCandidateRules(entries) {
+    const stored = await alertRuleService.getAllRules();
+    const candidate = new Map(stored.filter(r => r.enabled).map(r => [r.rule_id, r]));
+    const added = [];
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+      let row = entry;
+      if (entry.rule_id !== undefined) {
+        const existing = stored.find(r => r.rule_id === entry.rule_id);
+        if (!existing) {
+          errors.push({ field: `rules[${index}].rule_id`, message: `Alert rule ${entry.rule_id} not found` });
+          return;
+        }
+        row = { ...existing, ...entry };
+      }
+
+      const result = alertRuleValidator.validate(row);
+      if (!result.isValid) {
+        result.errors.forEach(error => errors.push({ ...error, field: `rules[${index}].${error.field}` }));
+        return;
+      }
+
+      if (row.rule_id === undefined) {
+        if (row.enabled !== false) added.push(row);
+      } else if (row.enabled === false) {
+        candidate.delete(row.rule_id);
+      } else {
+        candidate.set(row.rule_id, row);
+      }
+    });
+
+    // Stored rules keep their evaluation order (rule_id), as in AlertRuleService.getEnabledRules
+    const rows = Array.from(candidate.values()).sort((a, b) => a.rule_id - b.rule_id).concat(added);
+    return { rows, errors };
+  }
+
+  /**
+   * Replay stored telemetry through a candidate rule set without writing anything
+   * Body: { from, to, vehicle_ids, rules } - see buildCandidateRules for rules
+   */
+  async backtest(req, res) {
+    try {
+      const { isValid, errors } = alertRuleValidator.validateBacktest(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const { from, to, vehicle_ids = [], rules = [] } = req.body;
+      const candidate = await this.buildCandidateRules(rules);
+      if (candidate.errors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, candidate.errors);
+      }
+      if (candidate.rows.length === 0) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'rules', message: 'The candidate rule set is empty' }
+        ]);
+      }
+
+      const report = await ruleBacktestService.run({
+        from: new Date(from).getTime(),
+        to: new Date(to).getTime(),
+        vehicleIds: vehicle_ids,
+        compiledRules: candidate.rows.map(compileRule)
+      });
+
+      return successResponse(res, 'Backtest completed successfully', {
+        rules: candidate.rows.map(r => ({ rule_id: r.rule_id || null, alert_type: r.alert_type, severity: r.severity })),
+        ...report
+      });
+    } catch (error) {
+      console.error('Backtest Alert Rules Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new AlertRuleController();
@@ -0,0 +1,151 @@
+const deadLetterService = require('../services/dead.letter.service');
+const telemetryWriter = require('../services/telemetry.writer.service');
+const deadLetterValidator = require('../validators/dead.letter.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller for the dead-letter store of rejected telemetry
+ */
+class DeadLetterController {
+  /**
+   * Browse rejected packets, newest first
+   * Query params: vehicle_id, source, reason, field, status, from, to, limit, before
+   * (source and reason accept comma-separated lists; before is next_before of the previous page)
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { isValid, errors, filters } = deadLetterValidator.validateQuery(req.query);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const page = await deadLetterService.list(filters);
+      return successResponse(res, 'Dead letters fetched successfully', page);
+    } catch (error) {
+      console.error('List Dead Letters Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Rejection rates per vehicle and per field
+   * Query params: hours (window, default 24)
+   */
+  async getStats(req, res) {
+    try {
+      const { isValid, errors, hours } = deadLetterValidator.validateStatsQuery(req.query);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const stats = await deadLetterService.getStats(hours);
+      return successResponse(res, 'Rejection statistics fetched successfully', stats);
+    } catch (error) {
+      console.error('Get Dead Letter Stats Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get a dead letter by ID
+   */
+  async getDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      if (!/^\d+$/.test(id)) {
+        return errorResponse(res, 'Dead letter not found', 404);
+      }
+
+      const deadLetter = await deadLetterService.getById(id);
+      if (!deadLetter) {
+        return errorResponse(res, 'Dead letter not found', 404);
+      }
+
+      return successResponse(res, 'Dead letter fetched successfully', deadLetter);
+    } catch (error) {
+      console.error('Get Dead Letter Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Re-submit a dead letter to ingestion
+   * Body: { payload } (optional corrected packet; the stored payload otherwise)
+   */
+  async resubmit(req, res) {
+    try {
+      const { id } = req.params;
+      const { isValid, errors } = deadLetterValidator.validateResubmit(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+      if (!/^\d+$/.test(id)) {
+        return errorResponse(res, 'Dead letter not found', 404);
+      }
+
+      const result = await deadLetterService.resubmit(id, {
+        payload: req.body ? req.body.payload : undefined,
+        user: req.user.username
+      });
+      if (!result) {
+        return errorResponse(res, 'Dead letter not found', 404);
+      }
+
+      switch (result.status) {
+        case 'already_resubmitted':
+          return errorResponse(res, 'Dead letter was already re-submitted', 409);
+        case 'no_payload':
+          return errorResponse(res, 'Validation failed', 400, result.errors);
+        case 'starting':
+          res.set('Retry-After', '5');
+          return errorResponse(res, 'Service is starting up, retry shortly', 503);
+        case 'queue_full':
+          res.set('Retry-After', String(telemetryWriter.RETRY_AFTER_SEC));
+          return errorResponse(res, 'Telemetry queue is full, retry shortly', 429);
+        case 'accepted':
+        case 'duplicate':
+          return successResponse(res, 'Dead letter re-submitted', result);
+        default:
+          // Rejected again (e.g. still out of range); the entry stays pending
+          return errorResponse(res, 'Re-submitted packet was rejected', 422, result.errors);
+      }
+    } catch (error) {
+      console.error('Resubmit Dead Letter Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Re-submit several dead letters with their stored payloads
+   * Body: { ids: [...] }
+   */
+  async resubmitBulk(req, res) {
+    try {
+      const { isValid, errors } = deadLetterValidator.validateBulkResubmit(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      // One at a time so packets of a vehicle reach ingestion in the order given
+      const results = [];
+      for (const id of req.body.ids) {
+        const result = await deadLetterService.resubmit(String(id), { user: req.user.username });
+        results.push(result
+          ? { dead_letter_id: String(id), status: result.status, errors: result.errors }
+          : { dead_letter_id: String(id), status: 'not_found', errors: null });
+      }
+
+      const resubmitted = results.filter(r => r.status === 'accepted' || r.status === 'duplicate').length;
+      return successResponse(res, `Re-submitted ${resubmitted} of ${results.length} dead letters`, {
+        resubmitted,
+        failed: results.length - resubmitted,
+        results
+      });
+    } catch (error) {
+      console.error('Bulk Resubmit Dead Letters Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new DeadLetterController();
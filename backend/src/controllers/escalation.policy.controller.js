@@ -0,0 +1,132 @@
+const escalationService = require('../services/escalation.service');
+const notificationService = require('../services/notification.service');
+const escalationPolicyValidator = require('../validators/escalation.policy.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller to handle escalation policy configuration
+ */
+class EscalationPolicyController {
+  /**
+   * Report tier channel IDs that do not exist
+   */
+  async findUnknownChannels(tiers) {
+    const channels = await notificationService.getAllChannels();
+    const known = new Set(channels.map(c => c.channel_id));
+    const errors = [];
+
+    tiers.forEach((tier, i) => {
+      const unknown = tier.channel_ids.filter(id => !known.has(id));
+      if (unknown.length > 0) {
+        errors.push({ field: `tiers[${i}].channel_ids`, message: `Unknown notification channel(s): ${unknown.join(', ')}` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * List all escalation policies
+   */
+  async listPolicies(req, res) {
+    try {
+      const policies = await escalationService.getAllPolicies();
+      return successResponse(res, 'Escalation policies fetched successfully', policies);
+    } catch (error) {
+      console.error('List Escalation Policies Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get escalation policy by ID
+   */
+  async getPolicy(req, res) {
+    try {
+      const policy = await escalationService.getPolicyById(req.params.id);
+
+      if (!policy) {
+        return errorResponse(res, 'Escalation policy not found', 404);
+      }
+
+      return successResponse(res, 'Escalation policy fetched successfully', policy);
+    } catch (error) {
+      console.error('Get Escalation Policy Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create a new escalation policy
+   */
+  async createPolicy(req, res) {
+    try {
+      const { isValid, errors } = escalationPolicyValidator.validate(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const channelErrors = await this.findUnknownChannels(req.body.tiers);
+      if (channelErrors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, channelErrors);
+      }
+
+      const policy = await escalationService.createPolicy(req.body);
+      return successResponse(res, 'Escalation policy created successfully', policy, 201);
+    } catch (error) {
+      console.error('Create Escalation Policy Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Update an existing escalation policy
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await escalationService.getPolicyById(id);
+      if (!existing) {
+        return errorResponse(res, 'Escalation policy not found', 404);
+      }
+
+      // Validate the policy as it will look after the update
+      const merged = { ...existing, ...req.body };
+      const { isValid, errors } = escalationPolicyValidator.validate(merged);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const channelErrors = await this.findUnknownChannels(merged.tiers);
+      if (channelErrors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, channelErrors);
+      }
+
+      const policy = await escalationService.updatePolicy(id, req.body);
+      return successResponse(res, 'Escalation policy updated successfully', policy);
+    } catch (error) {
+      console.error('Update Escalation Policy Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete an escalation policy
+   */
+  async deletePolicy(req, res) {
+    try {
+      const policy = await escalationService.deletePolicy(req.params.id);
+
+      if (!policy) {
+        return errorResponse(res, 'Escalation policy not found', 404);
+      }
+
+      return successResponse(res, 'Escalation policy deleted successfully', policy);
+    } catch (error) {
+      console.error('Delete Escalation Policy Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new EscalationPolicyController();
@@ -0,0 +1,132 @@
+const incidentService = require('../services/incident.service');
+const alertApiService = require('../services/alert.api.service');
+const { successResponse, errorResponse } = require('../utils/response');
+
+const STATUSES = ['active', 'open', 'acknowledged', 'resolved'];
+
+/**
+ * Controller to handle incidents (correlated alert groups)
+ */
+class IncidentController {
+  /**
+   * List incidents
+   * Query params: status (active, open, acknowledged, resolved), limit
+   */
+  async listIncidents(req, res) {
+    try {
+      const { status = 'active', limit } = req.query;
+      if (!STATUSES.includes(status)) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'status', message: `status must be one of ${STATUSES.join(', ')}` }
+        ]);
+      }
+
+      const incidents = await incidentService.getIncidents({ status, limit });
+      return successResponse(res, 'Incidents fetched successfully', incidents);
+    } catch (error) {
+      console.error('List Incidents Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get incident by ID with its alerts
+   */
+  async getIncident(req, res) {
+    try {
+      const { id } = req.params;
+      const incident = await incidentService.getIncidentById(id);
+
+      if (!incident) {
+        return errorResponse(res, 'Incident not found', 404);
+      }
+
+      const alerts = await incidentService.getIncidentAlerts(id);
+      return successResponse(res, 'Incident fetched successfully', { ...incident, alerts });
+    } catch (error) {
+      console.error('Get Incident Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Acknowledge an open incident and all of its open alerts
+   * Body: { note } (optional), recorded on each alert's acknowledgement
+   */
+  async acknowledgeIncident(req, res) {
+    try {
+      const { id } = req.params;
+      const note = req.body ? req.body.note : undefined;
+      if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'note', message: 'note must be a string of at most 1000 characters' }
+        ]);
+      }
+
+      const incident = await incidentService.acknowledgeIncident(id, req.user.username);
+      if (!incident) {
+        return errorResponse(res, 'Incident not found or not open', 404);
+      }
+
+      const result = await alertApiService.bulkAcknowledge(
+        { incident_id: incident.incident_id },
+        { user: req.user.username, note }
+      );
+      console.log(`Incident ${id} acknowledged by ${req.user.username} (${result.alerts.length} alerts)`);
+
+      if (result.alerts.length > 0) {
+        this.broadcastEvent('alert_acknowledged', {
+          bulk: true,
+          batch_id: result.batch_id,
+          alert_ids: result.alerts.map(a => a.alert_id),
+          vehicle_ids: [...new Set(result.alerts.map(a => a.vehicle_id))],
+          count: result.alerts.length,
+          filters: { incident_id: incident.incident_id },
+          acknowledged_at: result.acknowledged_at,
+          acknowledged_by: req.user.username,
+          note: note || null
+        });
+      }
+      incidentService.broadcastIncident('incident_updated', incident);
+
+      return successResponse(res, 'Incident acknowledged successfully', {
+        ...incident,
+        acknowledged_alerts: result.alerts.length
+      });
+    } catch (error) {
+      console.error('Acknowledge Incident Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Resolve an incident by hand; alerts resolve on their own as conditions clear
+   */
+  async resolveIncident(req, res) {
+    try {
+      const incident = await incidentService.resolveIncident(req.params.id);
+
+      if (!incident) {
+        return errorResponse(res, 'Incident not found or already resolved', 404);
+      }
+
+      incidentService.broadcastIncident('incident_resolved', incident);
+      return successResponse(res, 'Incident resolved successfully', incident);
+    } catch (error) {
+      console.error('Resolve Incident Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Emit an event to all connected clients
+   */
+  broadcastEvent(event, payload) {
+    const broadcaster = require('../websocket/broadcaster');
+    if (broadcaster.io) {
+      broadcaster.io.emit(event, { event, ...payload, timestamp: Date.now() });
+    }
+  }
+}
+
+module.exports = new IncidentController();
@@ -0,0 +1,151 @@
+const notificationService = require('../services/notification.service');
+const notificationChannelValidator = require('../validators/notification.channel.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Controller to handle notification channel configuration and the delivery log
+ */
+class NotificationChannelController {
+  /**
+   * List all channels (webhook secrets masked)
+   */
+  async listChannels(req, res) {
+    try {
+      const channels = await notificationService.getAllChannels();
+      return successResponse(res, 'Notification channels fetched successfully', channels.map(c => notificationService.maskChannel(c)));
+    } catch (error) {
+      console.error('List Notification Channels Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get channel by ID
+   */
+  async getChannel(req, res) {
+    try {
+      const channel = await notificationService.getChannelById(req.params.id);
+
+      if (!channel) {
+        return errorResponse(res, 'Notification channel not found', 404);
+      }
+
+      return successResponse(res, 'Notification channel fetched successfully', notificationService.maskChannel(channel));
+    } catch (error) {
+      console.error('Get Notification Channel Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create a new channel
+   */
+  async createChannel(req, res) {
+    try {
+      const { isValid, errors } = notificationChannelValidator.validate(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const channel = await notificationService.createChannel(req.body);
+      return successResponse(res, 'Notification channel created successfully', notificationService.maskChannel(channel), 201);
+    } catch (error) {
+      console.error('Create Notification Channel Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Update an existing channel
+   * channel_type cannot change; a masked secret in the payload keeps the stored one
+   */
+  async updateChannel(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await notificationService.getChannelById(id);
+      if (!existing) {
+        return errorResponse(res, 'Notification channel not found', 404);
+      }
+
+      const changes = { ...req.body };
+      delete changes.channel_type;
+      if (changes.config && changes.config.secret === notificationService.SECRET_MASK) {
+        changes.config = { ...changes.config, secret: existing.config.secret };
+      }
+
+      // Validate the channel as it will look after the update
+      const { isValid, errors } = notificationChannelValidator.validate({ ...existing, ...changes });
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const channel = await notificationService.updateChannel(id, changes);
+      return successResponse(res, 'Notification channel updated successfully', notificationService.maskChannel(channel));
+    } catch (error) {
+      console.error('Update Notification Channel Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete a channel along with its delivery log
+   */
+  async deleteChannel(req, res) {
+    try {
+      const channel = await notificationService.deleteChannel(req.params.id);
+
+      if (!channel) {
+        return errorResponse(res, 'Notification channel not found', 404);
+      }
+
+      return successResponse(res, 'Notification channel deleted successfully', notificationService.maskChannel(channel));
+    } catch (error) {
+      console.error('Delete Notification Channel Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Send a sample notification through a channel and return the delivery attempt
+   */
+  async testChannel(req, res) {
+    try {
+      const channel = await notificationService.getChannelById(req.params.id);
+      if (!channel) {
+        return errorResponse(res, 'Notification channel not found', 404);
+      }
+
+      const delivery = await notificationService.sendTest(channel);
+      const message = delivery.status === 'sent' ? 'Test notification delivered' : 'Test notification failed';
+      return successResponse(res, message, delivery);
+    } catch (error) {
+      console.error('Test Notification Channel Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delivery log, filterable by channel_id, alert_id and status
+   */
+  async listDeliveries(req, res) {
+    try {
+      const { channel_id, alert_id, status, limit } = req.query;
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return errorResponse(res, 'Validation failed', 400, [
+          { field: 'status', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` }
+        ]);
+      }
+
+      const deliveries = await notificationService.getDeliveries({ channel_id, alert_id, status, limit });
+      return successResponse(res, 'Notification deliveries fetched successfully', deliveries);
+    } catch (error) {
+      console.error('List Notification Deliveries Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new NotificationChannelController();
@@ -0,0 +1,107 @@
+const offlineThresholdService = require('../services/offline.threshold.service');
+const vehicleService = require('../services/vehicle.service');
+const { successResponse, errorResponse } = require('../utils/response');
+
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+/**
+ * Controller to handle vehicle_offline silence threshold configuration
+ */
+class OfflineThresholdController {
+  /**
+   * List configured thresholds and the global default
+   */
+  async listThresholds(req, res) {
+    try {
+      const thresholds = await offlineThresholdService.getAllThresholds();
+      return successResponse(res, 'Offline thresholds fetched successfully', {
+        default_silence_seconds: offlineThresholdService.DEFAULT_SILENCE_SECONDS,
+        default_severity: offlineThresholdService.DEFAULT_SEVERITY,
+        thresholds
+      });
+    } catch (error) {
+      console.error('List Offline Thresholds Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get the effective threshold for one vehicle
+   */
+  async getVehicleThreshold(req, res) {
+    try {
+      const { vehicleId } = req.params;
+      const vehicle = await vehicleService.getVehicleById(vehicleId);
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const threshold = offlineThresholdService.resolve(vehicleId);
+      return successResponse(res, 'Effective offline threshold fetched successfully', {
+        vehicle_id: vehicleId,
+        vehicle_group: vehicle.vehicle_group,
+        silence_seconds: threshold.silenceMs / 1000,
+        severity: threshold.severity,
+        source: threshold.source
+      });
+    } catch (error) {
+      console.error('Get Vehicle Offline Threshold Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create or replace a vehicle or group threshold
+   */
+  async upsertThreshold(req, res) {
+    try {
+      const { vehicle_id, vehicle_group, silence_seconds, severity } = req.body;
+      const errors = [];
+
+      // Manual Validation
+      if (!vehicle_id === !vehicle_group) {
+        errors.push({ field: 'vehicle_id', message: 'Exactly one of vehicle_id or vehicle_group is required' });
+      }
+      if (!Number.isInteger(silence_seconds) || silence_seconds < 10) {
+        errors.push({ field: 'silence_seconds', message: 'silence_seconds must be an integer >= 10' });
+      }
+      if (severity !== undefined && !SEVERITIES.includes(severity)) {
+        errors.push({ field: 'severity', message: `severity must be one of ${SEVERITIES.join(', ')}` });
+      }
+      if (errors.length > 0) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      if (vehicle_id && !(await vehicleService.getVehicleById(vehicle_id))) {
+        return errorResponse(res, `Vehicle with ID ${vehicle_id} not found`, 404);
+      }
+
+      const threshold = await offlineThresholdService.upsertThreshold({ vehicle_id, vehicle_group, silence_seconds, severity });
+      return successResponse(res, 'Offline threshold saved successfully', threshold);
+    } catch (error) {
+      console.error('Upsert Offline Threshold Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete a threshold (falls back to the group or default)
+   */
+  async deleteThreshold(req, res) {
+    try {
+      const { id } = req.params;
+      const threshold = await offlineThresholdService.deleteThreshold(id);
+
+      if (!threshold) {
+        return errorResponse(res, 'Offline threshold not found', 404);
+      }
+
+      return successResponse(res, 'Offline threshold deleted successfully', threshold);
+    } catch (error) {
+      console.error('Delete Offline Threshold Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new OfflineThresholdController();
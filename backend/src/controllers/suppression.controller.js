@@ -0,0 +1,139 @@
+const suppressionService = require('../services/suppression.service');
+const vehicleService = require('../services/vehicle.service');
+const suppressionValidator = require('../validators/suppression.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller to handle maintenance windows, suppressions and suppressed alerts
+ */
+class SuppressionController {
+  /**
+   * List suppressions (?active=true for those in effect now)
+   */
+  async listSuppressions(req, res) {
+    try {
+      const suppressions = await suppressionService.getAllSuppressions({ active: req.query.active === 'true' });
+      return successResponse(res, 'Suppressions fetched successfully', suppressions);
+    } catch (error) {
+      console.error('List Suppressions Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Vehicles currently suppressed, for the dashboard indicator
+   */
+  async getSuppressedVehicles(req, res) {
+    try {
+      return successResponse(res, 'Suppressed vehicles fetched successfully', suppressionService.getSuppressedVehicles());
+    } catch (error) {
+      console.error('Get Suppressed Vehicles Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Alerts recorded while suppressed
+   * Query params: vehicle_id, suppression_id, limit
+   */
+  async listSuppressedAlerts(req, res) {
+    try {
+      const { vehicle_id, suppression_id, limit } = req.query;
+      const alerts = await suppressionService.getSuppressedAlerts({ vehicle_id, suppression_id, limit });
+      return successResponse(res, 'Suppressed alerts fetched successfully', alerts);
+    } catch (error) {
+      console.error('List Suppressed Alerts Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get suppression by ID
+   */
+  async getSuppression(req, res) {
+    try {
+      const suppression = await suppressionService.getSuppressionById(req.params.id);
+
+      if (!suppression) {
+        return errorResponse(res, 'Suppression not found', 404);
+      }
+
+      return successResponse(res, 'Suppression fetched successfully', suppression);
+    } catch (error) {
+      console.error('Get Suppression Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create a maintenance window or ad-hoc suppression
+   */
+  async createSuppression(req, res) {
+    try {
+      const { isValid, errors } = suppressionValidator.validate(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const { vehicle_id } = req.body;
+      if (vehicle_id && !(await vehicleService.getVehicleById(vehicle_id))) {
+        return errorResponse(res, `Vehicle with ID ${vehicle_id} not found`, 404);
+      }
+
+      const suppression = await suppressionService.createSuppression(req.body, req.user && req.user.username);
+      return successResponse(res, 'Suppression created successfully', suppression, 201);
+    } catch (error) {
+      console.error('Create Suppression Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Update a suppression (scope cannot change)
+   */
+  async updateSuppression(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await suppressionService.getSuppressionById(id);
+      if (!existing) {
+        return errorResponse(res, 'Suppression not found', 404);
+      }
+
+      const changes = { ...req.body };
+      delete changes.vehicle_id;
+      delete changes.vehicle_group;
+
+      // Validate the suppression as it will look after the update
+      const { isValid, errors } = suppressionValidator.validate({ ...existing, ...changes });
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const suppression = await suppressionService.updateSuppression(id, changes);
+      return successResponse(res, 'Suppression updated successfully', suppression);
+    } catch (error) {
+      console.error('Update Suppression Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete a suppression
+   */
+  async deleteSuppression(req, res) {
+    try {
+      const suppression = await suppressionService.deleteSuppression(req.params.id);
+
+      if (!suppression) {
+        return errorResponse(res, 'Suppression not found', 404);
+      }
+
+      return successResponse(res, 'Suppression deleted successfully', suppression);
+    } catch (error) {
+      console.error('Delete Suppression Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new SuppressionController();
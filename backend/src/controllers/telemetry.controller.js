@@ -1,8 +1,21 @@
 const telemetryService = require('../services/telemetry.service');
 const vehicleService = require('../services/vehicle.service');
+const vehicleProfileService = require('../services/vehicle.profile.service');
 const telemetryValidator = require('../validators/telemetry.validator');
+const startupService = require('../services/startup.service');
+const telemetryWriter = require('../services/telemetry.writer.service');
+const sequenceService = require('../services/sequence.service');
+const clockService = require('../services/clock.service');
+const deadLetterService = require('../services/dead.letter.service');
+const mqttBridge = require('../services/mqtt.bridge.service');
+const deviceCredentialService = require('../services/device.credential.service');
 const { successResponse, errorResponse } = require('../utils/response');
 
+// Largest number of packets accepted in one batch upload
+const MAX_BATCH_SIZE = parseInt(process.env.TELEMETRY_BATCH_MAX_SIZE) || 1000;
+// Key holding the text of an NDJSON line that is not valid JSON
+const INVALID_JSON = Symbol('invalid_json');
+
 /**
  * Controller to handle telemetry-related HTTP requests
  */
@@ -12,26 +25,190 @@ class TelemetryController {
    */
   async ingest(req, res) {
     try {
-      // 1. Validate request body
-      const { isValid, errors } = telemetryValidator.validate(req.body);
-      if (!isValid) {
-        return errorResponse(res, 'Validation failed', 400, errors);
+      // Device credentials, validation, vehicle lookup, storage, realtime and alerts
+      // (shared with the MQTT bridge)
+      const { status, errors } = await telemetryService.receivePacket(req.body, {
+        deviceToken: req.get('X-Device-Token')
+      });
+
+      // Keep refused packets for debugging and re-submission
+      deadLetterService.record({ source: 'http', reason: status, payload: req.body, errors, sourceInfo: this.sourceInfo(req) });
+
+      switch (status) {
+        case 'starting':
+          res.set('Retry-After', '5');
+          return errorResponse(res, 'Service is starting up, retry shortly', 503);
+        case 'unauthorized':
+          return errorResponse(res, 'Device authentication failed', 401, errors);
+        case 'invalid':
+          return errorResponse(res, 'Validation failed', 400, errors);
+        case 'unknown_vehicle':
+          return errorResponse(res, errors[0].message, 404);
+        case 'queue_full':
+          // Shed load while the write buffer is full
+          res.set('Retry-After', String(telemetryWriter.RETRY_AFTER_SEC));
+          return errorResponse(res, 'Telemetry queue is full, retry shortly', 429);
+        case 'duplicate':
+          // A retry of an already accepted packet succeeds without being stored again
+          return successResponse(res, 'Duplicate telemetry ignored', { duplicate: true });
+        default:
+          return successResponse(res, 'Telemetry data received');
+      }
+    } catch (error) {
+      console.error('Ingestion Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Where a packet came from, for the dead-letter store
+   */
+  sourceInfo(req) {
+    return {
+      ip: req.ip,
+      user_agent: req.get('User-Agent') || null,
+      device_token: Boolean(req.get('X-Device-Token'))
+    };
+  }
+
+  /**
+   * Read a batch body: a JSON array of packets, or NDJSON (one packet per line)
+   * Returns null when the body is neither
+   */
+  parseBatch(req) {
+    if (Array.isArray(req.body)) {
+      return req.body;
+    }
+    if (typeof req.body === 'string') {
+      return req.body
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return { [INVALID_JSON]: line };
+          }
+        });
+    }
+    return null;
+  }
+
+  /**
+   * Ingest a batch of telemetry packets with a per-packet accept/reject result
+   */
+  async ingestBatch(req, res) {
+    try {
+      // 0. Hold ingestion until startup hydration has completed
+      if (!(await startupService.waitUntilReady())) {
+        res.set('Retry-After', '5');
+        return errorResponse(res, 'Service is starting up, retry shortly', 503);
       }
 
-      const { vehicle_id } = req.body;
+      const packets = this.parseBatch(req);
+      if (!packets) {
+        return errorResponse(res, 'Request body must be a JSON array of telemetry packets or NDJSON', 400);
+      }
+      if (packets.length === 0) {
+        return errorResponse(res, 'Batch contains no packets', 400);
+      }
+      if (packets.length > MAX_BATCH_SIZE) {
+        return errorResponse(res, `Batch exceeds the maximum of ${MAX_BATCH_SIZE} packets`, 413);
+      }
 
-      // 2. Check if vehicle exists
-      const vehicle = await vehicleService.getVehicleById(vehicle_id);
-      if (!vehicle) {
-        return errorResponse(res, `Vehicle with ID ${vehicle_id} not found`, 404);
+      // 1. Validate each packet against its vehicle's model/override ranges
+      // (prepared holds the packets as ingested; packets keeps what was sent, for dead letters)
+      const prepared = [];
+      const results = packets.map((packet, index) => {
+        if (packet && packet[INVALID_JSON] !== undefined) {
+          return { index, status: 'rejected', reason: 'invalid', errors: [{ field: 'packet', message: 'Invalid JSON' }] };
+        }
+        if (!packet || typeof packet !== 'object' || Array.isArray(packet)) {
+          return { index, status: 'rejected', reason: 'invalid', errors: [{ field: 'packet', message: 'Packet must be an object' }] };
+        }
+
+        // Batched readings were buffered, so they correct the timestamp but do not feed the offset estimate
+        const corrected = clockService.prepare(packet, { live: false });
+        const limits = vehicleProfileService.getLimits(corrected.vehicle_id);
+        const { isValid, errors, schemaVersion } = telemetryValidator.validate(corrected, limits);
+        if (!isValid) {
+          return { index, vehicle_id: corrected.vehicle_id, status: 'rejected', reason: 'invalid', errors };
+        }
+        prepared[index] = { ...corrected, schema_version: schemaVersion };
+        return { index, vehicle_id: corrected.vehicle_id, timestamp: corrected.timestamp, status: 'accepted' };
+      });
+
+      // 2. Check the device token against each vehicle (one lookup per vehicle)
+      const deviceToken = req.get('X-Device-Token');
+      const authorizations = new Map();
+      for (const result of results.filter(r => r.status === 'accepted')) {
+        if (!authorizations.has(result.vehicle_id)) {
+          authorizations.set(result.vehicle_id, await deviceCredentialService.authorize(result.vehicle_id, deviceToken));
+        }
+        const { allowed, reason } = authorizations.get(result.vehicle_id);
+        if (!allowed) {
+          result.status = 'rejected';
+          result.reason = 'unauthorized';
+          result.errors = [telemetryService.credentialError(reason)];
+          delete result.timestamp;
+        }
+      }
+
+      // 3. Check the vehicles exist
+      const valid = results.filter(r => r.status === 'accepted');
+      if (valid.length > 0) {
+        const known = await vehicleService.getExistingVehicleIds(Array.from(new Set(valid.map(r => r.vehicle_id))));
+        valid.forEach(result => {
+          if (!known.has(result.vehicle_id)) {
+            result.status = 'rejected';
+            result.reason = 'unknown_vehicle';
+            result.errors = [{ field: 'vehicle_id', message: `Vehicle with ID ${result.vehicle_id} not found` }];
+            delete result.timestamp;
+          }
+        });
       }
 
-      // 3. Store telemetry & update last_seen
-      await telemetryService.ingestTelemetry(req.body);
+      // Keep refused packets for debugging and re-submission
+      const sourceInfo = this.sourceInfo(req);
+      results.filter(r => r.status === 'rejected').forEach(result => {
+        const packet = packets[result.index];
+        const raw = packet && packet[INVALID_JSON] !== undefined ? packet[INVALID_JSON] : null;
+        deadLetterService.record({
+          source: 'batch',
+          reason: result.reason,
+          payload: raw === null ? packet : null,
+          raw,
+          errors: result.errors,
+          sourceInfo: { ...sourceInfo, index: result.index }
+        });
+      });
+
+      const accepted = results.filter(r => r.status === 'accepted');
+      if (accepted.length === 0) {
+        return errorResponse(res, 'No packets accepted', 400, results);
+      }
+
+      // 4. Queue the accepted packets for a bulk write, then update realtime state and alerts
+      // (retries of packets already accepted are reported as duplicates and not stored again)
+      const statuses = await telemetryService.ingestBatch(accepted.map(r => prepared[r.index]));
+      if (!statuses) {
+        res.set('Retry-After', String(telemetryWriter.RETRY_AFTER_SEC));
+        return errorResponse(res, 'Telemetry queue is full, retry shortly', 429);
+      }
+      accepted.forEach((result, i) => {
+        result.status = statuses[i];
+      });
 
-      return successResponse(res, 'Telemetry data received');
+      const summary = {
+        accepted: results.filter(r => r.status === 'accepted').length,
+        duplicates: results.filter(r => r.status === 'duplicate').length,
+        rejected: results.filter(r => r.status === 'rejected').length,
+        results
+      };
+      return successResponse(res, `Accepted ${summary.accepted} of ${results.length} packets`, summary);
     } catch (error) {
-      console.error('Ingestion Error:', error);
+      console.error('Batch Ingestion Error:', error);
       return errorResponse(res, 'Internal Server Error');
     }
   }
@@ -79,6 +256,66 @@ class TelemetryController {
     }
   }
 
+  /**
+   * Get write buffer depth and throughput metrics
+   */
+  async getPipelineMetrics(req, res) {
+    try {
+      return successResponse(res, 'Telemetry pipeline metrics fetched', {
+        ...telemetryWriter.getMetrics(),
+        mqtt: mqttBridge.getStatus(),
+        device_auth: deviceCredentialService.getStats()
+      });
+    } catch (error) {
+      console.error('GetPipelineMetrics Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get per-vehicle packet-loss and duplicate statistics (all vehicles, or one via :vehicle_id)
+   */
+  async getPacketLoss(req, res) {
+    try {
+      const { vehicle_id } = req.params;
+
+      if (vehicle_id) {
+        const stats = sequenceService.getStats(vehicle_id);
+        if (!stats) {
+          return errorResponse(res, 'No sequence statistics for this vehicle', 404);
+        }
+        return successResponse(res, 'Packet loss statistics fetched', stats);
+      }
+
+      return successResponse(res, 'Packet loss statistics fetched', sequenceService.getAllStats());
+    } catch (error) {
+      console.error('GetPacketLoss Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get per-vehicle clock offset and late-data statistics (all vehicles, or one via :vehicle_id)
+   */
+  async getClockStats(req, res) {
+    try {
+      const { vehicle_id } = req.params;
+
+      if (vehicle_id) {
+        const stats = clockService.getStats(vehicle_id);
+        if (!stats) {
+          return errorResponse(res, 'No clock statistics for this vehicle', 404);
+        }
+        return successResponse(res, 'Clock statistics fetched', stats);
+      }
+
+      return successResponse(res, 'Clock statistics fetched', clockService.getAllStats());
+    } catch (error) {
+      console.error('GetClockStats Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
   /**
    * Get telemetry stats
    */
@@ -0,0 +1,130 @@
+const telemetrySchemaService = require('../services/telemetry.schema.service');
+const vehicleService = require('../services/vehicle.service');
+const telemetrySchemaValidator = require('../validators/telemetry.schema.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller to handle the telemetry schema registry
+ */
+class TelemetrySchemaController {
+  /**
+   * List schema versions, newest first
+   * Query params: model (a model name, or "fleet" for the fleet-wide schemas)
+   */
+  async listSchemas(req, res) {
+    try {
+      const { model } = req.query;
+      const schemas = await telemetrySchemaService.getSchemas(
+        model === undefined ? undefined : model === 'fleet' ? null : String(model)
+      );
+      return successResponse(res, 'Telemetry schemas fetched successfully', schemas);
+    } catch (error) {
+      console.error('List Telemetry Schemas Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get the schema version a vehicle's packets are currently validated against
+   */
+  async getEffectiveSchema(req, res) {
+    try {
+      const { vehicle_id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(vehicle_id);
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const resolved = telemetrySchemaService.resolve(vehicle_id);
+      if (resolved.error) {
+        return errorResponse(res, resolved.error, 404);
+      }
+
+      return successResponse(res, 'Effective telemetry schema fetched successfully', {
+        vehicle_id,
+        model: vehicle.model,
+        schema_version: resolved.version,
+        schema: resolved.schema
+      });
+    } catch (error) {
+      console.error('Get Effective Telemetry Schema Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get a schema version by ID
+   */
+  async getSchema(req, res) {
+    try {
+      const { id } = req.params;
+      if (!/^\d+$/.test(id)) {
+        return errorResponse(res, 'Telemetry schema not found', 404);
+      }
+
+      const schema = await telemetrySchemaService.getSchemaById(id);
+      if (!schema) {
+        return errorResponse(res, 'Telemetry schema not found', 404);
+      }
+
+      return successResponse(res, 'Telemetry schema fetched successfully', schema);
+    } catch (error) {
+      console.error('Get Telemetry Schema Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Publish a new schema version for a model (model_name null/omitted: fleet-wide)
+   * Body: { model_name, schema, description }
+   */
+  async createSchema(req, res) {
+    try {
+      const { isValid, errors } = telemetrySchemaValidator.validateCreate(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const schema = await telemetrySchemaService.createVersion({
+        model_name: req.body.model_name || null,
+        schema: req.body.schema,
+        description: req.body.description || null,
+        created_by: req.user.username
+      });
+      return successResponse(res, `Telemetry schema version ${schema.version} published`, schema, 201);
+    } catch (error) {
+      if (error.code === '23505') {
+        return errorResponse(res, 'Another version was published concurrently, retry', 409);
+      }
+      console.error('Create Telemetry Schema Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Retire a schema version
+   */
+  async retireSchema(req, res) {
+    try {
+      const { id } = req.params;
+      if (!/^\d+$/.test(id)) {
+        return errorResponse(res, 'Telemetry schema not found', 404);
+      }
+
+      const result = await telemetrySchemaService.retireVersion(id);
+      if (!result) {
+        return errorResponse(res, 'Telemetry schema not found', 404);
+      }
+      if (result.error) {
+        return errorResponse(res, result.error, 409);
+      }
+
+      return successResponse(res, 'Telemetry schema retired successfully', result.schema);
+    } catch (error) {
+      console.error('Retire Telemetry Schema Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new TelemetrySchemaController();
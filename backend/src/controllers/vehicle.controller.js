@@ -1,27 +1,46 @@
 const vehicleService = require('../services/vehicle.service');
+const vehicleProfileService = require('../services/vehicle.profile.service');
+const offlineThresholdService = require('../services/offline.threshold.service');
+const baselineService = require('../services/baseline.service');
+const deviceCredentialService = require('../services/device.credential.service');
+const vehicleLimitsValidator = require('../validators/vehicle.limits.validator');
 const { successResponse, errorResponse } = require('../utils/response');
 
 /**
  * Controller to handle vehicle-related HTTP requests
  */
 class VehicleController {
+  /**
+   * Refresh caches keyed by vehicle model/group after a vehicle changes
+   */
+  async applyVehicleChanges() {
+    try {
+      await Promise.all([vehicleProfileService.refresh(), offlineThresholdService.refresh()]);
+    } catch (error) {
+      console.error('[Vehicles] Cache refresh after change failed:', error.message);
+    }
+  }
+
   /**
    * Register a new vehicle
    */
   async registerVehicle(req, res) {
     try {
-      const { vehicle_id, model, registration_number } = req.body;
+      const { vehicle_id, model, registration_number, vehicle_group } = req.body;
 
       // Manual Validation
       if (!vehicle_id || !model || !registration_number) {
         return errorResponse(res, 'vehicle_id, model, and registration_number are mandatory', 400);
       }
 
+      // Includes the device token, which is only ever returned here and on rotation
       const vehicle = await vehicleService.createVehicle({
         vehicle_id,
         model,
         registration_number,
+        vehicle_group,
       });
+      await this.applyVehicleChanges();
 
       return successResponse(res, 'Vehicle registered successfully', vehicle, 201);
     } catch (error) {
@@ -65,6 +84,200 @@ class VehicleController {
     }
   }
 
+  /**
+   * Update vehicle details (model, registration_number, vehicle_group)
+   */
+  async updateVehicle(req, res) {
+    try {
+      const { id } = req.params;
+      const { model, registration_number, vehicle_group } = req.body;
+
+      // Manual Validation
+      if (model === '' || registration_number === '') {
+        return errorResponse(res, 'model and registration_number cannot be empty', 400);
+      }
+
+      const vehicle = await vehicleService.updateVehicle(id, { model, registration_number, vehicle_group });
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      await this.applyVehicleChanges();
+
+      return successResponse(res, 'Vehicle updated successfully', vehicle);
+    } catch (error) {
+      console.error('Update Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get effective alert/validation limits for a vehicle with their source
+   */
+  async getThresholds(req, res) {
+    try {
+      const { id } = req.params;
+      const breakdown = await vehicleProfileService.getLimitBreakdown(id);
+
+      if (!breakdown) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      return successResponse(res, 'Vehicle thresholds fetched successfully', breakdown);
+    } catch (error) {
+      console.error('Get Thresholds Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Merge per-vehicle threshold overrides; a null value removes an override
+   */
+  async updateThresholds(req, res) {
+    try {
+      const { id } = req.params;
+      const breakdown = await vehicleProfileService.getLimitBreakdown(id);
+
+      if (!breakdown) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return errorResponse(res, 'Request body must be an object of limit overrides', 400);
+      }
+
+      const overrides = { ...breakdown.overrides };
+      Object.entries(req.body).forEach(([key, value]) => {
+        if (value === null) delete overrides[key];
+        else overrides[key] = value;
+      });
+
+      const { isValid, errors } = vehicleLimitsValidator.validateLimits(overrides, {
+        base: { ...vehicleProfileService.DEFAULT_LIMITS, ...breakdown.model_limits },
+        field: 'overrides'
+      });
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      await vehicleProfileService.setVehicleOverrides(id, overrides);
+      const updated = await vehicleProfileService.getLimitBreakdown(id);
+
+      return successResponse(res, 'Vehicle thresholds updated successfully', updated);
+    } catch (error) {
+      console.error('Update Thresholds Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get the learned per-metric baselines of a vehicle
+   */
+  async getBaselines(req, res) {
+    try {
+      const { id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(id);
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      return successResponse(res, 'Vehicle baselines fetched successfully', {
+        vehicle_id: id,
+        warmup_samples: baselineService.WARMUP_SAMPLES,
+        baselines: baselineService.describe(id)
+      });
+    } catch (error) {
+      console.error('Get Baselines Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Discard a vehicle's baselines so they are relearned (e.g. after a motor or battery swap)
+   */
+  async resetBaselines(req, res) {
+    try {
+      const { id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(id);
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const removed = await baselineService.resetBaselines(id);
+      return successResponse(res, 'Vehicle baselines reset successfully', { vehicle_id: id, removed });
+    } catch (error) {
+      console.error('Reset Baselines Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * List a vehicle's device credentials (metadata only, never the token)
+   */
+  async getCredentials(req, res) {
+    try {
+      const { id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(id);
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const credentials = await deviceCredentialService.listCredentials(id);
+      return successResponse(res, 'Device credentials fetched successfully', {
+        vehicle_id: id,
+        auth_mode: deviceCredentialService.AUTH_MODE,
+        credentials
+      });
+    } catch (error) {
+      console.error('Get Credentials Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Issue a new device token; the previous ones keep working for a grace period
+   */
+  async rotateCredentials(req, res) {
+    try {
+      const { id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(id);
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const rotation = await deviceCredentialService.rotate(id);
+      return successResponse(res, 'Device token rotated successfully', { vehicle_id: id, ...rotation });
+    } catch (error) {
+      console.error('Rotate Credentials Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Revoke all device tokens of a vehicle immediately
+   */
+  async revokeCredentials(req, res) {
+    try {
+      const { id } = req.params;
+      const vehicle = await vehicleService.getVehicleById(id);
+
+      if (!vehicle) {
+        return errorResponse(res, 'Vehicle not found', 404);
+      }
+
+      const revoked = await deviceCredentialService.revoke(id);
+      return successResponse(res, 'Device tokens revoked successfully', { vehicle_id: id, revoked });
+    } catch (error) {
+      console.error('Revoke Credentials Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
   /**
    * Delete vehicle by ID
    * NOTE: Only removes vehicle record. Telemetry history remains for audit purposes.
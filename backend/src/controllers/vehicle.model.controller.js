@@ -0,0 +1,81 @@
+const vehicleProfileService = require('../services/vehicle.profile.service');
+const vehicleLimitsValidator = require('../validators/vehicle.limits.validator');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Controller to handle the vehicle model catalog
+ */
+class VehicleModelController {
+  /**
+   * List catalog models and the fleet-wide default limits
+   */
+  async listModels(req, res) {
+    try {
+      const models = await vehicleProfileService.getAllModels();
+      return successResponse(res, 'Vehicle models fetched successfully', {
+        default_limits: vehicleProfileService.DEFAULT_LIMITS,
+        models
+      });
+    } catch (error) {
+      console.error('List Vehicle Models Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Get a catalog model by name
+   */
+  async getModel(req, res) {
+    try {
+      const model = await vehicleProfileService.getModel(req.params.modelName);
+
+      if (!model) {
+        return errorResponse(res, 'Vehicle model not found', 404);
+      }
+
+      return successResponse(res, 'Vehicle model fetched successfully', model);
+    } catch (error) {
+      console.error('Get Vehicle Model Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Create or replace a catalog model
+   * The model name must match vehicles.model for vehicles to pick it up
+   */
+  async upsertModel(req, res) {
+    try {
+      const { isValid, errors } = vehicleLimitsValidator.validateModel(req.body);
+      if (!isValid) {
+        return errorResponse(res, 'Validation failed', 400, errors);
+      }
+
+      const model = await vehicleProfileService.upsertModel(req.params.modelName, req.body);
+      return successResponse(res, 'Vehicle model saved successfully', model);
+    } catch (error) {
+      console.error('Upsert Vehicle Model Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+
+  /**
+   * Delete a catalog model
+   */
+  async deleteModel(req, res) {
+    try {
+      const model = await vehicleProfileService.deleteModel(req.params.modelName);
+
+      if (!model) {
+        return errorResponse(res, 'Vehicle model not found', 404);
+      }
+
+      return successResponse(res, 'Vehicle model deleted successfully', model);
+    } catch (error) {
+      console.error('Delete Vehicle Model Error:', error);
+      return errorResponse(res, 'Internal Server Error');
+    }
+  }
+}
+
+module.exports = new VehicleModelController();
@@ -6,7 +6,8 @@ require('dotenv').config();
 // ================================================
 // With 250 vehicles sending telemetry every 500ms:
 // - Expected load: ~500 telemetry inserts/second
-// - Each telemetry triggers: 1 INSERT + 1 UPDATE + alert evaluation
+// - Telemetry rows are buffered and written as multi-row INSERTs with one
+//   last_seen UPDATE per batch (see services/telemetry.writer.service.js)
 // - Pool size tuned for concurrent connections without overwhelming PostgreSQL
 
 const pool = new Pool({
@@ -71,5 +72,10 @@ module.exports = {
     total: pool.totalCount,
     idle: pool.idleCount,
     waiting: pool.waitingCount
-  })
+  }),
+  /**
+   * Whether a query failed because of the data it was given (SQLSTATE class 22
+   * data exception or 23 integrity violation), so retrying it cannot succeed
+   */
+  isDataError: (err) => /^2[23]/.test((err && err.code) || '')
 };
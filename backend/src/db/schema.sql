@@ -49,3 +49,379 @@ CREATE INDEX IF NOT EXISTS idx_alerts_type ON alerts(alert_type);
 CREATE INDEX IF NOT EXISTS idx_alerts_resolved_severity ON alerts(resolved_at, severity) WHERE resolved_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_alerts_resolved_vehicle ON alerts(resolved_at, vehicle_id) WHERE resolved_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_alerts_resolved_created ON alerts(resolved_at, created_at) WHERE resolved_at IS NULL;
+
+-- Alert rules table (configurable thresholds evaluated by AlertEvaluator)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    rule_id SERIAL PRIMARY KEY,
+    alert_type VARCHAR(50) NOT NULL,      -- Rows sharing a type are OR-ed together
+    severity VARCHAR(20) NOT NULL,        -- INFO, WARNING, CRITICAL
+    metric VARCHAR(50) NOT NULL,          -- Telemetry field name (e.g., motor_temp)
+    comparator VARCHAR(2) NOT NULL,       -- >, >=, <, <=, ==, !=
+    threshold DOUBLE PRECISION NOT NULL,
+    message_template TEXT NOT NULL,       -- Supports {{value}}, {{metric}}, {{threshold}} and {{expressions}}
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    is_builtin BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(enabled);
+
+-- Expression-based alert rules (e.g. "soc < 20 AND speed > 60")
+-- A rule uses either expression or metric/comparator/threshold
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS expression TEXT;
+ALTER TABLE alert_rules ALTER COLUMN metric DROP NOT NULL;
+ALTER TABLE alert_rules ALTER COLUMN comparator DROP NOT NULL;
+ALTER TABLE alert_rules ALTER COLUMN threshold DROP NOT NULL;
+
+-- Trigger windows and hysteresis for alert rules
+-- Raise only after the violation holds for trigger_samples samples AND trigger_duration_sec seconds;
+-- clear only once clear_threshold / clear_expression is satisfied (e.g. raise at soc < 20, clear at soc > 23)
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS trigger_samples INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS trigger_duration_sec INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS clear_threshold DOUBLE PRECISION;
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS clear_expression TEXT;
+
+-- Per-vehicle trigger/clear state snapshot, restored on startup
+CREATE TABLE IF NOT EXISTS alert_rule_state (
+    vehicle_id VARCHAR(50) NOT NULL,
+    alert_type VARCHAR(50) NOT NULL,
+    pending_since BIGINT,                 -- Epoch ms of the first sample in the current violation streak
+    consecutive_samples INTEGER NOT NULL DEFAULT 0,
+    last_sample_at BIGINT,                -- Epoch ms of the latest violating sample
+    active BOOLEAN NOT NULL DEFAULT FALSE, -- Alert raised and not yet cleared
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (vehicle_id, alert_type)
+);
+
+-- Vehicle groups (e.g., depot or fleet segment) used for group-level configuration
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS vehicle_group VARCHAR(50);
+CREATE INDEX IF NOT EXISTS idx_vehicles_group ON vehicles(vehicle_group);
+
+-- Silence thresholds for the vehicle_offline alert (per vehicle or per group)
+CREATE TABLE IF NOT EXISTS offline_thresholds (
+    threshold_id SERIAL PRIMARY KEY,
+    vehicle_id VARCHAR(50) REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+    vehicle_group VARCHAR(50),
+    silence_seconds INTEGER NOT NULL,
+    severity VARCHAR(20) NOT NULL DEFAULT 'WARNING',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((vehicle_id IS NULL) <> (vehicle_group IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offline_thresholds_vehicle ON offline_thresholds(vehicle_id) WHERE vehicle_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offline_thresholds_group ON offline_thresholds(vehicle_group) WHERE vehicle_group IS NOT NULL;
+
+-- Vehicle model catalog: nominal pack data plus limits overriding the fleet defaults
+-- limits keys: speed_max, voltage_min/max, voltage_warning_low/high, current_min/max,
+-- current_warning_low/high, motor_temp_max/warning/critical, battery_temp_max/warning/critical
+CREATE TABLE IF NOT EXISTS vehicle_models (
+    model_name VARCHAR(100) PRIMARY KEY,  -- Matches vehicles.model
+    nominal_voltage DOUBLE PRECISION,     -- Nominal pack voltage (V)
+    capacity_kwh DOUBLE PRECISION,        -- Usable pack capacity (kWh)
+    limits JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-vehicle limit overrides (same keys as vehicle_models.limits)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS threshold_overrides JSONB NOT NULL DEFAULT '{}';
+
+-- Threshold rules can resolve their threshold from the vehicle's limits
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS threshold_ref VARCHAR(50);
+
+-- Point previously seeded built-in rules at the per-vehicle limits
+UPDATE alert_rules SET threshold_ref = CASE
+    WHEN metric = 'motor_temp' AND threshold = 80 THEN 'motor_temp_warning'
+    WHEN metric = 'battery_temp' AND threshold = 50 THEN 'battery_temp_warning'
+    WHEN metric = 'motor_temp' AND threshold = 100 THEN 'motor_temp_critical'
+    WHEN metric = 'battery_temp' AND threshold = 60 THEN 'battery_temp_critical'
+    WHEN metric = 'battery_voltage' AND threshold = 48 THEN 'voltage_warning_low'
+    WHEN metric = 'battery_voltage' AND threshold = 84 THEN 'voltage_warning_high'
+    WHEN metric = 'battery_current' AND threshold = 150 THEN 'current_warning_high'
+    WHEN metric = 'battery_current' AND threshold = -150 THEN 'current_warning_low'
+END
+WHERE is_builtin = TRUE AND threshold_ref IS NULL AND expression IS NULL;
+
+-- Notification channels: outbound webhooks and email, routed by severity, alert type and vehicle group
+-- config: webhook { url, secret, headers } | email { recipients }
+-- Empty alert_types / vehicle_groups match everything
+CREATE TABLE IF NOT EXISTS notification_channels (
+    channel_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    channel_type VARCHAR(20) NOT NULL CHECK (channel_type IN ('webhook', 'email')),
+    config JSONB NOT NULL DEFAULT '{}',
+    min_severity VARCHAR(20) NOT NULL DEFAULT 'INFO',
+    alert_types TEXT[] NOT NULL DEFAULT '{}',
+    vehicle_groups TEXT[] NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Delivery log: one row per alert and channel, retried with backoff until sent or failed
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    delivery_id BIGSERIAL PRIMARY KEY,
+    channel_id INTEGER NOT NULL REFERENCES notification_channels(channel_id) ON DELETE CASCADE,
+    alert_id UUID REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sending (claimed by a worker), sent, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    response_code INTEGER,                          -- HTTP status (webhook) or SMTP reply code (email)
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_sending ON notification_deliveries(updated_at) WHERE status = 'sending';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries(channel_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_alert ON notification_deliveries(alert_id);
+
+-- Escalation policies: notify successive tiers while a matching alert stays unacknowledged
+-- tiers: [{ "after_minutes": 10, "channel_ids": [1, 2] }, ...] with after_minutes counted from alert creation
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    policy_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    min_severity VARCHAR(20) NOT NULL DEFAULT 'CRITICAL',
+    alert_types TEXT[] NOT NULL DEFAULT '{}',
+    vehicle_groups TEXT[] NOT NULL DEFAULT '{}',
+    tiers JSONB NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Escalation state and history on the alert itself
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_level INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_policy_id INTEGER REFERENCES escalation_policies(policy_id) ON DELETE SET NULL;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_history JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS last_escalated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_unacknowledged ON alerts(created_at) WHERE acknowledged_at IS NULL AND resolved_at IS NULL;
+
+-- Maintenance windows and ad-hoc suppressions
+-- Scope: one vehicle, one group, or the whole fleet (then alert_types is required)
+-- Empty alert_types suppresses every alert type within the scope
+CREATE TABLE IF NOT EXISTS alert_suppressions (
+    suppression_id SERIAL PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL DEFAULT 'maintenance', -- maintenance, suppression
+    vehicle_id VARCHAR(50) REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+    vehicle_group VARCHAR(50),
+    alert_types TEXT[] NOT NULL DEFAULT '{}',
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    reason TEXT NOT NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (vehicle_id IS NULL OR vehicle_group IS NULL),
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_suppressions_ends_at ON alert_suppressions(ends_at);
+
+-- Alerts that would have been raised during a suppression (one row per suppression, vehicle and type)
+CREATE TABLE IF NOT EXISTS suppressed_alerts (
+    suppressed_id BIGSERIAL PRIMARY KEY,
+    suppression_id INTEGER NOT NULL REFERENCES alert_suppressions(suppression_id) ON DELETE CASCADE,
+    vehicle_id VARCHAR(50) NOT NULL,
+    alert_type VARCHAR(50) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB,                           -- Latest suppressed sample
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (suppression_id, vehicle_id, alert_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppressed_alerts_vehicle ON suppressed_alerts(vehicle_id, last_seen_at DESC);
+
+-- Alert ownership and snooze
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS assignee VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMP;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS snoozed_by VARCHAR(100);
+
+-- Operator notes on alerts
+CREATE TABLE IF NOT EXISTS alert_comments (
+    comment_id BIGSERIAL PRIMARY KEY,
+    alert_id UUID NOT NULL REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    author VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_comments_alert ON alert_comments(alert_id, created_at);
+
+-- Acknowledgement identity on the alert
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS acknowledged_by VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS acknowledgement_note TEXT;
+
+-- Acknowledgement audit trail (bulk acknowledgements share a batch_id)
+CREATE TABLE IF NOT EXISTS alert_acknowledgements (
+    ack_id BIGSERIAL PRIMARY KEY,
+    alert_id UUID NOT NULL REFERENCES alerts(alert_id) ON DELETE CASCADE,
+    acknowledged_by VARCHAR(100) NOT NULL,
+    note TEXT,
+    batch_id UUID,
+    filters JSONB,                        -- Filter used for a bulk acknowledgement
+    acknowledged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_acknowledgements_alert ON alert_acknowledgements(alert_id);
+CREATE INDEX IF NOT EXISTS idx_alert_acknowledgements_user ON alert_acknowledgements(acknowledged_by, acknowledged_at DESC);
+
+-- Incidents: correlated alerts with their own lifecycle
+-- correlation_type 'group_type': same alert_type across a vehicle group within the window
+-- correlation_type 'vehicle': several alert types on one vehicle within the window
+CREATE TABLE IF NOT EXISTS incidents (
+    incident_id SERIAL PRIMARY KEY,
+    correlation_type VARCHAR(20) NOT NULL,
+    correlation_key VARCHAR(200) NOT NULL,
+    vehicle_group VARCHAR(50),
+    vehicle_id VARCHAR(50),
+    alert_type VARCHAR(50),
+    title TEXT,
+    severity VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, acknowledged, resolved
+    alert_count INTEGER NOT NULL DEFAULT 0,
+    vehicle_count INTEGER NOT NULL DEFAULT 0,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_alert_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_at TIMESTAMP,
+    acknowledged_by VARCHAR(100),
+    resolved_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One live incident per correlation key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_live_key ON incidents(correlation_key) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_incidents_status ON incidents(status, last_alert_at DESC);
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS incident_id INTEGER REFERENCES incidents(incident_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_alerts_incident ON alerts(incident_id) WHERE incident_id IS NOT NULL;
+
+-- Alert history: per-vehicle listing by time
+CREATE INDEX IF NOT EXISTS idx_alerts_vehicle_created ON alerts(vehicle_id, created_at DESC);
+
+-- Per-vehicle learned baselines (EWMA mean/variance) used by zscore() in rule expressions
+CREATE TABLE IF NOT EXISTS vehicle_baselines (
+    vehicle_id VARCHAR(50) NOT NULL,
+    metric VARCHAR(50) NOT NULL,          -- Telemetry field name (e.g., motor_temp)
+    mean DOUBLE PRECISION NOT NULL,
+    variance DOUBLE PRECISION NOT NULL,
+    samples BIGINT NOT NULL,              -- Samples folded in; baselines are used once warmed up
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (vehicle_id, metric)
+);
+
+-- Built-in anomaly rules for databases seeded before they existed
+INSERT INTO alert_rules (alert_type, severity, expression, trigger_samples, message_template, is_builtin)
+SELECT r.alert_type, r.severity, r.expression, r.trigger_samples, r.message_template, TRUE
+FROM (VALUES
+    ('anomaly', 'WARNING', 'abs(zscore(motor_temp)) > limits.anomaly_z_score', 3,
+     'Motor temperature {{motor_temp}}°C is unusual for this vehicle (baseline {{baseline_mean(motor_temp)}}°C, z-score {{zscore(motor_temp)}})'),
+    ('anomaly', 'WARNING', 'abs(zscore(battery_temp)) > limits.anomaly_z_score', 3,
+     'Battery temperature {{battery_temp}}°C is unusual for this vehicle (baseline {{baseline_mean(battery_temp)}}°C, z-score {{zscore(battery_temp)}})')
+) AS r(alert_type, severity, expression, trigger_samples, message_template)
+WHERE EXISTS (SELECT 1 FROM alert_rules)
+AND NOT EXISTS (SELECT 1 FROM alert_rules WHERE alert_type = 'anomaly');
+
+-- Idempotent ingestion: optional per-vehicle sequence number and message ID on each packet
+ALTER TABLE telemetry ADD COLUMN IF NOT EXISTS seq BIGINT;
+ALTER TABLE telemetry ADD COLUMN IF NOT EXISTS message_id VARCHAR(100);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_telemetry_vehicle_message ON telemetry(vehicle_id, message_id) WHERE message_id IS NOT NULL;
+
+-- Per-vehicle duplicate and packet-loss counters, restored on startup
+CREATE TABLE IF NOT EXISTS vehicle_sequence_stats (
+    vehicle_id VARCHAR(50) PRIMARY KEY,
+    highest_seq BIGINT,                   -- Highest seq of the current sequence
+    highest_ts BIGINT,                    -- Timestamp (epoch ms) of the packet with highest_seq
+    received BIGINT NOT NULL DEFAULT 0,
+    duplicates BIGINT NOT NULL DEFAULT 0,
+    missing BIGINT NOT NULL DEFAULT 0,    -- Skipped seqs not (yet) received
+    gaps BIGINT NOT NULL DEFAULT 0,       -- Times the sequence jumped
+    recovered BIGINT NOT NULL DEFAULT 0,  -- Skipped seqs that arrived late
+    restarts BIGINT NOT NULL DEFAULT 0,   -- Times the device restarted its sequence
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-vehicle device tokens for telemetry ingestion (only a SHA-256 hash is stored)
+-- Rotation sets expires_at on the previous tokens (grace period); revocation sets revoked_at
+CREATE TABLE IF NOT EXISTS device_credentials (
+    credential_id SERIAL PRIMARY KEY,
+    vehicle_id VARCHAR(50) NOT NULL REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(12) NOT NULL,    -- First characters, to tell tokens apart
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_credentials_vehicle ON device_credentials(vehicle_id);
+
+-- Late data: packets received long after their timestamp or out of order are stored
+-- flagged late (history only, never current state); device_timestamp keeps the
+-- device's own timestamp when it was corrected for clock offset
+ALTER TABLE telemetry ADD COLUMN IF NOT EXISTS late BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE telemetry ADD COLUMN IF NOT EXISTS device_timestamp BIGINT;
+
+-- Per-vehicle clock offset estimate and late-data counters, restored on startup
+CREATE TABLE IF NOT EXISTS vehicle_clock_stats (
+    vehicle_id VARCHAR(50) PRIMARY KEY,
+    offset_ms BIGINT,                     -- Estimated receive time minus device time
+    newest_ts BIGINT,                     -- Newest timestamp (epoch ms) received
+    received BIGINT NOT NULL DEFAULT 0,
+    late BIGINT NOT NULL DEFAULT 0,
+    out_of_order BIGINT NOT NULL DEFAULT 0,
+    corrected BIGINT NOT NULL DEFAULT 0,  -- Timestamps shifted by offset_ms
+    ahead BIGINT NOT NULL DEFAULT 0,      -- Timestamps ahead of server time
+    max_lag_ms BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dead-letter store: telemetry refused by ingestion, kept for debugging and re-submission
+CREATE TABLE IF NOT EXISTS telemetry_dead_letters (
+    dead_letter_id BIGSERIAL PRIMARY KEY,
+    vehicle_id VARCHAR(50),               -- From the packet (or MQTT topic); not necessarily registered
+    source VARCHAR(20) NOT NULL,          -- http, batch or mqtt
+    reason VARCHAR(30) NOT NULL,          -- invalid, unknown_vehicle or unauthorized
+    payload JSONB,                        -- The packet as received
+    raw_payload TEXT,                     -- Original text when it was not valid JSON (or too large)
+    errors JSONB NOT NULL DEFAULT '[]',   -- [{ field, message }]
+    source_info JSONB NOT NULL DEFAULT '{}', -- e.g. ip, user_agent, batch index, MQTT topic
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending or resubmitted
+    resubmit_attempts INTEGER NOT NULL DEFAULT 0,
+    last_resubmit_status VARCHAR(30),
+    last_resubmit_errors JSONB,
+    resubmitted_at TIMESTAMP,
+    resubmitted_by VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_received ON telemetry_dead_letters(received_at);
+CREATE INDEX IF NOT EXISTS idx_dead_letters_vehicle ON telemetry_dead_letters(vehicle_id, dead_letter_id);
+
+-- Telemetry schema registry: versioned JSON Schema for the data object, per vehicle model
+-- (model_name NULL = fleet-wide, used by models without their own); versions are immutable
+CREATE TABLE IF NOT EXISTS telemetry_schemas (
+    schema_id SERIAL PRIMARY KEY,
+    model_name VARCHAR(100),              -- Matches vehicles.model; NULL for fleet-wide
+    version INTEGER NOT NULL,
+    schema JSONB NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- active or retired
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_telemetry_schemas_version ON telemetry_schemas(COALESCE(model_name, ''), version);
+
+-- Schema version each packet was validated against
+ALTER TABLE telemetry ADD COLUMN IF NOT EXISTS schema_version INTEGER;
@@ -9,7 +9,8 @@ const JWT_SECRET = process.env.JWT_SECRET || 'ev_platform_secret_2026';
  * Attaches the user payload (id, role) to the request object.
  * 
  * DESIGN DECISION: This middleware is additive. If a route is not 
- * wrapped with this, it remains publicly accessible (e.g., telemetry ingestion).
+ * wrapped with this, it remains publicly accessible (e.g., telemetry ingestion,
+ * which checks per-vehicle device tokens instead).
  */
 const authenticate = (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -0,0 +1,30 @@
+const { errorResponse } = require('../utils/response');
+
+// Largest SERIAL (int4) value; bigger numbers would fail in Postgres
+const MAX_SERIAL_ID = 2147483647;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Route param check for SERIAL IDs (use with router.param)
+ *
+ * Rejects malformed IDs with 400 before they reach the database, where
+ * they would otherwise fail the integer cast and surface as a 500.
+ */
+const serialIdParam = (label) => (req, res, next, value) => {
+  if (!/^\d+$/.test(value) || Number(value) > MAX_SERIAL_ID) {
+    return errorResponse(res, `Invalid ${label} ID`, 400);
+  }
+  next();
+};
+
+/**
+ * Route param check for UUIDs (use with router.param)
+ */
+const uuidParam = (label) => (req, res, next, value) => {
+  if (!UUID_PATTERN.test(value)) {
+    return errorResponse(res, `Invalid ${label} ID`, 400);
+  }
+  next();
+};
+
+module.exports = { serialIdParam, uuidParam };
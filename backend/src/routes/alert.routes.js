@@ -1,9 +1,12 @@
 const express = require('express');
 const alertController = require('../controllers/alert.controller');
 const { authenticate, authorize } = require('../middleware/auth');
+const { uuidParam } = require('../middleware/params');
 
 const router = express.Router();
 
+router.param('id', uuidParam('alert'));
+
 // List all active alerts (Authenticated users)
 router.get('/', authenticate, (req, res) => alertController.listActiveAlerts(req, res));
 
@@ -22,6 +25,10 @@ router.get('/stats/vehicle-health', authenticate, (req, res) => alertController.
 // Get top problem vehicles
 router.get('/stats/top-problem-vehicles', authenticate, (req, res) => alertController.getTopProblemVehicles(req, res));
 
+// Get MTTA / MTTR response-time metrics (Authenticated users)
+// Query params: group_by, time_window, severity, sla_ack_minutes, sla_resolve_minutes
+router.get('/stats/response-times', authenticate, (req, res) => alertController.getResponseTimeMetrics(req, res));
+
 // Get active alert counts per vehicle (Authenticated users)
 // Query params: vehicle_id, severity, time_window
 router.get('/stats/per-vehicle', authenticate, (req, res) => alertController.getAlertCountsPerVehicle(req, res));
@@ -34,6 +41,17 @@ router.get('/stats/by-severity', authenticate, (req, res) => alertController.get
 // Query params: vehicle_id, severity, time_window
 router.get('/stats/by-type', authenticate, (req, res) => alertController.getAlertCountsByType(req, res));
 
+// Acknowledgement audit trail (Admin only)
+// Query params: alert_id, acknowledged_by, vehicle_id, limit
+router.get('/acknowledgements', authenticate, authorize(['admin']), (req, res) => alertController.listAcknowledgements(req, res));
+
+// Bulk acknowledge open alerts by vehicle_id / alert_type / severity (Admin only)
+router.post('/acknowledge', authenticate, authorize(['admin']), (req, res) => alertController.bulkAcknowledge(req, res));
+
+// Alert history with cursor pagination (Authenticated users)
+// Query params: vehicle_id, alert_type, severity, status, from, to, q, sort, order, limit, cursor
+router.get('/history', authenticate, (req, res) => alertController.getAlertHistory(req, res));
+
 // Get resolved alerts for a specific vehicle
 router.get('/vehicle/:vehicleId/resolved', authenticate, (req, res) => alertController.getResolvedAlertsByVehicle(req, res));
 
@@ -43,4 +61,22 @@ router.get('/:id', authenticate, (req, res) => alertController.getAlert(req, res
 // Acknowledge alert (Admin only)
 router.post('/:id/acknowledge', authenticate, authorize(['admin']), (req, res) => alertController.acknowledge(req, res));
 
+// Take ownership of / assign alert (Authenticated users; assigning others is admin only)
+router.post('/:id/assign', authenticate, (req, res) => alertController.assign(req, res));
+
+// Release alert ownership (Assignee or admin)
+router.delete('/:id/assign', authenticate, (req, res) => alertController.unassign(req, res));
+
+// Snooze alert (Authenticated users)
+router.post('/:id/snooze', authenticate, (req, res) => alertController.snooze(req, res));
+
+// Cancel alert snooze (Authenticated users)
+router.delete('/:id/snooze', authenticate, (req, res) => alertController.unsnooze(req, res));
+
+// List alert comments (Authenticated users)
+router.get('/:id/comments', authenticate, (req, res) => alertController.listComments(req, res));
+
+// Add alert comment (Authenticated users)
+router.post('/:id/comments', authenticate, (req, res) => alertController.addComment(req, res));
+
 module.exports = router;
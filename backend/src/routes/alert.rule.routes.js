@@ -0,0 +1,29 @@
+const express = require('express');
+const alertRuleController = require('../controllers/alert.rule.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('alert rule'));
+
+// List all alert rules (Admin only)
+router.get('/', authenticate, authorize(['admin']), (req, res) => alertRuleController.listRules(req, res));
+
+// Replay stored telemetry through a candidate rule set, writing nothing (Admin only)
+// Body: from, to, vehicle_ids, rules
+router.post('/backtest', authenticate, authorize(['admin']), (req, res) => alertRuleController.backtest(req, res));
+
+// Get alert rule by ID (Admin only)
+router.get('/:id', authenticate, authorize(['admin']), (req, res) => alertRuleController.getRule(req, res));
+
+// Create alert rule (Admin only)
+router.post('/', authenticate, authorize(['admin']), (req, res) => alertRuleController.createRule(req, res));
+
+// Update alert rule (Admin only)
+router.put('/:id', authenticate, authorize(['admin']), (req, res) => alertRuleController.updateRule(req, res));
+
+// Delete alert rule (Admin only)
+router.delete('/:id', authenticate, authorize(['admin']), (req, res) => alertRuleController.deleteRule(req, res));
+
+module.exports = router;
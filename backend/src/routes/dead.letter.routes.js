@@ -0,0 +1,24 @@
+const express = require('express');
+const deadLetterController = require('../controllers/dead.letter.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Browse rejected telemetry packets (Admin only)
+// Query params: vehicle_id, source, reason, field, status, from, to, limit, before
+router.get('/', authenticate, authorize(['admin']), (req, res) => deadLetterController.listDeadLetters(req, res));
+
+// Rejection rates per vehicle and per field (Admin only)
+// Query params: hours (default 24)
+router.get('/stats', authenticate, authorize(['admin']), (req, res) => deadLetterController.getStats(req, res));
+
+// Re-submit several dead letters with their stored payloads (Admin only)
+router.post('/resubmit', authenticate, authorize(['admin']), (req, res) => deadLetterController.resubmitBulk(req, res));
+
+// Get a dead letter by ID (Admin only)
+router.get('/:id', authenticate, authorize(['admin']), (req, res) => deadLetterController.getDeadLetter(req, res));
+
+// Re-submit a dead letter, optionally with a corrected payload (Admin only)
+router.post('/:id/resubmit', authenticate, authorize(['admin']), (req, res) => deadLetterController.resubmit(req, res));
+
+module.exports = router;
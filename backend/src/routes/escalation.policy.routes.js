@@ -0,0 +1,25 @@
+const express = require('express');
+const escalationPolicyController = require('../controllers/escalation.policy.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('escalation policy'));
+
+// List escalation policies (Admin only)
+router.get('/', authenticate, authorize(['admin']), (req, res) => escalationPolicyController.listPolicies(req, res));
+
+// Get escalation policy by ID (Admin only)
+router.get('/:id', authenticate, authorize(['admin']), (req, res) => escalationPolicyController.getPolicy(req, res));
+
+// Create escalation policy (Admin only)
+router.post('/', authenticate, authorize(['admin']), (req, res) => escalationPolicyController.createPolicy(req, res));
+
+// Update escalation policy (Admin only)
+router.put('/:id', authenticate, authorize(['admin']), (req, res) => escalationPolicyController.updatePolicy(req, res));
+
+// Delete escalation policy (Admin only)
+router.delete('/:id', authenticate, authorize(['admin']), (req, res) => escalationPolicyController.deletePolicy(req, res));
+
+module.exports = router;
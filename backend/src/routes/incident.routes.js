@@ -0,0 +1,23 @@
+const express = require('express');
+const incidentController = require('../controllers/incident.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('incident'));
+
+// List incidents (Authenticated users)
+// Query params: status (active, open, acknowledged, resolved), limit
+router.get('/', authenticate, (req, res) => incidentController.listIncidents(req, res));
+
+// Get incident with its alerts (Authenticated users)
+router.get('/:id', authenticate, (req, res) => incidentController.getIncident(req, res));
+
+// Acknowledge incident and its open alerts (Admin only)
+router.post('/:id/acknowledge', authenticate, authorize(['admin']), (req, res) => incidentController.acknowledgeIncident(req, res));
+
+// Resolve incident (Admin only)
+router.post('/:id/resolve', authenticate, authorize(['admin']), (req, res) => incidentController.resolveIncident(req, res));
+
+module.exports = router;
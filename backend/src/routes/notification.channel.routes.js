@@ -0,0 +1,31 @@
+const express = require('express');
+const notificationChannelController = require('../controllers/notification.channel.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('notification channel'));
+
+// Delivery log across channels (Admin only)
+router.get('/deliveries', authenticate, authorize(['admin']), (req, res) => notificationChannelController.listDeliveries(req, res));
+
+// List notification channels (Admin only)
+router.get('/', authenticate, authorize(['admin']), (req, res) => notificationChannelController.listChannels(req, res));
+
+// Get notification channel by ID (Admin only)
+router.get('/:id', authenticate, authorize(['admin']), (req, res) => notificationChannelController.getChannel(req, res));
+
+// Create notification channel (Admin only)
+router.post('/', authenticate, authorize(['admin']), (req, res) => notificationChannelController.createChannel(req, res));
+
+// Send a test notification (Admin only)
+router.post('/:id/test', authenticate, authorize(['admin']), (req, res) => notificationChannelController.testChannel(req, res));
+
+// Update notification channel (Admin only)
+router.put('/:id', authenticate, authorize(['admin']), (req, res) => notificationChannelController.updateChannel(req, res));
+
+// Delete notification channel (Admin only)
+router.delete('/:id', authenticate, authorize(['admin']), (req, res) => notificationChannelController.deleteChannel(req, res));
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const offlineThresholdController = require('../controllers/offline.threshold.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('offline threshold'));
+
+// List offline thresholds and the default (Authenticated users)
+router.get('/', authenticate, (req, res) => offlineThresholdController.listThresholds(req, res));
+
+// Get the effective threshold for a vehicle (Authenticated users)
+router.get('/vehicle/:vehicleId', authenticate, (req, res) => offlineThresholdController.getVehicleThreshold(req, res));
+
+// Create or replace a vehicle/group threshold (Admin only)
+router.put('/', authenticate, authorize(['admin']), (req, res) => offlineThresholdController.upsertThreshold(req, res));
+
+// Delete a threshold (Admin only)
+router.delete('/:id', authenticate, authorize(['admin']), (req, res) => offlineThresholdController.deleteThreshold(req, res));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const suppressionController = require('../controllers/suppression.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { serialIdParam } = require('../middleware/params');
+
+const router = express.Router();
+
+router.param('id', serialIdParam('suppression'));
+
+// List maintenance windows and suppressions (Authenticated users)
+// Query params: active
+router.get('/', authenticate, (req, res) => suppressionController.listSuppressions(req, res));
+
+// Get vehicles currently suppressed (Authenticated users)
+router.get('/vehicles', authenticate, (req, res) => suppressionController.getSuppressedVehicles(req, res));
+
+// Get alerts recorded while suppressed (Authenticated users)
+// Query params: vehicle_id, suppression_id, limit
+router.get('/alerts', authenticate, (req, res) => suppressionController.listSuppressedAlerts(req, res));
+
+// Get suppression by ID (Authenticated users)
+router.get('/:id', authenticate, (req, res) => suppressionController.getSuppression(req, res));
+
+// Create maintenance window or suppression (Admin only)
+router.post('/', authenticate, authorize(['admin']), (req, res) => suppressionController.createSuppression(req, res));
+
+// Update suppression, e.g. end it early (Admin only)
+router.put('/:id', authenticate, authorize(['admin']), (req, res) => suppressionController.updateSuppression(req, res));
+
+// Delete suppression (Admin only)
+router.delete('/:id', authenticate, authorize(['admin']), (req, res) => suppressionController.deleteSuppression(req, res));
+
+module.exports = router;
@@ -4,12 +4,26 @@ const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Submit telemetry data (UNPROTECTED - for vehicles/simulator)
+// Submit telemetry data (Device token - for vehicles/simulator)
 router.post('/', (req, res) => telemetryController.ingest(req, res));
 
+// Submit a batch of telemetry packets as a JSON array or NDJSON (Device token - for gateways/simulator)
+router.post('/batch', express.text({ type: 'application/x-ndjson', limit: '5mb' }), (req, res) => telemetryController.ingestBatch(req, res));
+
 // Get telemetry statistics (Authenticated)
 router.get('/stats', authenticate, (req, res) => telemetryController.getStats(req, res));
 
+// Get write buffer depth and throughput metrics (Authenticated)
+router.get('/pipeline', authenticate, (req, res) => telemetryController.getPipelineMetrics(req, res));
+
+// Get packet-loss/duplicate statistics for all vehicles or one vehicle (Authenticated)
+router.get('/packet-loss', authenticate, (req, res) => telemetryController.getPacketLoss(req, res));
+router.get('/packet-loss/:vehicle_id', authenticate, (req, res) => telemetryController.getPacketLoss(req, res));
+
+// Get clock offset and late-data statistics for all vehicles or one vehicle (Authenticated)
+router.get('/clock', authenticate, (req, res) => telemetryController.getClockStats(req, res));
+router.get('/clock/:vehicle_id', authenticate, (req, res) => telemetryController.getClockStats(req, res));
+
 // Get current telemetry for a specific vehicle (Authenticated)
 router.get('/current/:vehicle_id', authenticate, (req, res) => telemetryController.getCurrent(req, res));
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const telemetrySchemaController = require('../controllers/telemetry.schema.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List telemetry schema versions (Authenticated users)
+// Query params: model (model name, or "fleet" for fleet-wide)
+router.get('/', authenticate, (req, res) => telemetrySchemaController.listSchemas(req, res));
+
+// Get the schema a vehicle's telemetry is validated against (Authenticated users)
+router.get('/effective/:vehicle_id', authenticate, (req, res) => telemetrySchemaController.getEffectiveSchema(req, res));
+
+// Get telemetry schema version by ID (Authenticated users)
+router.get('/:id', authenticate, (req, res) => telemetrySchemaController.getSchema(req, res));
+
+// Publish a new schema version for a model or the fleet (Admin only)
+router.post('/', authenticate, authorize(['admin']), (req, res) => telemetrySchemaController.createSchema(req, res));
+
+// Retire a schema version (Admin only)
+router.post('/:id/retire', authenticate, authorize(['admin']), (req, res) => telemetrySchemaController.retireSchema(req, res));
+
+module.exports = router;
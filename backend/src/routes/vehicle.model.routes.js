@@ -0,0 +1,19 @@
+const express = require('express');
+const vehicleModelController = require('../controllers/vehicle.model.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List vehicle models (Authenticated users)
+router.get('/', authenticate, (req, res) => vehicleModelController.listModels(req, res));
+
+// Get vehicle model by name (Authenticated users)
+router.get('/:modelName', authenticate, (req, res) => vehicleModelController.getModel(req, res));
+
+// Create or replace vehicle model (Admin only)
+router.put('/:modelName', authenticate, authorize(['admin']), (req, res) => vehicleModelController.upsertModel(req, res));
+
+// Delete vehicle model (Admin only)
+router.delete('/:modelName', authenticate, authorize(['admin']), (req, res) => vehicleModelController.deleteModel(req, res));
+
+module.exports = router;
@@ -13,6 +13,30 @@ router.get('/', authenticate, (req, res) => vehicleController.listVehicles(req,
 // Get vehicle details by ID (Authenticated users)
 router.get('/:id', authenticate, (req, res) => vehicleController.getVehicle(req, res));
 
+// Get effective thresholds for a vehicle (Authenticated users)
+router.get('/:id/thresholds', authenticate, (req, res) => vehicleController.getThresholds(req, res));
+
+// Update per-vehicle threshold overrides (Admin only)
+router.put('/:id/thresholds', authenticate, authorize(['admin']), (req, res) => vehicleController.updateThresholds(req, res));
+
+// Get learned anomaly baselines for a vehicle (Authenticated users)
+router.get('/:id/baselines', authenticate, (req, res) => vehicleController.getBaselines(req, res));
+
+// Reset learned anomaly baselines for a vehicle (Admin only)
+router.delete('/:id/baselines', authenticate, authorize(['admin']), (req, res) => vehicleController.resetBaselines(req, res));
+
+// List device credentials for a vehicle (Admin only)
+router.get('/:id/credentials', authenticate, authorize(['admin']), (req, res) => vehicleController.getCredentials(req, res));
+
+// Rotate the device token of a vehicle (Admin only)
+router.post('/:id/credentials/rotate', authenticate, authorize(['admin']), (req, res) => vehicleController.rotateCredentials(req, res));
+
+// Revoke all device tokens of a vehicle (Admin only)
+router.delete('/:id/credentials', authenticate, authorize(['admin']), (req, res) => vehicleController.revokeCredentials(req, res));
+
+// Update vehicle details (Admin only)
+router.patch('/:id', authenticate, authorize(['admin']), (req, res) => vehicleController.updateVehicle(req, res));
+
 // Delete vehicle by ID (Admin only)
 router.delete('/:id', authenticate, authorize(['admin']), (req, res) => vehicleController.deleteVehicle(req, res));
 
@@ -2,6 +2,11 @@ require('dotenv').config();
 const http = require('http');
 const app = require('./app');
 const initWebSocket = require('./websocket');
+const ruleState = require('./alerts/rule.state');
+const startupService = require('./services/startup.service');
+const telemetryWriter = require('./services/telemetry.writer.service');
+const mqttBridge = require('./services/mqtt.bridge.service');
+const deadLetterService = require('./services/dead.letter.service');
 
 const PORT = process.env.PORT || 3000;
 
@@ -11,11 +16,50 @@ const server = http.createServer(app);
 // Initialize WebSocket
 initWebSocket(server);
 
+// Rebuild alert cache, vehicle status and rule state from the database
+// Telemetry ingestion waits on the readiness flag until this completes
+startupService.hydrate();
+
 // Start the server
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
 
+// Consume telemetry from MQTT telematics units (when MQTT_URL or MQTT_BROKER_PORT is set)
+mqttBridge.start().catch(err => {
+  console.error('[MQTT] Bridge failed to start:', err.message);
+});
+
+// Write buffered telemetry and rejections, and persist in-memory alert rule state before exiting
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  try {
+    await mqttBridge.stop();
+  } catch (err) {
+    console.error('[MQTT] Stop failed:', err.message);
+  }
+  try {
+    const remaining = await telemetryWriter.drain();
+    if (remaining > 0) console.error(`[TelemetryWriter] ${remaining} packets not written before exit`);
+  } catch (err) {
+    console.error('[TelemetryWriter] Final drain failed:', err.message);
+  }
+  try {
+    await deadLetterService.flush();
+  } catch (err) {
+    console.error('[DeadLetters] Final flush failed:', err.message);
+  }
+  try {
+    await ruleState.flush();
+  } catch (err) {
+    console.error('[RuleState] Final flush failed:', err.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Rejection:', err);
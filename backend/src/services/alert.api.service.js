@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const db = require('../db');
 
 /**
@@ -9,9 +10,11 @@ class AlertApiService {
    */
   async getActiveAlerts() {
     const query = `
-      SELECT * FROM alerts
-      WHERE resolved_at IS NULL
-      ORDER BY created_at DESC
+      SELECT a.*,
+        (SELECT COUNT(*)::int FROM alert_comments c WHERE c.alert_id = a.alert_id) as comment_count
+      FROM alerts a
+      WHERE a.resolved_at IS NULL
+      ORDER BY a.created_at DESC
     `;
     const { rows } = await db.query(query);
     return rows;
@@ -27,16 +30,284 @@ class AlertApiService {
   }
 
   /**
-   * Mark an alert as acknowledged
+   * Opaque pagination cursor for getAlertHistory: the sort it belongs to and the last row's key
    */
-  async acknowledgeAlert(alertId) {
+  encodeCursor(sort, order, key) {
+    return Buffer.from(JSON.stringify({ sort, order, key })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from encodeCursor, or null if it is malformed
+   */
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 3) return null;
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a page of alert history (active, acknowledged and resolved alerts)
+   * Filters (see AlertHistoryValidator): vehicle_id, alert_types, severities, statuses,
+   * from/to on created_at, q (message search), sort, order, limit, cursor
+   * Keyset pagination on (sort key, created_at, alert_id) keeps pages stable while alerts arrive
+   * Returns { alerts, next_cursor }
+   */
+  async getAlertHistory(filters) {
+    const { sort = 'created_at', order = 'desc', limit = 50 } = filters;
+    const sortKeys = {
+      created_at: 'a.created_at',
+      severity: "CASE a.severity WHEN 'CRITICAL' THEN 2 WHEN 'WARNING' THEN 1 ELSE 0 END",
+      vehicle_id: 'a.vehicle_id',
+      alert_type: 'a.alert_type'
+    };
+    const sortKey = sortKeys[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.vehicle_id) {
+      params.push(filters.vehicle_id);
+      conditions.push(`a.vehicle_id = $${params.length}`);
+    }
+    if (filters.alert_types && filters.alert_types.length > 0) {
+      params.push(filters.alert_types);
+      conditions.push(`a.alert_type = ANY($${params.length})`);
+    }
+    if (filters.severities && filters.severities.length > 0) {
+      params.push(filters.severities);
+      conditions.push(`a.severity = ANY($${params.length})`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`a.created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`a.created_at < $${params.length}`);
+    }
+    if (filters.q) {
+      // Match the text literally: escape LIKE wildcards
+      params.push(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`a.message ILIKE $${params.length}`);
+    }
+
+    if (filters.statuses && filters.statuses.length > 0) {
+      const statusConditions = {
+        active: '(a.resolved_at IS NULL AND a.acknowledged_at IS NULL)',
+        acknowledged: '(a.resolved_at IS NULL AND a.acknowledged_at IS NOT NULL)',
+        resolved: '(a.resolved_at IS NOT NULL)'
+      };
+      conditions.push(`(${filters.statuses.map(s => statusConditions[s]).join(' OR ')})`);
+    }
+
+    if (filters.cursor) {
+      const [sortValue, createdAt, alertId] = filters.cursor.key;
+      params.push(sortValue, createdAt, alertId);
+      const keyCast = sort === 'created_at' ? '::timestamp' : sort === 'severity' ? '::int' : '::text';
+      conditions.push(
+        `(${sortKey}, a.created_at, a.alert_id) ${direction === 'ASC' ? '>' : '<'} ` +
+        `($${params.length - 2}${keyCast}, $${params.length - 1}::timestamp, $${params.length}::uuid)`
+      );
+    }
+
+    params.push(limit + 1);
+    const query = `
+      SELECT a.*,
+        (SELECT COUNT(*)::int FROM alert_comments c WHERE c.alert_id = a.alert_id) as comment_count,
+        (${sortKey})::text as sort_key,
+        a.created_at::text as created_key
+      FROM alerts a
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${sortKey} ${direction}, a.created_at ${direction}, a.alert_id ${direction}
+      LIMIT $${params.length}
+    `;
+    const { rows } = await db.query(query, params);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? this.encodeCursor(sort, order, [last.sort_key, last.created_key, last.alert_id])
+      : null;
+
+    return {
+      alerts: page.map(({ sort_key, created_key, ...alert }) => alert),
+      next_cursor: nextCursor
+    };
+  }
+
+  /**
+   * Mark an alert as acknowledged and record who did it in the audit trail
+   */
+  async acknowledgeAlert(alertId, { user, note } = {}) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        UPDATE alerts
+        SET acknowledged_at = NOW(), acknowledged_by = $2, acknowledgement_note = $3
+        WHERE alert_id = $1 AND acknowledged_at IS NULL
+        RETURNING *
+      `, [alertId, user, note || null]);
+
+      if (rows[0]) {
+        await client.query(`
+          INSERT INTO alert_acknowledgements (alert_id, acknowledged_by, note, acknowledged_at)
+          VALUES ($1, $2, $3, $4)
+        `, [alertId, user, note || null, rows[0].acknowledged_at]);
+      }
+
+      await client.query('COMMIT');
+      return rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Acknowledge every open, unacknowledged alert matching the filters in one transaction
+   * Filters: vehicle_id, alert_type, severity, incident_id (at least one is required by the controller)
+   * Returns { batch_id, acknowledged_at, alerts }
+   */
+  async bulkAcknowledge(filters, { user, note } = {}) {
+    const conditions = ['acknowledged_at IS NULL', 'resolved_at IS NULL'];
+    const params = [user, note || null];
+
+    ['vehicle_id', 'alert_type', 'severity', 'incident_id'].forEach(field => {
+      if (filters[field]) {
+        params.push(filters[field]);
+        conditions.push(`${field} = $${params.length}`);
+      }
+    });
+
+    const batchId = crypto.randomUUID();
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        UPDATE alerts
+        SET acknowledged_at = NOW(), acknowledged_by = $1, acknowledgement_note = $2
+        WHERE ${conditions.join(' AND ')}
+        RETURNING alert_id, vehicle_id, alert_type, severity, acknowledged_at
+      `, params);
+
+      if (rows.length > 0) {
+        await client.query(`
+          INSERT INTO alert_acknowledgements (alert_id, acknowledged_by, note, batch_id, filters, acknowledged_at)
+          SELECT UNNEST($1::uuid[]), $2, $3, $4, $5, $6
+        `, [rows.map(r => r.alert_id), user, note || null, batchId, JSON.stringify(filters), rows[0].acknowledged_at]);
+      }
+
+      await client.query('COMMIT');
+      return {
+        batch_id: batchId,
+        acknowledged_at: rows[0] ? rows[0].acknowledged_at : null,
+        alerts: rows
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Fetch the acknowledgement audit trail, newest first
+   * Optional filters: alert_id, acknowledged_by, vehicle_id, limit
+   */
+  async getAcknowledgements(filters = {}) {
+    const { alert_id, acknowledged_by, vehicle_id, limit = 100 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (alert_id) {
+      params.push(alert_id);
+      conditions.push(`k.alert_id = $${params.length}`);
+    }
+    if (acknowledged_by) {
+      params.push(acknowledged_by);
+      conditions.push(`k.acknowledged_by = $${params.length}`);
+    }
+    if (vehicle_id) {
+      params.push(vehicle_id);
+      conditions.push(`a.vehicle_id = $${params.length}`);
+    }
+
+    params.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+    const query = `
+      SELECT k.*, a.vehicle_id, a.alert_type, a.severity
+      FROM alert_acknowledgements k
+      JOIN alerts a ON a.alert_id = k.alert_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY k.acknowledged_at DESC, k.ack_id DESC
+      LIMIT $${params.length}
+    `;
+    const { rows } = await db.query(query, params);
+    return rows;
+  }
+
+  /**
+   * Assign an unresolved alert (null assignee releases it)
+   */
+  async assignAlert(alertId, assignee) {
+    const query = `
+      UPDATE alerts
+      SET assignee = $2, assigned_at = CASE WHEN $2::varchar IS NULL THEN NULL ELSE NOW() END
+      WHERE alert_id = $1 AND resolved_at IS NULL
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [alertId, assignee]);
+    return rows[0];
+  }
+
+  /**
+   * Snooze an unresolved alert for a number of minutes (0 clears the snooze)
+   * Snoozed alerts are skipped by escalation until snoozed_until passes
+   */
+  async snoozeAlert(alertId, minutes, snoozedBy) {
     const query = `
       UPDATE alerts
-      SET acknowledged_at = NOW()
-      WHERE alert_id = $1 AND acknowledged_at IS NULL
+      SET snoozed_until = CASE WHEN $2 > 0 THEN NOW() + ($2 * INTERVAL '1 minute') ELSE NULL END,
+          snoozed_by = CASE WHEN $2 > 0 THEN $3 ELSE NULL END
+      WHERE alert_id = $1 AND resolved_at IS NULL
       RETURNING *
     `;
+    const { rows } = await db.query(query, [alertId, minutes, snoozedBy]);
+    return rows[0];
+  }
+
+  /**
+   * Fetch the comment thread of an alert, oldest first
+   */
+  async getComments(alertId) {
+    const query = `
+      SELECT * FROM alert_comments
+      WHERE alert_id = $1
+      ORDER BY created_at ASC, comment_id ASC
+    `;
     const { rows } = await db.query(query, [alertId]);
+    return rows;
+  }
+
+  /**
+   * Add a comment to an alert
+   */
+  async addComment(alertId, author, body) {
+    const query = `
+      INSERT INTO alert_comments (alert_id, author, body)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [alertId, author, body]);
     return rows[0];
   }
 
@@ -243,6 +514,81 @@ class AlertApiService {
     }));
   }
 
+  /**
+   * Alert response-time metrics: MTTA / MTTR with percentiles and SLA breach counts
+   * Grouped by alert_type, vehicle_group or operator (acknowledged_by) plus an overall row.
+   * Covers alerts raised in the window; times are in seconds. Alerts still open past an
+   * SLA count as breaches, as do alerts that resolved unacknowledged after the ack SLA.
+   */
+  async getResponseTimeMetrics({ group_by = 'alert_type', time_window_minutes, severity, sla_ack_minutes, sla_resolve_minutes }) {
+    const groupKeys = {
+      alert_type: 'a.alert_type',
+      vehicle_group: 'v.vehicle_group',
+      operator: 'a.acknowledged_by'
+    };
+    const params = [time_window_minutes, sla_ack_minutes * 60, sla_resolve_minutes * 60];
+    const conditions = ["a.created_at >= NOW() - ($1 * INTERVAL '1 minute')"];
+
+    if (severity) {
+      params.push(severity);
+      conditions.push(`a.severity = $${params.length}`);
+    }
+
+    const query = `
+      WITH response_times AS (
+        SELECT
+          ${groupKeys[group_by]} as group_key,
+          EXTRACT(EPOCH FROM (a.acknowledged_at - a.created_at)) as tta,
+          EXTRACT(EPOCH FROM (a.resolved_at - a.created_at)) as ttr,
+          -- Time to resolution, or age for alerts still open
+          EXTRACT(EPOCH FROM (COALESCE(a.resolved_at, NOW()) - a.created_at)) as open_for
+        FROM alerts a
+        LEFT JOIN vehicles v ON v.vehicle_id = a.vehicle_id
+        WHERE ${conditions.join(' AND ')}
+      )
+      SELECT
+        group_key,
+        GROUPING(group_key) as is_total,
+        COUNT(*) as alert_count,
+        COUNT(tta) as acknowledged_count,
+        COUNT(ttr) as resolved_count,
+        AVG(tta) as mtta,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY tta) as mtta_p50,
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY tta) as mtta_p90,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY tta) as mtta_p95,
+        AVG(ttr) as mttr,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY ttr) as mttr_p50,
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY ttr) as mttr_p90,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY ttr) as mttr_p95,
+        COUNT(*) FILTER (WHERE COALESCE(tta, open_for) > $2) as ack_sla_breaches,
+        COUNT(*) FILTER (WHERE open_for > $3) as resolve_sla_breaches
+      FROM response_times
+      GROUP BY GROUPING SETS ((group_key), ())
+      ORDER BY is_total DESC, alert_count DESC
+    `;
+
+    const { rows } = await db.query(query, params);
+    const seconds = (value) => (value === null ? null : Math.round(parseFloat(value) * 10) / 10);
+    const toMetrics = (row) => ({
+      alert_count: parseInt(row.alert_count),
+      acknowledged_count: parseInt(row.acknowledged_count),
+      resolved_count: parseInt(row.resolved_count),
+      mtta: { mean: seconds(row.mtta), p50: seconds(row.mtta_p50), p90: seconds(row.mtta_p90), p95: seconds(row.mtta_p95) },
+      mttr: { mean: seconds(row.mttr), p50: seconds(row.mttr_p50), p90: seconds(row.mttr_p90), p95: seconds(row.mttr_p95) },
+      ack_sla_breaches: parseInt(row.ack_sla_breaches),
+      resolve_sla_breaches: parseInt(row.resolve_sla_breaches)
+    });
+
+    const total = rows.find(r => r.is_total === 1);
+    return {
+      group_by,
+      time_window_minutes,
+      sla: { ack_minutes: sla_ack_minutes, resolve_minutes: sla_resolve_minutes },
+      overall: total ? toMetrics(total) : null,
+      groups: rows.filter(r => r.is_total !== 1).map(r => ({ key: r.group_key, ...toMetrics(r) }))
+    };
+  }
+
   /**
    * Get lightweight alert summary for UI aggregation
    * Used for WebSocket broadcasts and quick dashboard stats
@@ -276,7 +622,10 @@ class AlertApiService {
       LIMIT 1
     `;
 
-    const { rows } = await db.query(query);
+    const [{ rows }, incidents] = await Promise.all([
+      db.query(query),
+      this.getIncidentSummary()
+    ]);
 
     if (rows.length === 0) {
       return {
@@ -284,7 +633,8 @@ class AlertApiService {
         criticalVehicles: 0,
         warningVehicles: 0,
         totalVehiclesWithAlerts: 0,
-        alertCountsByType: []
+        alertCountsByType: [],
+        incidents
       };
     }
 
@@ -294,7 +644,39 @@ class AlertApiService {
       criticalVehicles: parseInt(row.critical_vehicles) || 0,
       warningVehicles: parseInt(row.warning_vehicles) || 0,
       totalVehiclesWithAlerts: parseInt(row.total_vehicles_with_alerts) || 0,
-      alertCountsByType: row.alert_counts_by_type || []
+      alertCountsByType: row.alert_counts_by_type || [],
+      incidents
+    };
+  }
+
+  /**
+   * Open/acknowledged incident counts plus the most severe live incidents
+   */
+  async getIncidentSummary() {
+    const query = `
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'open') as open_incidents,
+        COUNT(*) FILTER (WHERE status = 'acknowledged') as acknowledged_incidents,
+        (
+          SELECT json_agg(t)
+          FROM (
+            SELECT incident_id, title, severity, status, alert_count, vehicle_count, last_alert_at
+            FROM incidents
+            WHERE status <> 'resolved'
+            ORDER BY CASE severity WHEN 'CRITICAL' THEN 2 WHEN 'WARNING' THEN 1 ELSE 0 END DESC, last_alert_at DESC
+            LIMIT 5
+          ) t
+        ) as top_incidents
+      FROM incidents
+      WHERE status <> 'resolved'
+    `;
+    const { rows } = await db.query(query);
+    const row = rows[0];
+
+    return {
+      open: parseInt(row.open_incidents) || 0,
+      acknowledged: parseInt(row.acknowledged_incidents) || 0,
+      top: row.top_incidents || []
     };
   }
 
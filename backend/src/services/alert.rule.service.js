@@ -0,0 +1,171 @@
+const db = require('../db');
+const ALERT_RULES = require('../alerts/rules');
+
+/**
+ * Service to handle alert rule configuration stored in the alert_rules table
+ */
+class AlertRuleService {
+  /**
+   * Fetch all rules (enabled and disabled)
+   */
+  async getAllRules() {
+    const query = 'SELECT * FROM alert_rules ORDER BY alert_type ASC, rule_id ASC';
+    const { rows } = await db.query(query);
+    return rows;
+  }
+
+  /**
+   * Fetch enabled rules in evaluation order
+   */
+  async getEnabledRules() {
+    const query = 'SELECT * FROM alert_rules WHERE enabled = TRUE ORDER BY rule_id ASC';
+    const { rows } = await db.query(query);
+    return rows;
+  }
+
+  /**
+   * Fetch a rule by ID
+   */
+  async getRuleById(ruleId) {
+    const query = 'SELECT * FROM alert_rules WHERE rule_id = $1';
+    const { rows } = await db.query(query, [ruleId]);
+    return rows[0];
+  }
+
+  /**
+   * Create a new rule
+   */
+  async createRule(ruleData) {
+    const {
+      alert_type,
+      severity,
+      metric,
+      comparator,
+      threshold,
+      threshold_ref,
+      expression,
+      message_template,
+      enabled = true,
+      trigger_samples,
+      trigger_duration_sec,
+      clear_threshold,
+      clear_expression
+    } = ruleData;
+
+    const query = `
+      INSERT INTO alert_rules (
+        alert_type, severity, metric, comparator, threshold, expression, message_template, enabled,
+        trigger_samples, trigger_duration_sec, clear_threshold, clear_expression, threshold_ref
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `;
+    const values = [
+      alert_type,
+      severity,
+      expression ? null : metric,
+      expression ? null : comparator,
+      expression ? null : threshold,
+      expression || null,
+      message_template,
+      enabled,
+      trigger_samples || 1,
+      trigger_duration_sec || 0,
+      typeof clear_threshold === 'number' ? clear_threshold : null,
+      clear_expression || null,
+      expression ? null : threshold_ref || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  }
+
+  /**
+   * Update the provided fields of an existing rule
+   * Fields explicitly set to null are cleared (e.g. expression when switching to a threshold rule)
+   */
+  async updateRule(ruleId, ruleData) {
+    const updatable = [
+      'alert_type', 'severity', 'metric', 'comparator', 'threshold', 'expression', 'message_template', 'enabled',
+      'trigger_samples', 'trigger_duration_sec', 'clear_threshold', 'clear_expression', 'threshold_ref'
+    ];
+    const assignments = [];
+    const params = [];
+    let paramIndex = 1;
+
+    updatable.forEach(field => {
+      if (ruleData[field] !== undefined) {
+        assignments.push(`${field} = $${paramIndex++}`);
+        params.push(ruleData[field]);
+      }
+    });
+
+    if (assignments.length === 0) {
+      return this.getRuleById(ruleId);
+    }
+
+    params.push(ruleId);
+    const query = `
+      UPDATE alert_rules
+      SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE rule_id = $${paramIndex}
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, params);
+    return rows[0];
+  }
+
+  /**
+   * Delete a rule by ID
+   */
+  async deleteRule(ruleId) {
+    const query = 'DELETE FROM alert_rules WHERE rule_id = $1 RETURNING *';
+    const { rows } = await db.query(query, [ruleId]);
+    return rows[0];
+  }
+
+  /**
+   * Seed the built-in rules from alerts/rules.js when the table is empty
+   * Returns the number of rules inserted
+   */
+  async seedBuiltinRules() {
+    const { rows } = await db.query('SELECT COUNT(*) as count FROM alert_rules');
+    if (parseInt(rows[0].count) > 0) {
+      return 0;
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      for (const rule of ALERT_RULES) {
+        await client.query(
+          `INSERT INTO alert_rules (alert_type, severity, metric, comparator, threshold, threshold_ref, expression, trigger_samples, message_template, is_builtin)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE)`,
+          [
+            rule.alert_type,
+            rule.severity,
+            rule.metric || null,
+            rule.comparator || null,
+            rule.threshold === undefined ? null : rule.threshold,
+            rule.threshold_ref || null,
+            rule.expression || null,
+            rule.trigger_samples || 1,
+            rule.message_template
+          ]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[AlertRules] Seeded ${ALERT_RULES.length} built-in rules`);
+    return ALERT_RULES.length;
+  }
+}
+
+module.exports = new AlertRuleService();
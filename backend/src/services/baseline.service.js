@@ -0,0 +1,177 @@
+const db = require('../db');
+
+/**
+ * Metrics that get a per-vehicle baseline, with the smallest standard
+ * deviation used for z-scores (keeps a very steady sensor from turning
+ * a one-degree wobble into a huge z-score)
+ */
+const BASELINE_METRICS = {
+  motor_temp: { minStd: 2 },
+  battery_temp: { minStd: 1.5 },
+  battery_voltage: { minStd: 1 },
+  battery_current: { minStd: 5 }
+};
+
+// EWMA weight of each new sample (0.005 ~ the last few hundred samples dominate)
+const ALPHA = parseFloat(process.env.BASELINE_ALPHA) || 0.005;
+// Samples needed before a baseline is used for anomaly detection
+const WARMUP_SAMPLES = parseInt(process.env.BASELINE_WARMUP_SAMPLES) || 300;
+
+/**
+ * Service to learn a per-vehicle baseline (EWMA mean and variance) for key metrics
+ *
+ * The evaluator reads baselines through context.baselines, where the
+ * zscore(field) expression function compares a reading with the vehicle's
+ * own normal, then folds the reading into the baseline. Baselines live in
+ * memory on the hot path and are flushed to vehicle_baselines periodically so
+ * they survive restarts.
+ */
+class BaselineService {
+  constructor() {
+    this.BASELINE_METRICS = BASELINE_METRICS;
+    this.WARMUP_SAMPLES = WARMUP_SAMPLES;
+
+    // Map<vehicle_id, { [metric]: { mean, variance, std, samples, ready } }>
+    this.baselines = new Map();
+    // Vehicle IDs changed since the last flush
+    this.dirty = new Set();
+
+    this.FLUSH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.flush().catch(err => {
+        console.error('[Baselines] Flush failed:', err.message);
+      });
+    }, this.FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Derived fields used by expressions: floored std and warm-up state
+   */
+  finalize(metric, baseline) {
+    baseline.std = Math.max(Math.sqrt(baseline.variance), BASELINE_METRICS[metric].minStd);
+    baseline.ready = baseline.samples >= WARMUP_SAMPLES;
+    return baseline;
+  }
+
+  /**
+   * Baselines of a vehicle, as exposed to rule expressions
+   */
+  getBaselines(vehicleId) {
+    return this.baselines.get(vehicleId) || {};
+  }
+
+  /**
+   * Fold a telemetry sample into the vehicle's baselines
+   */
+  update(vehicleId, data) {
+    let vehicle = this.baselines.get(vehicleId);
+    if (!vehicle) {
+      vehicle = {};
+      this.baselines.set(vehicleId, vehicle);
+    }
+
+    let changed = false;
+    Object.keys(BASELINE_METRICS).forEach(metric => {
+      const value = data[metric];
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+      const baseline = vehicle[metric];
+      if (!baseline) {
+        vehicle[metric] = this.finalize(metric, { mean: value, variance: 0, samples: 1 });
+      } else {
+        const diff = value - baseline.mean;
+        baseline.mean += ALPHA * diff;
+        baseline.variance = (1 - ALPHA) * (baseline.variance + ALPHA * diff * diff);
+        baseline.samples++;
+        this.finalize(metric, baseline);
+      }
+      changed = true;
+    });
+
+    if (changed) this.dirty.add(vehicleId);
+  }
+
+  /**
+   * Load persisted baselines on startup
+   */
+  async hydrate() {
+    const { rows } = await db.query('SELECT * FROM vehicle_baselines');
+    rows.forEach(row => {
+      if (!BASELINE_METRICS[row.metric]) return;
+      if (!this.baselines.has(row.vehicle_id)) this.baselines.set(row.vehicle_id, {});
+      this.baselines.get(row.vehicle_id)[row.metric] = this.finalize(row.metric, {
+        mean: row.mean,
+        variance: row.variance,
+        samples: parseInt(row.samples)
+      });
+    });
+    return rows.length;
+  }
+
+  /**
+   * Write changed baselines to the database in bulk
+   */
+  async flush() {
+    if (this.dirty.size === 0) return;
+
+    const vehicleIds = [];
+    const metrics = [];
+    const means = [];
+    const variances = [];
+    const samples = [];
+    this.dirty.forEach(vehicleId => {
+      Object.entries(this.getBaselines(vehicleId)).forEach(([metric, baseline]) => {
+        vehicleIds.push(vehicleId);
+        metrics.push(metric);
+        means.push(baseline.mean);
+        variances.push(baseline.variance);
+        samples.push(baseline.samples);
+      });
+    });
+    const flushed = Array.from(this.dirty);
+    this.dirty.clear();
+    if (vehicleIds.length === 0) return;
+
+    try {
+      await db.query(
+        `INSERT INTO vehicle_baselines (vehicle_id, metric, mean, variance, samples, updated_at)
+         SELECT *, NOW() FROM UNNEST($1::varchar[], $2::varchar[], $3::float8[], $4::float8[], $5::bigint[])
+         ON CONFLICT (vehicle_id, metric) DO UPDATE SET
+           mean = EXCLUDED.mean,
+           variance = EXCLUDED.variance,
+           samples = EXCLUDED.samples,
+           updated_at = NOW()`,
+        [vehicleIds, metrics, means, variances, samples]
+      );
+    } catch (error) {
+      // Written again with the next flush
+      flushed.forEach(vehicleId => this.dirty.add(vehicleId));
+      throw error;
+    }
+  }
+
+  /**
+   * Baselines of a vehicle for the API
+   */
+  describe(vehicleId) {
+    return Object.entries(this.getBaselines(vehicleId)).map(([metric, baseline]) => ({
+      metric,
+      mean: baseline.mean,
+      std: baseline.std,
+      samples: baseline.samples,
+      ready: baseline.ready
+    }));
+  }
+
+  /**
+   * Forget a vehicle's baselines (e.g. after a motor or battery swap) so they are relearned
+   */
+  async resetBaselines(vehicleId) {
+    this.baselines.delete(vehicleId);
+    this.dirty.delete(vehicleId);
+    const { rowCount } = await db.query('DELETE FROM vehicle_baselines WHERE vehicle_id = $1', [vehicleId]);
+    return rowCount;
+  }
+}
+
+module.exports = new BaselineService();
@@ -0,0 +1,230 @@
+const db = require('../db');
+const vehicleProfileService = require('./vehicle.profile.service');
+
+// Packets arriving this long after their timestamp are late (the old validator window)
+const LATE_AFTER_MS = (parseInt(process.env.TELEMETRY_LATE_AFTER_SECONDS) || 300) * 1000;
+// Shift timestamps by the estimated clock offset of the vehicle
+const CORRECTION_ENABLED = process.env.TELEMETRY_CLOCK_CORRECTION === 'true';
+// Offsets smaller than this are network delay, not a wrong clock, and are left alone
+const CORRECTION_THRESHOLD_MS = 2000;
+// Live packets kept per vehicle for the offset estimate, and needed before it is used
+const OFFSET_WINDOW = 64;
+const MIN_OFFSET_SAMPLES = 10;
+// Percentile of the window used as the estimate (low, but above a few bad timestamps)
+const OFFSET_PERCENTILE = 0.1;
+
+/**
+ * Service to handle device clock skew and late telemetry
+ *
+ * Offset: for live packets (not batch uploads), receive time minus device
+ * timestamp is the clock offset plus network delay. Delay only ever adds, so
+ * a low percentile of the offsets of the last OFFSET_WINDOW packets estimates
+ * the vehicle's clock offset; with TELEMETRY_CLOCK_CORRECTION=true timestamps are
+ * shifted by it (the device's own timestamp is kept as device_timestamp).
+ *
+ * Late: a packet is late when it arrives more than LATE_AFTER_MS after its
+ * timestamp, or is older than the newest packet already received from the
+ * vehicle (out of order). Late packets are stored flagged late but never
+ * broadcast or used as current state; out-of-order ones also skip alert
+ * evaluation, since rule state only moves forward in time.
+ */
+class ClockService {
+  constructor() {
+    this.LATE_AFTER_MS = LATE_AFTER_MS;
+
+    // Map<vehicle_id, { offsets: number[], offsetMs, newestTs, counters }>
+    this.vehicles = new Map();
+    // Vehicle IDs whose state changed since the last flush
+    this.dirty = new Set();
+
+    this.FLUSH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.flush().catch(err => {
+        console.error('[Clock] Flush failed:', err.message);
+      });
+    }, this.FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Tracking state of a vehicle, created on first use
+   */
+  getState(vehicleId) {
+    let state = this.vehicles.get(vehicleId);
+    if (!state) {
+      state = {
+        offsets: [],
+        offsetMs: null,
+        newestTs: null,
+        counters: { received: 0, late: 0, out_of_order: 0, corrected: 0, ahead: 0, max_lag_ms: 0 }
+      };
+      this.vehicles.set(vehicleId, state);
+    }
+    return state;
+  }
+
+  /**
+   * Feed a packet's offset into the estimate (live packets only) and correct its
+   * timestamp when enabled. Runs before validation so corrected timestamps are
+   * checked, which also lets a clock far ahead of the server be learned and fixed.
+   * Returns a corrected copy, or the packet itself when it is left alone; the
+   * packet is never modified, so rejections keep what the device sent.
+   */
+  prepare(packet, { live = true, receivedAt = Date.now() } = {}) {
+    // Only registered vehicles are tracked (anything else is rejected later anyway)
+    if (typeof packet.timestamp !== 'number' || !Number.isFinite(packet.timestamp) ||
+      !vehicleProfileService.isKnownVehicle(packet.vehicle_id)) {
+      return packet;
+    }
+    const state = this.getState(packet.vehicle_id);
+
+    if (live) {
+      this.dirty.add(packet.vehicle_id);
+      state.offsets.push(receivedAt - packet.timestamp);
+      if (state.offsets.length > OFFSET_WINDOW) state.offsets.shift();
+      if (state.offsets.length >= MIN_OFFSET_SAMPLES) {
+        const sorted = state.offsets.slice().sort((a, b) => a - b);
+        state.offsetMs = sorted[Math.floor(sorted.length * OFFSET_PERCENTILE)];
+      }
+    }
+
+    if (CORRECTION_ENABLED && state.offsetMs !== null && Math.abs(state.offsetMs) > CORRECTION_THRESHOLD_MS) {
+      return { ...packet, timestamp: packet.timestamp + state.offsetMs, device_timestamp: packet.timestamp };
+    }
+    return packet;
+  }
+
+  /**
+   * Classify a packet as late and/or out of order (does not record anything)
+   */
+  classify(packet, receivedAt = Date.now()) {
+    const state = this.vehicles.get(packet.vehicle_id);
+    const outOfOrder = Boolean(state && state.newestTs !== null && packet.timestamp < state.newestTs);
+    return {
+      late: outOfOrder || receivedAt - packet.timestamp > LATE_AFTER_MS,
+      outOfOrder
+    };
+  }
+
+  /**
+   * Record an accepted packet's classification
+   */
+  record(packet, { late, outOfOrder }, receivedAt = Date.now()) {
+    const state = this.getState(packet.vehicle_id);
+    const { counters } = state;
+    const lag = receivedAt - packet.timestamp;
+
+    this.dirty.add(packet.vehicle_id);
+    counters.received++;
+    if (late) counters.late++;
+    if (outOfOrder) counters.out_of_order++;
+    if (packet.device_timestamp !== undefined) counters.corrected++;
+    if (lag < 0) counters.ahead++;
+    counters.max_lag_ms = Math.max(counters.max_lag_ms, lag);
+
+    // A timestamp ahead of the server counts as "now" so one bad clock reading
+    // cannot make the following packets look out of order
+    const effectiveTs = Math.min(packet.timestamp, receivedAt);
+    if (state.newestTs === null || effectiveTs > state.newestTs) state.newestTs = effectiveTs;
+  }
+
+  /**
+   * Clock and lateness statistics of one vehicle, or null if it never sent a packet
+   */
+  getStats(vehicleId) {
+    const state = this.vehicles.get(vehicleId);
+    return state ? this.describe(vehicleId, state) : null;
+  }
+
+  /**
+   * Clock and lateness statistics of all vehicles, largest clock offset first
+   */
+  getAllStats() {
+    return Array.from(this.vehicles.entries())
+      .map(([vehicleId, state]) => this.describe(vehicleId, state))
+      .sort((a, b) => Math.abs(b.clock_offset_ms || 0) - Math.abs(a.clock_offset_ms || 0) || b.late - a.late);
+  }
+
+  /**
+   * API shape of a vehicle's clock state
+   */
+  describe(vehicleId, state) {
+    return {
+      vehicle_id: vehicleId,
+      clock_offset_ms: state.offsetMs,
+      offset_samples: state.offsets.length,
+      correction_applied: CORRECTION_ENABLED && state.offsetMs !== null && Math.abs(state.offsetMs) > CORRECTION_THRESHOLD_MS,
+      newest_timestamp: state.newestTs,
+      ...state.counters
+    };
+  }
+
+  /**
+   * Load persisted offsets and counters on startup
+   * The offset window is not persisted; the stored estimate is used until it refills.
+   */
+  async hydrate() {
+    const { rows } = await db.query('SELECT * FROM vehicle_clock_stats');
+    rows.forEach(row => {
+      const state = this.getState(row.vehicle_id);
+      state.offsetMs = row.offset_ms !== null ? parseInt(row.offset_ms) : null;
+      state.newestTs = row.newest_ts !== null ? parseInt(row.newest_ts) : null;
+      state.counters = {
+        received: parseInt(row.received),
+        late: parseInt(row.late),
+        out_of_order: parseInt(row.out_of_order),
+        corrected: parseInt(row.corrected),
+        ahead: parseInt(row.ahead),
+        max_lag_ms: parseInt(row.max_lag_ms)
+      };
+    });
+    return rows.length;
+  }
+
+  /**
+   * Write changed offsets and counters to the database in bulk
+   */
+  async flush() {
+    if (this.dirty.size === 0) return;
+
+    const vehicleIds = Array.from(this.dirty);
+    const states = vehicleIds.map(vehicleId => [vehicleId, this.vehicles.get(vehicleId)]);
+    this.dirty.clear();
+
+    const column = fn => states.map(([vehicleId, state]) => fn(state, vehicleId));
+    try {
+      await db.query(
+        `INSERT INTO vehicle_clock_stats
+           (vehicle_id, offset_ms, newest_ts, received, late, out_of_order, corrected, ahead, max_lag_ms, updated_at)
+         SELECT *, NOW() FROM UNNEST($1::varchar[], $2::bigint[], $3::bigint[], $4::bigint[], $5::bigint[],
+                                     $6::bigint[], $7::bigint[], $8::bigint[], $9::bigint[])
+         ON CONFLICT (vehicle_id) DO UPDATE SET
+           offset_ms = EXCLUDED.offset_ms,
+           newest_ts = EXCLUDED.newest_ts,
+           received = EXCLUDED.received,
+           late = EXCLUDED.late,
+           out_of_order = EXCLUDED.out_of_order,
+           corrected = EXCLUDED.corrected,
+           ahead = EXCLUDED.ahead,
+           max_lag_ms = EXCLUDED.max_lag_ms,
+           updated_at = NOW()`,
+        [
+          column((s, vehicleId) => vehicleId),
+          column(s => s.offsetMs),
+          column(s => s.newestTs),
+          column(s => s.counters.received),
+          column(s => s.counters.late),
+          column(s => s.counters.out_of_order),
+          column(s => s.counters.corrected),
+          column(s => s.counters.ahead),
+          column(s => s.counters.max_lag_ms)
+        ]
+      );
+    } catch (error) {
+      // Written again with the next flush
+      vehicleIds.forEach(vehicleId => this.dirty.add(vehicleId));
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClockService();
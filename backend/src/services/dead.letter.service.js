@@ -0,0 +1,359 @@
+const db = require('../db');
+const telemetryService = require('./telemetry.service');
+
+// Rejections kept; transient refusals ('starting', 'queue_full') are retried by the device instead
+const RECORDED_REASONS = ['invalid', 'unknown_vehicle', 'unauthorized'];
+// Rejections buffered in memory before new ones are dropped (a misbehaving device must not exhaust memory)
+const MAX_BUFFER = 5000;
+// Payloads larger than this are kept as a truncated raw string
+const MAX_PAYLOAD_CHARS = 16 * 1024;
+const RETENTION_DAYS = parseInt(process.env.TELEMETRY_DEAD_LETTER_RETENTION_DAYS) || 7;
+// Characters Postgres refuses in text and jsonb (NUL, unpaired surrogates); replaced with U+FFFD
+const UNSTORABLE_CHARS = /\u0000|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+/**
+ * Make a string storable in a text or jsonb column
+ */
+const storable = (text) => text.replace(UNSTORABLE_CHARS, '\ufffd');
+
+/**
+ * JSON.stringify replacer applying storable() to string values and keys
+ */
+const storableJson = (key, value) => {
+  if (typeof value === 'string') return storable(value);
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.some(k => storable(k) !== k)) {
+      return Object.fromEntries(keys.map(k => [storable(k), value[k]]));
+    }
+  }
+  return value;
+};
+
+/**
+ * Service for the dead-letter store of rejected telemetry
+ *
+ * Packets refused by ingestion (HTTP, batch or MQTT) are kept with their
+ * errors and source info so they can be inspected, and re-submitted once
+ * the cause is fixed (vehicle registered, limits corrected, token rotated).
+ * Rejections are buffered and written in bulk; entries older than
+ * RETENTION_DAYS are purged.
+ */
+class DeadLetterService {
+  constructor() {
+    this.RECORDED_REASONS = RECORDED_REASONS;
+
+    // Array<{ vehicle_id, source, reason, payload, raw_payload, errors, source_info }>
+    this.buffer = [];
+    this.stats = { recorded: 0, dropped: 0 };
+
+    this.FLUSH_INTERVAL_MS = 1000;
+    setInterval(() => {
+      this.flush().catch(err => {
+        console.error('[DeadLetters] Flush failed:', err.message);
+      });
+    }, this.FLUSH_INTERVAL_MS);
+
+    this.PURGE_INTERVAL_MS = 60 * 60 * 1000;
+    setInterval(() => {
+      this.purge().catch(err => {
+        console.error('[DeadLetters] Purge failed:', err.message);
+      });
+    }, this.PURGE_INTERVAL_MS);
+  }
+
+  /**
+   * Keep a rejected packet; returns false when its reason is not recorded or the buffer is full
+   * payload is the parsed packet, raw the original text when it was not valid JSON
+   */
+  record({ source, reason, payload = null, raw = null, errors = null, sourceInfo = {} }) {
+    if (!RECORDED_REASONS.includes(reason)) return false;
+    if (this.buffer.length >= MAX_BUFFER) {
+      this.stats.dropped++;
+      return false;
+    }
+
+    const isPacket = payload !== null && typeof payload === 'object';
+    let json = payload !== null ? JSON.stringify(payload, storableJson) : null;
+    let rawPayload = raw !== null ? storable(String(raw)) : null;
+    if (json !== null && json.length > MAX_PAYLOAD_CHARS) {
+      rawPayload = json;
+      json = null;
+    }
+    if (rawPayload !== null && rawPayload.length > MAX_PAYLOAD_CHARS) {
+      rawPayload = rawPayload.slice(0, MAX_PAYLOAD_CHARS);
+      sourceInfo = { ...sourceInfo, truncated: true };
+    }
+
+    const vehicleId = isPacket && typeof payload.vehicle_id === 'string'
+      ? payload.vehicle_id
+      : sourceInfo.vehicle_id;
+
+    this.buffer.push({
+      vehicle_id: vehicleId ? storable(String(vehicleId)).slice(0, 50) : null,
+      source,
+      reason,
+      payload: json,
+      raw_payload: rawPayload,
+      errors: JSON.stringify(errors || [], storableJson),
+      source_info: JSON.stringify(sourceInfo, storableJson)
+    });
+    this.stats.recorded++;
+    return true;
+  }
+
+  /**
+   * Write buffered rejections in one INSERT
+   * When the batch is refused for its data, rows are written one by one and those
+   * still refused are dropped, so one unstorable row cannot block the buffer.
+   */
+  async flush() {
+    if (this.buffer.length === 0) return;
+
+    const rows = this.buffer.splice(0, this.buffer.length);
+    try {
+      await this.insert(rows);
+      return;
+    } catch (error) {
+      if (!db.isDataError(error)) {
+        // Database unavailable: keep what still fits for the next flush
+        this.buffer.unshift(...rows.slice(0, MAX_BUFFER - this.buffer.length));
+        throw error;
+      }
+    }
+
+    const retry = [];
+    let failed = 0;
+    let lastError = null;
+    for (const row of rows) {
+      try {
+        await this.insert([row]);
+      } catch (error) {
+        if (db.isDataError(error)) {
+          failed++;
+          lastError = error;
+        } else {
+          retry.push(row);
+        }
+      }
+    }
+    this.buffer.unshift(...retry.slice(0, MAX_BUFFER - this.buffer.length));
+    if (failed > 0) {
+      this.stats.dropped += failed;
+      throw new Error(`Dropped ${failed} unstorable rejection(s): ${lastError.message}`);
+    }
+  }
+
+  /**
+   * Bulk insert buffered rows
+   */
+  async insert(rows) {
+    const column = key => rows.map(row => row[key]);
+    await db.query(
+      `INSERT INTO telemetry_dead_letters (vehicle_id, source, reason, payload, raw_payload, errors, source_info)
+       SELECT * FROM UNNEST($1::varchar[], $2::varchar[], $3::varchar[], $4::jsonb[], $5::text[], $6::jsonb[], $7::jsonb[])`,
+      [
+        column('vehicle_id'),
+        column('source'),
+        column('reason'),
+        column('payload'),
+        column('raw_payload'),
+        column('errors'),
+        column('source_info')
+      ]
+    );
+  }
+
+  /**
+   * Delete entries past the retention period
+   */
+  async purge() {
+    const { rowCount } = await db.query(
+      `DELETE FROM telemetry_dead_letters WHERE received_at < NOW() - ($1::int * INTERVAL '1 day')`,
+      [RETENTION_DAYS]
+    );
+    return rowCount;
+  }
+
+  /**
+   * Browse entries, newest first, with keyset pagination on dead_letter_id
+   * filters: vehicle_id, source, reason, field, status, from, to, limit, before
+   */
+  async list(filters) {
+    const { limit = 50 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (filters.vehicle_id) {
+      params.push(filters.vehicle_id);
+      conditions.push(`vehicle_id = $${params.length}`);
+    }
+    if (filters.sources && filters.sources.length > 0) {
+      params.push(filters.sources);
+      conditions.push(`source = ANY($${params.length})`);
+    }
+    if (filters.reasons && filters.reasons.length > 0) {
+      params.push(filters.reasons);
+      conditions.push(`reason = ANY($${params.length})`);
+    }
+    if (filters.field) {
+      params.push(JSON.stringify([{ field: filters.field }]));
+      conditions.push(`errors @> $${params.length}::jsonb`);
+    }
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`received_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`received_at < $${params.length}`);
+    }
+    if (filters.before) {
+      params.push(filters.before);
+      conditions.push(`dead_letter_id < $${params.length}`);
+    }
+
+    params.push(limit + 1);
+    const query = `
+      SELECT * FROM telemetry_dead_letters
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY dead_letter_id DESC
+      LIMIT $${params.length}
+    `;
+    const { rows } = await db.query(query, params);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    return {
+      dead_letters: page,
+      next_before: hasMore ? page[page.length - 1].dead_letter_id : null
+    };
+  }
+
+  /**
+   * Get one entry
+   */
+  async getById(deadLetterId) {
+    const { rows } = await db.query('SELECT * FROM telemetry_dead_letters WHERE dead_letter_id = $1', [deadLetterId]);
+    return rows[0];
+  }
+
+  /**
+   * Run an entry through ingestion again, optionally with a corrected payload
+   * The device token is not checked: an admin vouches for the packet.
+   * Returns null if the entry does not exist, otherwise { status, errors, dead_letter }
+   * where status is 'already_resubmitted', 'no_payload' or a receivePacket status.
+   */
+  async resubmit(deadLetterId, { payload: correctedPayload, user } = {}) {
+    const entry = await this.getById(deadLetterId);
+    if (!entry) return null;
+    if (entry.status === 'resubmitted') {
+      return { status: 'already_resubmitted', errors: null, dead_letter: entry };
+    }
+
+    const payload = correctedPayload !== undefined ? correctedPayload : entry.payload;
+    if (payload === null) {
+      return {
+        status: 'no_payload',
+        errors: [{ field: 'payload', message: 'Entry has no JSON payload; supply a corrected payload' }],
+        dead_letter: entry
+      };
+    }
+
+    const { status, errors } = await telemetryService.receivePacket(payload, { trusted: true });
+    const succeeded = status === 'accepted' || status === 'duplicate';
+    const { rows } = await db.query(`
+      UPDATE telemetry_dead_letters
+      SET resubmit_attempts = resubmit_attempts + 1,
+          last_resubmit_status = $2,
+          last_resubmit_errors = $3,
+          status = CASE WHEN $4::boolean THEN 'resubmitted' ELSE status END,
+          resubmitted_at = CASE WHEN $4::boolean THEN NOW() ELSE resubmitted_at END,
+          resubmitted_by = CASE WHEN $4::boolean THEN $5 ELSE resubmitted_by END
+      WHERE dead_letter_id = $1
+      RETURNING *
+    `, [deadLetterId, status, errors ? JSON.stringify(errors) : null, succeeded, user || null]);
+
+    return { status, errors, dead_letter: rows[0] };
+  }
+
+  /**
+   * Rejection rates per vehicle and per field over the last `hours`
+   * A vehicle's rate is its rejections over rejections plus stored packets
+   * (by device timestamp); a field's rate is its share of all rejections.
+   */
+  async getStats(hours = 24) {
+    const vehicleQuery = `
+      WITH rejected AS (
+        SELECT vehicle_id, COUNT(*) as rejected, MAX(received_at) as last_rejected_at
+        FROM telemetry_dead_letters
+        WHERE received_at >= NOW() - ($1::int * INTERVAL '1 hour')
+        GROUP BY vehicle_id
+      ),
+      accepted AS (
+        SELECT vehicle_id, COUNT(*) as accepted
+        FROM telemetry
+        WHERE timestamp >= (EXTRACT(EPOCH FROM NOW()) * 1000 - $1::int * 3600000)::bigint
+        AND vehicle_id IN (SELECT vehicle_id FROM rejected WHERE vehicle_id IS NOT NULL)
+        GROUP BY vehicle_id
+      )
+      SELECT r.vehicle_id, r.rejected, COALESCE(a.accepted, 0) as accepted, r.last_rejected_at
+      FROM rejected r
+      LEFT JOIN accepted a ON a.vehicle_id = r.vehicle_id
+      ORDER BY r.rejected DESC
+    `;
+    const fieldQuery = `
+      SELECT e->>'field' as field, COUNT(DISTINCT d.dead_letter_id) as rejections, COUNT(DISTINCT d.vehicle_id) as vehicles
+      FROM telemetry_dead_letters d, jsonb_array_elements(d.errors) e
+      WHERE d.received_at >= NOW() - ($1::int * INTERVAL '1 hour')
+      GROUP BY e->>'field'
+      ORDER BY rejections DESC
+    `;
+    const reasonQuery = `
+      SELECT reason, source, COUNT(*) as rejections
+      FROM telemetry_dead_letters
+      WHERE received_at >= NOW() - ($1::int * INTERVAL '1 hour')
+      GROUP BY reason, source
+      ORDER BY rejections DESC
+    `;
+
+    const [vehicles, fields, reasons] = await Promise.all([
+      db.query(vehicleQuery, [hours]),
+      db.query(fieldQuery, [hours]),
+      db.query(reasonQuery, [hours])
+    ]);
+
+    const total = reasons.rows.reduce((sum, row) => sum + parseInt(row.rejections), 0);
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+    return {
+      window_hours: hours,
+      total_rejections: total,
+      by_reason: reasons.rows.map(row => ({ ...row, rejections: parseInt(row.rejections) })),
+      by_vehicle: vehicles.rows.map(row => {
+        const rejected = parseInt(row.rejected);
+        const accepted = parseInt(row.accepted);
+        return {
+          vehicle_id: row.vehicle_id,
+          rejected,
+          accepted,
+          rejection_rate_pct: rate(rejected, rejected + accepted),
+          last_rejected_at: row.last_rejected_at
+        };
+      }),
+      by_field: fields.rows.map(row => ({
+        field: row.field,
+        rejections: parseInt(row.rejections),
+        vehicles: parseInt(row.vehicles),
+        share_pct: rate(parseInt(row.rejections), total)
+      })),
+      buffer: { pending: this.buffer.length, ...this.stats }
+    };
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// enforce: every packet needs a valid device token
+// permissive: packets without a token are logged and accepted (migration); wrong tokens are still refused
+const AUTH_MODE = process.env.DEVICE_AUTH_MODE === 'permissive' ? 'permissive' : 'enforce';
+// How long the previous token keeps working after a rotation, so devices can be updated
+const ROTATION_GRACE_MINUTES = parseInt(process.env.DEVICE_TOKEN_GRACE_MINUTES) || 60;
+// Unsigned packets logged at most once per vehicle per this interval in permissive mode
+const UNSIGNED_LOG_INTERVAL_MS = 10 * 60 * 1000;
+// How long a token hash not found in the database is refused without looking it up again
+const UNKNOWN_TTL_MS = 60 * 1000;
+// Unknown hashes remembered at most (oldest forgotten first)
+const MAX_UNKNOWN = 10000;
+
+/**
+ * Service to issue and verify per-vehicle device tokens for telemetry ingestion
+ *
+ * A token is shown once (at registration or rotation); only its SHA-256 hash
+ * is stored. Verification runs on every packet, so live credentials are cached
+ * in memory by hash and refreshed periodically and after changes; a token not
+ * in the cache (e.g. rotated on another instance) is looked up in the database.
+ * Hashes not found there are remembered for UNKNOWN_TTL_MS, so a device
+ * repeating a wrong token does not cost a query per packet. Freshly issued
+ * tokens are random and so never in that list.
+ */
+class DeviceCredentialService {
+  constructor() {
+    this.AUTH_MODE = AUTH_MODE;
+
+    // Map<token_hash, { credential_id, vehicle_id, expires_at (epoch ms or null) }>
+    this.credentials = new Map();
+    // Map<token_hash, epoch ms until which it is refused without a lookup>
+    this.unknown = new Map();
+    // Credential IDs used since the last flush (last_used_at)
+    this.used = new Set();
+    // Map<vehicle_id, epoch ms of the last unsigned-packet warning>
+    this.unsignedLoggedAt = new Map();
+
+    this.stats = {
+      verified: 0,
+      unsigned_accepted: 0,
+      refused_missing: 0,
+      refused_invalid: 0
+    };
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      Promise.all([this.refresh(), this.flushUsage()]).catch(err => {
+        console.error('[DeviceCredentials] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * SHA-256 hex digest of a token
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Reload live (not revoked, not expired) credentials
+   */
+  async refresh() {
+    const query = `
+      SELECT credential_id, vehicle_id, token_hash,
+             EXTRACT(EPOCH FROM expires_at::timestamptz) * 1000 as expires_ms
+      FROM device_credentials
+      WHERE revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+    `;
+    const { rows } = await db.query(query);
+
+    this.credentials = new Map(rows.map(row => [row.token_hash, this.toEntry(row)]));
+
+    const now = Date.now();
+    this.unknown.forEach((until, hash) => {
+      if (until <= now) this.unknown.delete(hash);
+    });
+    return rows.length;
+  }
+
+  /**
+   * Cache entry for a credential row
+   */
+  toEntry(row) {
+    return {
+      credential_id: row.credential_id,
+      vehicle_id: row.vehicle_id,
+      expires_at: row.expires_ms !== null ? Math.round(parseFloat(row.expires_ms)) : null
+    };
+  }
+
+  /**
+   * Create a credential and return the plain token (client lets it join a transaction)
+   * The cache picks it up on first use through the database fallback in verify()
+   */
+  async issue(vehicleId, client = db) {
+    const token = `dev_${crypto.randomBytes(24).toString('base64url')}`;
+    await client.query(
+      'INSERT INTO device_credentials (vehicle_id, token_hash, token_prefix) VALUES ($1, $2, $3)',
+      [vehicleId, this.hashToken(token), token.slice(0, 8)]
+    );
+    return token;
+  }
+
+  /**
+   * Issue a new token; the vehicle's current tokens expire after the grace period
+   */
+  async rotate(vehicleId) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        UPDATE device_credentials
+        SET expires_at = NOW() + ($2 * INTERVAL '1 minute')
+        WHERE vehicle_id = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW() + ($2 * INTERVAL '1 minute'))
+        RETURNING expires_at
+      `, [vehicleId, ROTATION_GRACE_MINUTES]);
+      const token = await this.issue(vehicleId, client);
+      await client.query('COMMIT');
+
+      await this.refresh();
+      return { device_token: token, previous_expires_at: rows.length > 0 ? rows[0].expires_at : null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke every token of a vehicle immediately
+   */
+  async revoke(vehicleId) {
+    const { rowCount } = await db.query(`
+      UPDATE device_credentials
+      SET revoked_at = NOW()
+      WHERE vehicle_id = $1 AND revoked_at IS NULL
+    `, [vehicleId]);
+
+    await this.refresh();
+    return rowCount;
+  }
+
+  /**
+   * Credential metadata of a vehicle (never the token itself)
+   */
+  async listCredentials(vehicleId) {
+    const query = `
+      SELECT credential_id, token_prefix, created_at, expires_at, revoked_at, last_used_at,
+             (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as active
+      FROM device_credentials
+      WHERE vehicle_id = $1
+      ORDER BY created_at DESC
+    `;
+    const { rows } = await db.query(query, [vehicleId]);
+    return rows;
+  }
+
+  /**
+   * Check a token against a vehicle: 'valid', 'missing' or 'invalid'
+   */
+  async verify(vehicleId, token) {
+    if (!token) return 'missing';
+
+    const hash = this.hashToken(token);
+    let entry = this.credentials.get(hash);
+    if (!entry) {
+      if ((this.unknown.get(hash) || 0) > Date.now()) return 'invalid';
+
+      const { rows } = await db.query(`
+        SELECT credential_id, vehicle_id, token_hash,
+               EXTRACT(EPOCH FROM expires_at::timestamptz) * 1000 as expires_ms
+        FROM device_credentials
+        WHERE token_hash = $1 AND revoked_at IS NULL
+      `, [hash]);
+      if (!rows[0]) {
+        this.rememberUnknown(hash);
+        return 'invalid';
+      }
+      entry = this.toEntry(rows[0]);
+      this.credentials.set(hash, entry);
+    }
+
+    if (entry.vehicle_id !== vehicleId || (entry.expires_at !== null && entry.expires_at <= Date.now())) {
+      return 'invalid';
+    }
+    this.used.add(entry.credential_id);
+    return 'valid';
+  }
+
+  /**
+   * Refuse a hash without a lookup for UNKNOWN_TTL_MS
+   */
+  rememberUnknown(hash) {
+    this.unknown.delete(hash);
+    if (this.unknown.size >= MAX_UNKNOWN) {
+      this.unknown.delete(this.unknown.keys().next().value);
+    }
+    this.unknown.set(hash, Date.now() + UNKNOWN_TTL_MS);
+  }
+
+  /**
+   * Decide whether a packet for vehicleId may be ingested with this token
+   * Returns { allowed, reason } where reason is 'valid', 'unsigned' (accepted in
+   * permissive mode), 'missing' or 'invalid'
+   */
+  async authorize(vehicleId, token) {
+    const result = await this.verify(vehicleId, token);
+
+    if (result === 'valid') {
+      this.stats.verified++;
+      return { allowed: true, reason: 'valid' };
+    }
+    if (result === 'missing' && AUTH_MODE === 'permissive') {
+      this.stats.unsigned_accepted++;
+      const loggedAt = this.unsignedLoggedAt.get(vehicleId) || 0;
+      if (Date.now() - loggedAt > UNSIGNED_LOG_INTERVAL_MS) {
+        this.unsignedLoggedAt.set(vehicleId, Date.now());
+        console.log(`[DeviceCredentials] Accepted telemetry without a device token from ${vehicleId} (permissive mode)`);
+      }
+      return { allowed: true, reason: 'unsigned' };
+    }
+
+    if (result === 'missing') this.stats.refused_missing++;
+    else this.stats.refused_invalid++;
+    return { allowed: false, reason: result };
+  }
+
+  /**
+   * Record last_used_at for credentials seen since the last flush
+   */
+  async flushUsage() {
+    if (this.used.size === 0) return;
+
+    const ids = Array.from(this.used);
+    this.used.clear();
+    try {
+      await db.query('UPDATE device_credentials SET last_used_at = NOW() WHERE credential_id = ANY($1::int[])', [ids]);
+    } catch (error) {
+      // Written again with the next flush
+      ids.forEach(id => this.used.add(id));
+      throw error;
+    }
+  }
+
+  /**
+   * Mode and verification counters for monitoring
+   */
+  getStats() {
+    return {
+      mode: AUTH_MODE,
+      live_credentials: this.credentials.size,
+      unknown_tokens_cached: this.unknown.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new DeviceCredentialService();
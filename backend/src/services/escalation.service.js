@@ -0,0 +1,271 @@
+const db = require('../db');
+const broadcaster = require('../websocket/broadcaster');
+const notificationService = require('./notification.service');
+const offlineThresholdService = require('./offline.threshold.service');
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+/**
+ * Service to escalate alerts that nobody acknowledges
+ *
+ * A policy lists tiers of notification channels, each due a number of
+ * minutes after the alert was raised. The periodic check notifies the next
+ * due tier, bumps alerts.escalation_level and appends to escalation_history;
+ * acknowledging or resolving the alert stops further escalation and snoozing
+ * pauses it. An alert stays on the policy that first escalated it.
+ */
+class EscalationService {
+  constructor() {
+    // Enabled policies in policy_id order (the first matching policy wins)
+    this.policies = [];
+
+    this.CHECK_INTERVAL_MS = 30000;
+    this.REFRESH_INTERVAL_MS = 30000;
+    this.checking = false;
+
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[Escalation] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+    setInterval(() => {
+      this.checkEscalations().catch(err => {
+        console.error('[Escalation] Check failed:', err.message);
+      });
+    }, this.CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Reload enabled policies into memory
+   */
+  async refresh() {
+    const { rows } = await db.query('SELECT * FROM escalation_policies WHERE enabled = TRUE ORDER BY policy_id');
+    this.policies = rows;
+    return rows.length;
+  }
+
+  /**
+   * Whether a policy's filters accept an alert
+   */
+  matches(policy, alert, vehicleGroup) {
+    if ((SEVERITY_RANK[alert.severity] || 0) < (SEVERITY_RANK[policy.min_severity] || 0)) return false;
+    if (policy.alert_types.length > 0 && !policy.alert_types.includes(alert.alert_type)) return false;
+    if (policy.vehicle_groups.length > 0 && !policy.vehicle_groups.includes(vehicleGroup)) return false;
+    return true;
+  }
+
+  /**
+   * Pick the policy governing an alert
+   */
+  findPolicy(alert, vehicleGroup) {
+    if (alert.escalation_policy_id) {
+      const pinned = this.policies.find(p => p.policy_id === alert.escalation_policy_id);
+      if (pinned) return pinned;
+    }
+    return this.policies.find(policy => this.matches(policy, alert, vehicleGroup));
+  }
+
+  /**
+   * Escalate every unacknowledged alert whose next tier is due
+   */
+  async checkEscalations() {
+    if (this.checking || this.policies.length === 0) return 0;
+    this.checking = true;
+
+    try {
+      const minRank = Math.min(...this.policies.map(p => SEVERITY_RANK[p.min_severity] || 0));
+      const severities = Object.keys(SEVERITY_RANK).filter(s => SEVERITY_RANK[s] >= minRank);
+      const firstDueMinutes = Math.min(...this.policies.map(p => p.tiers[0].after_minutes));
+
+      const query = `
+        SELECT alert_id, vehicle_id, alert_type, severity, message, data, created_at,
+               escalation_level, escalation_policy_id,
+               EXTRACT(EPOCH FROM (NOW() - created_at)) / 60 as age_minutes
+        FROM alerts
+        WHERE acknowledged_at IS NULL
+        AND resolved_at IS NULL
+        AND (snoozed_until IS NULL OR snoozed_until <= NOW())
+        AND severity = ANY($1)
+        AND created_at <= NOW() - ($2 * INTERVAL '1 minute')
+        ORDER BY created_at ASC
+      `;
+      const { rows } = await db.query(query, [severities, firstDueMinutes]);
+
+      let escalated = 0;
+      for (const alert of rows) {
+        const vehicleGroup = offlineThresholdService.vehicleGroups.get(alert.vehicle_id) || null;
+        const policy = this.findPolicy(alert, vehicleGroup);
+        if (!policy) continue;
+
+        const tier = policy.tiers[alert.escalation_level];
+        if (!tier || parseFloat(alert.age_minutes) < tier.after_minutes) continue;
+
+        if (await this.escalate(alert, policy, tier, vehicleGroup)) escalated++;
+      }
+
+      if (escalated > 0) {
+        console.log(`[Escalation] Escalated ${escalated} alerts`);
+      }
+      return escalated;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Move an alert to the next tier: record it, notify the tier and emit alert_escalated
+   * The update is conditional on the current level so a concurrent acknowledge wins
+   */
+  async escalate(alert, policy, tier, vehicleGroup) {
+    const level = alert.escalation_level + 1;
+    const entry = {
+      level,
+      policy_id: policy.policy_id,
+      policy_name: policy.name,
+      after_minutes: tier.after_minutes,
+      channel_ids: tier.channel_ids,
+      escalated_at: new Date().toISOString()
+    };
+
+    const query = `
+      UPDATE alerts
+      SET escalation_level = $2,
+          escalation_policy_id = $3,
+          escalation_history = escalation_history || $4::jsonb,
+          last_escalated_at = NOW()
+      WHERE alert_id = $1
+      AND escalation_level = $5
+      AND acknowledged_at IS NULL
+      AND resolved_at IS NULL
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [
+      alert.alert_id, level, policy.policy_id, JSON.stringify([entry]), alert.escalation_level
+    ]);
+    const updated = rows[0];
+    if (!updated) return null;
+
+    const payload = {
+      ...notificationService.buildPayload(updated, vehicleGroup, 'alert.escalated'),
+      escalation: { level, policy_id: policy.policy_id, policy_name: policy.name }
+    };
+    await notificationService.queueDeliveries(tier.channel_ids, updated.alert_id, payload);
+
+    this.broadcastEscalation(updated, entry);
+    console.log(`[Escalation] Alert ${updated.alert_id} (${updated.vehicle_id}/${updated.alert_type}) escalated to level ${level} by policy "${policy.name}"`);
+    return updated;
+  }
+
+  /**
+   * Emit alert_escalated to all connected clients
+   */
+  broadcastEscalation(alert, entry) {
+    if (!broadcaster.io) return;
+
+    broadcaster.io.emit('alert_escalated', {
+      event: 'alert_escalated',
+      alert_id: alert.alert_id,
+      vehicle_id: alert.vehicle_id,
+      alert_type: alert.alert_type,
+      severity: alert.severity,
+      escalation_level: entry.level,
+      policy_id: entry.policy_id,
+      policy_name: entry.policy_name,
+      escalated_at: entry.escalated_at,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Fetch all policies
+   */
+  async getAllPolicies() {
+    const { rows } = await db.query('SELECT * FROM escalation_policies ORDER BY policy_id ASC');
+    return rows;
+  }
+
+  /**
+   * Fetch a policy by ID
+   */
+  async getPolicyById(policyId) {
+    const { rows } = await db.query('SELECT * FROM escalation_policies WHERE policy_id = $1', [policyId]);
+    return rows[0];
+  }
+
+  /**
+   * Create a new policy
+   */
+  async createPolicy(data) {
+    const {
+      name,
+      min_severity,
+      alert_types,
+      vehicle_groups,
+      tiers,
+      enabled = true
+    } = data;
+
+    const query = `
+      INSERT INTO escalation_policies (name, min_severity, alert_types, vehicle_groups, tiers, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [
+      name,
+      min_severity || 'CRITICAL',
+      alert_types || [],
+      vehicle_groups || [],
+      JSON.stringify(tiers),
+      enabled
+    ];
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Update an existing policy (partial update)
+   */
+  async updatePolicy(policyId, data) {
+    const updatable = ['name', 'min_severity', 'alert_types', 'vehicle_groups', 'tiers', 'enabled'];
+    const fields = [];
+    const values = [];
+
+    updatable.forEach(field => {
+      if (data[field] !== undefined) {
+        values.push(field === 'tiers' ? JSON.stringify(data[field]) : data[field]);
+        fields.push(`${field} = $${values.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      return this.getPolicyById(policyId);
+    }
+
+    values.push(policyId);
+    const query = `
+      UPDATE escalation_policies
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE policy_id = $${values.length}
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Delete a policy (alerts keep their escalation history)
+   */
+  async deletePolicy(policyId) {
+    const { rows } = await db.query('DELETE FROM escalation_policies WHERE policy_id = $1 RETURNING *', [policyId]);
+    if (rows[0]) {
+      await this.refresh();
+    }
+    return rows[0];
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,287 @@
+const db = require('../db');
+const broadcaster = require('../websocket/broadcaster');
+const offlineThresholdService = require('./offline.threshold.service');
+
+// Alerts raised this close together are candidates for the same incident
+const CORRELATION_WINDOW_MINUTES = parseInt(process.env.INCIDENT_WINDOW_MINUTES) || 10;
+// Distinct vehicles with the same alert type in one group before they become an incident
+const MIN_GROUP_VEHICLES = parseInt(process.env.INCIDENT_MIN_VEHICLES) || 3;
+// Distinct alert types on one vehicle before they become an incident
+const MIN_VEHICLE_TYPES = 2;
+
+const SEVERITY_ORDER = "CASE severity WHEN 'CRITICAL' THEN 2 WHEN 'WARNING' THEN 1 ELSE 0 END";
+
+/**
+ * Service to correlate related alerts into incidents
+ *
+ * Two correlations are tried in order when an alert is raised:
+ *  - group_type: the same alert type on several vehicles of one vehicle group
+ *    (ungrouped vehicles count as one fleet bucket), e.g. a depot's chargers failing
+ *  - vehicle: several alert types on one vehicle
+ * An alert joins the live incident for its correlation key if there is one;
+ * otherwise an incident opens once enough unattached alerts fall inside the
+ * window. An incident resolves by itself when all of its alerts have resolved.
+ */
+class IncidentService {
+  constructor() {
+    // Correlation runs one alert at a time so concurrent alerts cannot open duplicate incidents
+    this.queue = Promise.resolve();
+
+    this.CHECK_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.resolveCleared().catch(err => {
+        console.error('[Incidents] Resolve check failed:', err.message);
+      });
+    }, this.CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Queue an alert for correlation
+   * Resolves to the incident the alert joined, or null
+   */
+  correlate(alert) {
+    const run = this.queue.then(() => this.correlateAlert(alert));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Attach an alert to an incident, opening one if the correlation threshold is met
+   */
+  async correlateAlert(alert) {
+    const vehicleGroup = offlineThresholdService.vehicleGroups.get(alert.vehicle_id) || null;
+
+    const groupKey = `group_type:${vehicleGroup || '*'}:${alert.alert_type}`;
+    const byGroup = await this.joinOrOpen(alert, groupKey, {
+      correlation_type: 'group_type',
+      vehicle_group: vehicleGroup,
+      alert_type: alert.alert_type
+    }, async () => {
+      const { rows } = await db.query(`
+        SELECT a.alert_id, a.vehicle_id
+        FROM alerts a
+        LEFT JOIN vehicles v ON v.vehicle_id = a.vehicle_id
+        WHERE a.alert_type = $1
+        AND v.vehicle_group IS NOT DISTINCT FROM $2
+        AND a.incident_id IS NULL
+        AND a.resolved_at IS NULL
+        AND a.created_at >= NOW() - ($3 * INTERVAL '1 minute')
+      `, [alert.alert_type, vehicleGroup, CORRELATION_WINDOW_MINUTES]);
+      return new Set(rows.map(r => r.vehicle_id)).size >= MIN_GROUP_VEHICLES ? rows : null;
+    });
+    if (byGroup) return byGroup;
+
+    return this.joinOrOpen(alert, `vehicle:${alert.vehicle_id}`, {
+      correlation_type: 'vehicle',
+      vehicle_id: alert.vehicle_id
+    }, async () => {
+      const { rows } = await db.query(`
+        SELECT alert_id, alert_type
+        FROM alerts
+        WHERE vehicle_id = $1
+        AND incident_id IS NULL
+        AND resolved_at IS NULL
+        AND created_at >= NOW() - ($2 * INTERVAL '1 minute')
+      `, [alert.vehicle_id, CORRELATION_WINDOW_MINUTES]);
+      return new Set(rows.map(r => r.alert_type)).size >= MIN_VEHICLE_TYPES ? rows : null;
+    });
+  }
+
+  /**
+   * Join the live incident for a key, or open one when findCandidates returns alerts
+   */
+  async joinOrOpen(alert, correlationKey, scope, findCandidates) {
+    const { rows: live } = await db.query(
+      "SELECT * FROM incidents WHERE correlation_key = $1 AND status <> 'resolved'",
+      [correlationKey]
+    );
+    if (live[0]) {
+      await this.attach(live[0].incident_id, [alert.alert_id]);
+      const incident = await this.recount(live[0].incident_id, true);
+      this.broadcastIncident('incident_updated', incident);
+      return incident;
+    }
+
+    const candidates = await findCandidates();
+    if (!candidates) return null;
+
+    const { rows } = await db.query(`
+      INSERT INTO incidents (correlation_type, correlation_key, vehicle_group, vehicle_id, alert_type, severity)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (correlation_key) WHERE status <> 'resolved' DO NOTHING
+      RETURNING *
+    `, [
+      scope.correlation_type,
+      correlationKey,
+      scope.vehicle_group || null,
+      scope.vehicle_id || null,
+      scope.alert_type || null,
+      alert.severity
+    ]);
+    // Another instance opened it first; fall back to joining
+    if (!rows[0]) return this.joinOrOpen(alert, correlationKey, scope, async () => null);
+
+    await this.attach(rows[0].incident_id, candidates.map(c => c.alert_id));
+    const incident = await this.recount(rows[0].incident_id, false);
+    console.log(`[Incidents] Opened incident ${incident.incident_id}: ${incident.title}`);
+    this.broadcastIncident('incident_opened', incident);
+    return incident;
+  }
+
+  /**
+   * Link alerts to an incident (alerts already in an incident keep it)
+   */
+  async attach(incidentId, alertIds) {
+    await db.query(
+      'UPDATE alerts SET incident_id = $1 WHERE alert_id = ANY($2::uuid[]) AND incident_id IS NULL',
+      [incidentId, alertIds]
+    );
+  }
+
+  /**
+   * Recompute counts, severity and title from the incident's alerts
+   * reopen moves an acknowledged incident back to open because it has a new alert
+   */
+  async recount(incidentId, reopen) {
+    const query = `
+      UPDATE incidents i
+      SET alert_count = s.alert_count,
+          vehicle_count = s.vehicle_count,
+          severity = s.severity,
+          last_alert_at = s.last_alert_at,
+          title = CASE i.correlation_type
+            WHEN 'vehicle' THEN format('%s alert types on %s', s.type_count, i.vehicle_id)
+            ELSE format('%s on %s vehicles in %s', i.alert_type, s.vehicle_count, COALESCE(i.vehicle_group, 'ungrouped fleet'))
+          END,
+          status = CASE WHEN $2 AND i.status = 'acknowledged' THEN 'open' ELSE i.status END,
+          updated_at = NOW()
+      FROM (
+        SELECT
+          COUNT(*) as alert_count,
+          COUNT(DISTINCT vehicle_id) as vehicle_count,
+          COUNT(DISTINCT alert_type) as type_count,
+          MAX(created_at) as last_alert_at,
+          (ARRAY_AGG(severity ORDER BY ${SEVERITY_ORDER} DESC))[1] as severity
+        FROM alerts
+        WHERE incident_id = $1
+      ) s
+      WHERE i.incident_id = $1
+      RETURNING i.*
+    `;
+    const { rows } = await db.query(query, [incidentId, reopen]);
+    return rows[0];
+  }
+
+  /**
+   * Resolve live incidents whose alerts have all resolved
+   * incidentIds narrows the check to the incidents of just-resolved alerts
+   */
+  async resolveCleared(incidentIds = null) {
+    const query = `
+      UPDATE incidents i
+      SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+      WHERE i.status <> 'resolved'
+      ${incidentIds ? 'AND i.incident_id = ANY($1::int[])' : ''}
+      AND NOT EXISTS (
+        SELECT 1 FROM alerts a WHERE a.incident_id = i.incident_id AND a.resolved_at IS NULL
+      )
+      RETURNING i.*
+    `;
+    const { rows } = await db.query(query, incidentIds ? [incidentIds] : []);
+
+    rows.forEach(incident => {
+      console.log(`[Incidents] Incident ${incident.incident_id} resolved: all alerts cleared`);
+      this.broadcastIncident('incident_resolved', incident);
+    });
+    return rows.length;
+  }
+
+  /**
+   * Emit an incident lifecycle event to all connected clients
+   */
+  broadcastIncident(event, incident) {
+    if (!broadcaster.io || !incident) return;
+
+    broadcaster.io.emit(event, {
+      event,
+      incident,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Fetch incidents, newest activity first
+   * status: open, acknowledged, resolved or active (open + acknowledged, the default)
+   */
+  async getIncidents({ status = 'active', limit = 100 } = {}) {
+    const values = [];
+    let condition = "WHERE status <> 'resolved'";
+    if (status !== 'active') {
+      values.push(status);
+      condition = `WHERE status = $${values.length}`;
+    }
+
+    values.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+    const query = `
+      SELECT * FROM incidents
+      ${condition}
+      ORDER BY last_alert_at DESC
+      LIMIT $${values.length}
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  }
+
+  /**
+   * Fetch an incident by ID
+   */
+  async getIncidentById(incidentId) {
+    const { rows } = await db.query('SELECT * FROM incidents WHERE incident_id = $1', [incidentId]);
+    return rows[0];
+  }
+
+  /**
+   * Fetch the alerts grouped into an incident
+   */
+  async getIncidentAlerts(incidentId) {
+    const query = `
+      SELECT alert_id, vehicle_id, alert_type, severity, message, created_at,
+             acknowledged_at, acknowledged_by, resolved_at
+      FROM alerts
+      WHERE incident_id = $1
+      ORDER BY created_at ASC
+    `;
+    const { rows } = await db.query(query, [incidentId]);
+    return rows;
+  }
+
+  /**
+   * Mark an open incident acknowledged (its alerts are acknowledged by the caller)
+   */
+  async acknowledgeIncident(incidentId, user) {
+    const query = `
+      UPDATE incidents
+      SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $2, updated_at = NOW()
+      WHERE incident_id = $1 AND status = 'open'
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [incidentId, user]);
+    return rows[0];
+  }
+
+  /**
+   * Resolve a live incident by hand; its alerts keep their own state
+   */
+  async resolveIncident(incidentId) {
+    const query = `
+      UPDATE incidents
+      SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+      WHERE incident_id = $1 AND status <> 'resolved'
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [incidentId]);
+    return rows[0];
+  }
+}
+
+module.exports = new IncidentService();
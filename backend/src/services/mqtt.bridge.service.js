@@ -0,0 +1,389 @@
+const net = require('net');
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const telemetryService = require('./telemetry.service');
+const deviceCredentialService = require('./device.credential.service');
+const deadLetterService = require('./dead.letter.service');
+
+// Topics are <prefix>/<vehicle_id>/telemetry (in), <prefix>/<vehicle_id>/alerts and .../errors (out)
+const TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'fleet';
+// Username the bridge itself uses on the embedded broker
+const BRIDGE_USERNAME = 'ev-backend-bridge';
+// How long start() waits for the first connection before giving up
+const CONNECT_TIMEOUT_MS = parseInt(process.env.MQTT_CONNECT_TIMEOUT_MS) || 15000;
+
+/**
+ * Bridge between MQTT telematics units and the telemetry pipeline
+ *
+ * Subscribes to <prefix>/+/telemetry and runs every message through
+ * telemetryService.receivePacket, the same validation, storage, realtime and
+ * alert pipeline as POST /api/v1/telemetry. Packets that are not accepted are
+ * answered on <prefix>/<vehicle_id>/errors, and alerts raised for a vehicle are
+ * published on <prefix>/<vehicle_id>/alerts.
+ *
+ * Connects to MQTT_URL, or starts an embedded broker on MQTT_BROKER_PORT (also
+ * handy for local development and tests); does nothing when neither is set.
+ *
+ * Devices are authenticated by the broker, not by the bridge: the embedded broker
+ * takes the vehicle ID as username and its device token as password, lets a
+ * device publish only to its own telemetry topic, and re-checks the session's
+ * token on every publish so a revoked or expired token stops the session. An
+ * external broker must enforce equivalent ACLs and credential checks.
+ */
+class MqttBridgeService {
+  constructor() {
+    this.client = null;
+    this.broker = null;
+    this.server = null;
+    // Password of the bridge's own connection to the embedded broker
+    this.bridgeSecret = crypto.randomBytes(16).toString('hex');
+
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      duplicates: 0,
+      rejected: 0,
+      alerts_published: 0
+    };
+  }
+
+  /**
+   * Start the bridge (and the embedded broker if a port is given)
+   * Resolves once subscribed; false when MQTT is not configured. Rejects (and
+   * stops everything it started) when the first connection fails: broker
+   * unreachable, credentials refused, or no connection within CONNECT_TIMEOUT_MS.
+   */
+  async start({ url = process.env.MQTT_URL, brokerPort = process.env.MQTT_BROKER_PORT } = {}) {
+    let credentials = { username: process.env.MQTT_USERNAME, password: process.env.MQTT_PASSWORD };
+    // Port 0 starts the broker on a free port (tests)
+    if (brokerPort !== undefined && brokerPort !== '') {
+      const port = await this.startBroker(parseInt(brokerPort));
+      if (!url) {
+        url = `mqtt://127.0.0.1:${port}`;
+        credentials = { username: BRIDGE_USERNAME, password: this.bridgeSecret };
+      }
+    }
+    if (!url) return false;
+
+    this.client = mqtt.connect(url, {
+      clientId: `ev-backend-${process.pid}-${Date.now()}`,
+      ...credentials,
+      reconnectPeriod: 5000
+    });
+
+    this.client.on('message', (topic, message) => {
+      this.handleMessage(topic, message).catch(err => {
+        console.error('[MQTT] Message handling failed:', err.message);
+      });
+    });
+    this.client.on('error', err => {
+      console.error('[MQTT] Client error:', err.message);
+    });
+
+    const topic = `${TOPIC_PREFIX}/+/telemetry`;
+    try {
+      await this.connectAndSubscribe(topic, url);
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    // Subscriptions are not persisted by every broker; renew them after a reconnect
+    this.client.on('connect', () => this.client.subscribe(topic, { qos: 1 }));
+
+    console.log(`[MQTT] Bridge subscribed to ${topic} on ${url}`);
+    return true;
+  }
+
+  /**
+   * Wait for the client's first connection and subscribe
+   */
+  connectAndSubscribe(topic, url) {
+    const client = this.client;
+    return new Promise((resolve, reject) => {
+      const settle = (err) => {
+        clearTimeout(timer);
+        client.removeListener('error', onError);
+        client.removeListener('close', onClose);
+        if (err) reject(err);
+        else resolve();
+      };
+      const onError = err => settle(err);
+      const onClose = () => settle(new Error(`Connection to ${url} closed before it was established`));
+      const timer = setTimeout(() => settle(new Error(`Timed out connecting to ${url}`)), CONNECT_TIMEOUT_MS);
+
+      client.once('error', onError);
+      client.once('close', onClose);
+      client.once('connect', () => {
+        client.removeListener('close', onClose);
+        client.subscribe(topic, { qos: 1 }, err => settle(err));
+      });
+    });
+  }
+
+  /**
+   * Start an in-process MQTT broker; resolves to the port it listens on (0 picks a free one)
+   */
+  async startBroker(port) {
+    this.broker = require('aedes')({
+      authenticate: (client, username, password, callback) => {
+        this.authenticateClient(client, username, password)
+          .then(ok => {
+            if (ok) return callback(null, true);
+            const error = new Error('Bad vehicle ID or device token');
+            error.returnCode = 4;
+            callback(error, false);
+          })
+          .catch(err => callback(err, false));
+      },
+      authorizePublish: (client, packet, callback) => {
+        if (!this.canPublish(client, packet.topic)) {
+          this.recordRefused(client, packet, 'Publishing to this topic is not allowed');
+          return callback(new Error('Publishing to this topic is not allowed'));
+        }
+        this.isSessionValid(client)
+          .then(valid => {
+            if (valid) return callback(null);
+            // Refusing a publish makes the broker drop the connection
+            console.log(`[MQTT] Closing session of ${client.vehicleId}: device token revoked or expired`);
+            this.recordRefused(client, packet, 'Device token is invalid, expired or revoked for this vehicle');
+            callback(new Error('Device token revoked or expired'));
+          })
+          .catch(err => callback(err));
+      },
+      authorizeSubscribe: (client, subscription, callback) => {
+        callback(null, this.canSubscribe(client, subscription.topic) ? subscription : null);
+      }
+    });
+    this.server = net.createServer(this.broker.handle);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+
+    const { port: boundPort } = this.server.address();
+    console.log(`[MQTT] Embedded broker listening on port ${boundPort}`);
+    return boundPort;
+  }
+
+  /**
+   * Embedded broker login: the bridge itself, or a vehicle ID with its device token
+   * Without credentials a device is let in only in permissive mode (client.vehicleId stays null)
+   */
+  async authenticateClient(client, username, password) {
+    const secret = password ? password.toString() : null;
+
+    if (username === BRIDGE_USERNAME) {
+      client.isBridge = secret === this.bridgeSecret;
+      return client.isBridge;
+    }
+
+    if (!username && !secret) {
+      client.vehicleId = null;
+      return deviceCredentialService.AUTH_MODE === 'permissive';
+    }
+
+    const { allowed, reason } = await deviceCredentialService.authorize(username, secret);
+    client.vehicleId = username;
+    client.deviceToken = secret;
+    return allowed && reason === 'valid';
+  }
+
+  /**
+   * Whether a device's session may still publish: its login token must still be
+   * valid (not revoked, grace period after rotation not over); cache hit per message
+   */
+  async isSessionValid(client) {
+    if (client.isBridge || !client.deviceToken) return true;
+    return (await deviceCredentialService.verify(client.vehicleId, client.deviceToken)) === 'valid';
+  }
+
+  /**
+   * Devices publish only telemetry, and only for their own vehicle
+   */
+  canPublish(client, topic) {
+    if (client.isBridge) return true;
+    const vehicleId = this.parseTopic(topic);
+    return vehicleId !== null && (client.vehicleId === null || client.vehicleId === vehicleId);
+  }
+
+  /**
+   * Devices subscribe only to their own alerts/errors (a concrete vehicle ID, no wildcard)
+   */
+  canSubscribe(client, topic) {
+    if (client.isBridge) return true;
+    const parts = topic.split('/');
+    return parts.length === 3 &&
+      parts[0] === TOPIC_PREFIX &&
+      ['alerts', 'errors'].includes(parts[2]) &&
+      !/[+#]/.test(parts[1]) &&
+      (client.vehicleId === null || client.vehicleId === parts[1]);
+  }
+
+  /**
+   * Vehicle ID from a <prefix>/<vehicle_id>/telemetry topic
+   */
+  parseTopic(topic) {
+    const parts = topic.split('/');
+    return parts.length === 3 && parts[0] === TOPIC_PREFIX && parts[2] === 'telemetry' ? parts[1] : null;
+  }
+
+  /**
+   * Run one MQTT telemetry message through the ingestion pipeline
+   * The payload's vehicle_id may be omitted (taken from the topic) but must not contradict it
+   */
+  async handleMessage(topic, message) {
+    const vehicleId = this.parseTopic(topic);
+    if (!vehicleId) return;
+    this.stats.received++;
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      return this.reject(topic, vehicleId, 'invalid', [{ field: 'payload', message: 'Invalid JSON' }], null, message.toString());
+    }
+
+    if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      if (payload.vehicle_id === undefined) {
+        payload.vehicle_id = vehicleId;
+      } else if (payload.vehicle_id !== vehicleId) {
+        return this.reject(topic, vehicleId, 'invalid', [{ field: 'vehicle_id', message: 'vehicle_id does not match the topic' }], payload);
+      }
+    }
+
+    // The broker has already authenticated the device for this topic
+    const { status, errors } = await telemetryService.receivePacket(payload, { trusted: true });
+    if (status === 'accepted') {
+      this.stats.accepted++;
+    } else if (status === 'duplicate') {
+      this.stats.duplicates++;
+    } else {
+      this.reject(topic, vehicleId, status, errors, payload);
+    }
+  }
+
+  /**
+   * Keep a telemetry publish refused by the embedded broker in the dead-letter store
+   * (the device is disconnected, so nothing is published back)
+   */
+  recordRefused(client, packet, message) {
+    const vehicleId = this.parseTopic(packet.topic);
+    if (!vehicleId) return;
+    this.stats.rejected++;
+
+    const text = packet.payload ? packet.payload.toString() : '';
+    let payload = null;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      // Kept as raw text
+    }
+    deadLetterService.record({
+      source: 'mqtt',
+      reason: 'unauthorized',
+      payload,
+      raw: payload === null ? text : null,
+      errors: [{ field: 'device_token', message }],
+      sourceInfo: { topic: packet.topic, vehicle_id: vehicleId, client_vehicle_id: client.vehicleId || null }
+    });
+  }
+
+  /**
+   * Tell the device why a packet was not accepted, and keep it in the dead-letter store
+   * raw is the message text when it was not valid JSON
+   */
+  reject(topic, vehicleId, status, errors, payload = null, raw = null) {
+    this.stats.rejected++;
+    deadLetterService.record({
+      source: 'mqtt',
+      reason: status,
+      payload,
+      raw,
+      errors,
+      sourceInfo: { topic, vehicle_id: vehicleId }
+    });
+    this.publish(vehicleId, 'errors', {
+      event: 'telemetry_rejected',
+      status,
+      errors,
+      seq: payload && payload.seq !== undefined ? payload.seq : null,
+      message_id: payload && payload.message_id !== undefined ? payload.message_id : null,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Publish a newly raised alert on the vehicle's alert topic
+   */
+  publishAlert(alert) {
+    if (this.publish(alert.vehicle_id, 'alerts', {
+      event: 'alert_created',
+      alert: {
+        alert_id: alert.alert_id,
+        alert_type: alert.alert_type,
+        severity: alert.severity,
+        message: alert.message,
+        created_at: alert.created_at
+      },
+      timestamp: Date.now()
+    })) {
+      this.stats.alerts_published++;
+    }
+  }
+
+  /**
+   * Publish an alert auto-resolve on the vehicle's alert topic
+   */
+  publishAlertResolved(vehicleId, alertType) {
+    this.publish(vehicleId, 'alerts', {
+      event: 'alert_resolved',
+      alert_type: alertType,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Publish JSON on <prefix>/<vehicle_id>/<channel>; false when not connected
+   */
+  publish(vehicleId, channel, body) {
+    if (!this.client || !this.client.connected) return false;
+
+    this.client.publish(`${TOPIC_PREFIX}/${vehicleId}/${channel}`, JSON.stringify(body), { qos: 1 }, err => {
+      if (err) console.error(`[MQTT] Publish to ${channel} failed:`, err.message);
+    });
+    return true;
+  }
+
+  /**
+   * Disconnect the client and close the embedded broker
+   */
+  async stop() {
+    if (this.client) {
+      // Forced when never connected, so a pending reconnect does not hold it open
+      await this.client.endAsync(!this.client.connected);
+      this.client = null;
+    }
+    if (this.broker) {
+      await new Promise(resolve => this.broker.close(resolve));
+      await new Promise(resolve => this.server.close(resolve));
+      this.broker = null;
+      this.server = null;
+    }
+  }
+
+  /**
+   * Connection state and message counters for monitoring
+   */
+  getStatus() {
+    return {
+      enabled: this.client !== null,
+      connected: Boolean(this.client && this.client.connected),
+      embedded_broker: this.broker !== null,
+      topic_prefix: TOPIC_PREFIX,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MqttBridgeService();
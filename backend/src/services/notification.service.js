@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const db = require('../db');
+const offlineThresholdService = require('./offline.threshold.service');
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+/**
+ * Service to fan alerts out to external notification channels
+ *
+ * Each matching channel gets a row in notification_deliveries, which doubles
+ * as the delivery log and the retry queue: a worker picks up due rows, sends
+ * them and reschedules failures with exponential backoff until MAX_ATTEMPTS.
+ * Rows are claimed (status 'sending') with SKIP LOCKED so several workers or
+ * backend instances never send the same delivery; a claim older than
+ * SENDING_TIMEOUT_MS (worker died mid-send) is put back to pending.
+ * Webhooks are signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+ * channel secret; email goes through the SMTP server configured via SMTP_*.
+ */
+class NotificationService {
+  constructor() {
+    // Enabled channels, cached for routing on the alert hot path
+    this.channels = [];
+
+    this.MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+    this.BASE_BACKOFF_MS = 5000; // 5s, 10s, 20s, 40s...
+    this.MAX_BACKOFF_MS = 10 * 60 * 1000;
+    this.WEBHOOK_TIMEOUT_MS = 5000;
+    this.BATCH_SIZE = 50;
+    this.SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+    this.SECRET_MASK = '********';
+
+    this.SMTP_FROM = process.env.SMTP_FROM || 'ev-fleet-alerts@localhost';
+    this.transporter = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+      })
+      : null;
+
+    this.processing = false;
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    this.PROCESS_INTERVAL_MS = 5000;
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[Notifications] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+    setInterval(() => {
+      this.processQueue().catch(err => {
+        console.error('[Notifications] Queue processing failed:', err.message);
+      });
+    }, this.PROCESS_INTERVAL_MS);
+  }
+
+  /**
+   * Reload enabled channels into the routing cache
+   */
+  async refresh() {
+    const { rows } = await db.query('SELECT * FROM notification_channels WHERE enabled = TRUE ORDER BY channel_id');
+    this.channels = rows;
+    return rows.length;
+  }
+
+  /**
+   * Whether a channel's routing filters accept an alert
+   * Empty alert_types / vehicle_groups match everything
+   */
+  matches(channel, alert, vehicleGroup) {
+    if ((SEVERITY_RANK[alert.severity] || 0) < (SEVERITY_RANK[channel.min_severity] || 0)) return false;
+    if (channel.alert_types.length > 0 && !channel.alert_types.includes(alert.alert_type)) return false;
+    if (channel.vehicle_groups.length > 0 && !channel.vehicle_groups.includes(vehicleGroup)) return false;
+    return true;
+  }
+
+  /**
+   * Build the JSON document sent to webhooks and rendered into emails
+   */
+  buildPayload(alert, vehicleGroup, event = 'alert.created') {
+    return {
+      event,
+      alert: {
+        alert_id: alert.alert_id,
+        vehicle_id: alert.vehicle_id,
+        vehicle_group: vehicleGroup || null,
+        alert_type: alert.alert_type,
+        severity: alert.severity,
+        message: alert.message,
+        data: alert.data,
+        created_at: alert.created_at
+      }
+    };
+  }
+
+  /**
+   * Queue deliveries for every channel routed to a new alert
+   * Returns the number of deliveries queued
+   */
+  async notifyAlert(alert) {
+    const vehicleGroup = offlineThresholdService.vehicleGroups.get(alert.vehicle_id) || null;
+    const channelIds = this.channels
+      .filter(channel => this.matches(channel, alert, vehicleGroup))
+      .map(channel => channel.channel_id);
+
+    if (channelIds.length === 0) return 0;
+
+    return this.queueDeliveries(channelIds, alert.alert_id, this.buildPayload(alert, vehicleGroup));
+  }
+
+  /**
+   * Queue one payload for the given channels and kick the worker
+   * Returns the number of deliveries queued
+   */
+  async queueDeliveries(channelIds, alertId, payload) {
+    const query = `
+      INSERT INTO notification_deliveries (channel_id, alert_id, payload)
+      SELECT UNNEST($1::int[]), $2, $3
+    `;
+    await db.query(query, [channelIds, alertId, JSON.stringify(payload)]);
+
+    // Send right away rather than waiting for the next worker tick
+    this.processQueue().catch(err => {
+      console.error('[Notifications] Queue processing failed:', err.message);
+    });
+
+    return channelIds.length;
+  }
+
+  /**
+   * Claim and send every due pending delivery
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.recoverStuck();
+
+      const query = `
+        WITH due AS (
+          SELECT d.delivery_id
+          FROM notification_deliveries d
+          JOIN notification_channels c ON c.channel_id = d.channel_id
+          WHERE d.status = 'pending'
+          AND d.next_attempt_at <= NOW()
+          AND c.enabled = TRUE
+          ORDER BY d.next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        UPDATE notification_deliveries d
+        SET status = 'sending', updated_at = NOW()
+        FROM due, notification_channels c
+        WHERE d.delivery_id = due.delivery_id
+        AND c.channel_id = d.channel_id
+        RETURNING d.*, c.channel_type, c.config
+      `;
+      const { rows } = await db.query(query, [this.BATCH_SIZE]);
+      await Promise.all(rows.map(delivery => this.attemptDelivery(delivery)));
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Put deliveries whose claim expired back to pending
+   * Such a delivery may have gone out before its worker died, so it can be sent twice
+   */
+  async recoverStuck() {
+    const { rowCount } = await db.query(`
+      UPDATE notification_deliveries
+      SET status = 'pending', next_attempt_at = NOW(), updated_at = NOW()
+      WHERE status = 'sending'
+      AND updated_at < NOW() - ($1 * INTERVAL '1 millisecond')
+    `, [this.SENDING_TIMEOUT_MS]);
+    if (rowCount > 0) {
+      console.log(`[Notifications] Recovered ${rowCount} deliveries stuck in sending`);
+    }
+    return rowCount;
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * Failures are rescheduled with exponential backoff unless they are permanent
+   */
+  async attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const responseCode = await this.send(delivery);
+      const { rows } = await db.query(`
+        UPDATE notification_deliveries
+        SET status = 'sent', attempts = $2, response_code = $3, last_error = NULL,
+            delivered_at = NOW(), updated_at = NOW()
+        WHERE delivery_id = $1
+        RETURNING *
+      `, [delivery.delivery_id, attempts, responseCode]);
+      return rows[0];
+    } catch (error) {
+      const retry = error.retryable !== false && attempts < this.MAX_ATTEMPTS;
+      const backoffMs = Math.min(this.BASE_BACKOFF_MS * 2 ** (attempts - 1), this.MAX_BACKOFF_MS);
+
+      const { rows } = await db.query(`
+        UPDATE notification_deliveries
+        SET status = $2, attempts = $3, response_code = $4, last_error = $5,
+            next_attempt_at = NOW() + ($6 * INTERVAL '1 millisecond'), updated_at = NOW()
+        WHERE delivery_id = $1
+        RETURNING *
+      `, [delivery.delivery_id, retry ? 'pending' : 'failed', attempts, error.responseCode || null, error.message, backoffMs]);
+
+      console.error(`[Notifications] Delivery ${delivery.delivery_id} attempt ${attempts} failed${retry ? `, retrying in ${backoffMs / 1000}s` : ''}:`, error.message);
+      return rows[0];
+    }
+  }
+
+  /**
+   * Dispatch a delivery to its channel type; resolves with the response code
+   */
+  async send(delivery) {
+    if (delivery.channel_type === 'webhook') {
+      return this.sendWebhook(delivery.config, delivery.payload, delivery.delivery_id);
+    }
+    if (delivery.channel_type === 'email') {
+      return this.sendEmail(delivery.config, delivery.payload);
+    }
+
+    const error = new Error(`Unsupported channel type: ${delivery.channel_type}`);
+    error.retryable = false;
+    throw error;
+  }
+
+  /**
+   * HMAC-SHA256 signature receivers recompute to verify a webhook
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST the payload to a webhook URL
+   * 408, 429 and 5xx responses and network errors are retried; other 4xx are permanent
+   */
+  async sendWebhook(config, payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      ...(config.headers || {}),
+      'Content-Type': 'application/json',
+      'X-EV-Event': payload.event,
+      'X-EV-Delivery': String(deliveryId),
+      'X-EV-Timestamp': timestamp
+    };
+    if (config.secret) {
+      headers['X-EV-Signature'] = `sha256=${this.sign(config.secret, timestamp, body)}`;
+    }
+
+    try {
+      const response = await axios.post(config.url, body, {
+        headers,
+        timeout: this.WEBHOOK_TIMEOUT_MS,
+        // Treat redirects as failures so signed payloads are not re-sent elsewhere
+        maxRedirects: 0,
+        transformRequest: [data => data]
+      });
+      return response.status;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const failure = new Error(status ? `Webhook responded with HTTP ${status}` : `Webhook request failed: ${error.message}`);
+      failure.responseCode = status;
+      failure.retryable = !status || status === 408 || status === 429 || status >= 500;
+      throw failure;
+    }
+  }
+
+  /**
+   * Send the alert as a plain-text email to the channel recipients
+   */
+  async sendEmail(config, payload) {
+    if (!this.transporter) {
+      const error = new Error('SMTP is not configured (set SMTP_HOST)');
+      error.retryable = false;
+      throw error;
+    }
+
+    const { alert } = payload;
+    const lines = [
+      alert.message,
+      '',
+      `Vehicle: ${alert.vehicle_id}${alert.vehicle_group ? ` (${alert.vehicle_group})` : ''}`,
+      `Alert type: ${alert.alert_type}`,
+      `Severity: ${alert.severity}`,
+      `Raised at: ${alert.created_at}`,
+      '',
+      `Data: ${JSON.stringify(alert.data || {})}`
+    ];
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: this.SMTP_FROM,
+        to: config.recipients.join(', '),
+        subject: `${payload.escalation ? `Escalation L${payload.escalation.level}: ` : ''}[${alert.severity}] ${alert.alert_type} on ${alert.vehicle_id}`,
+        text: lines.join('\n')
+      });
+      return parseInt(info.response) || null;
+    } catch (error) {
+      const failure = new Error(`SMTP delivery failed: ${error.message}`);
+      failure.responseCode = error.responseCode || null;
+      // 5xx SMTP replies are permanent (e.g. unknown recipient)
+      failure.retryable = !(error.responseCode >= 500);
+      throw failure;
+    }
+  }
+
+  /**
+   * Send a sample alert through a channel immediately and return the delivery row
+   */
+  async sendTest(channel) {
+    const payload = this.buildPayload({
+      alert_id: null,
+      vehicle_id: 'TEST-VEHICLE',
+      alert_type: 'test_notification',
+      severity: 'INFO',
+      message: `Test notification for channel "${channel.name}"`,
+      data: {},
+      created_at: new Date().toISOString()
+    }, null, 'test');
+
+    // next_attempt_at stays NULL so the worker does not pick the row up concurrently
+    const { rows } = await db.query(
+      'INSERT INTO notification_deliveries (channel_id, payload, next_attempt_at) VALUES ($1, $2, NULL) RETURNING *',
+      [channel.channel_id, JSON.stringify(payload)]
+    );
+
+    return this.attemptDelivery({ ...rows[0], channel_type: channel.channel_type, config: channel.config });
+  }
+
+  /**
+   * Hide webhook secrets in API responses
+   */
+  maskChannel(channel) {
+    if (!channel || !channel.config || !channel.config.secret) return channel;
+    return { ...channel, config: { ...channel.config, secret: this.SECRET_MASK } };
+  }
+
+  /**
+   * Fetch all channels
+   */
+  async getAllChannels() {
+    const { rows } = await db.query('SELECT * FROM notification_channels ORDER BY channel_id ASC');
+    return rows;
+  }
+
+  /**
+   * Fetch a channel by ID
+   */
+  async getChannelById(channelId) {
+    const { rows } = await db.query('SELECT * FROM notification_channels WHERE channel_id = $1', [channelId]);
+    return rows[0];
+  }
+
+  /**
+   * Create a new channel
+   */
+  async createChannel(data) {
+    const {
+      name,
+      channel_type,
+      config,
+      min_severity,
+      alert_types,
+      vehicle_groups,
+      enabled = true
+    } = data;
+
+    const query = `
+      INSERT INTO notification_channels (name, channel_type, config, min_severity, alert_types, vehicle_groups, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    const values = [
+      name,
+      channel_type,
+      JSON.stringify(config),
+      min_severity || 'INFO',
+      alert_types || [],
+      vehicle_groups || [],
+      enabled
+    ];
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Update an existing channel (partial update)
+   * null filters reset to their defaults, as on create
+   */
+  async updateChannel(channelId, data) {
+    const updatable = ['name', 'config', 'min_severity', 'alert_types', 'vehicle_groups', 'enabled'];
+    const defaults = { min_severity: 'INFO', alert_types: [], vehicle_groups: [] };
+    const fields = [];
+    const values = [];
+
+    updatable.forEach(field => {
+      if (data[field] !== undefined) {
+        const value = data[field] === null && field in defaults ? defaults[field] : data[field];
+        values.push(field === 'config' ? JSON.stringify(value) : value);
+        fields.push(`${field} = $${values.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      return this.getChannelById(channelId);
+    }
+
+    values.push(channelId);
+    const query = `
+      UPDATE notification_channels
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE channel_id = $${values.length}
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Delete a channel and its delivery log
+   */
+  async deleteChannel(channelId) {
+    const { rows } = await db.query('DELETE FROM notification_channels WHERE channel_id = $1 RETURNING *', [channelId]);
+    if (rows[0]) {
+      await this.refresh();
+    }
+    return rows[0];
+  }
+
+  /**
+   * Fetch the delivery log, newest first
+   */
+  async getDeliveries({ channel_id, alert_id, status, limit = 100 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (channel_id) {
+      values.push(channel_id);
+      conditions.push(`d.channel_id = $${values.length}`);
+    }
+    if (alert_id) {
+      values.push(alert_id);
+      conditions.push(`d.alert_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`d.status = $${values.length}`);
+    }
+
+    values.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+    const query = `
+      SELECT d.delivery_id, d.channel_id, c.name as channel_name, c.channel_type, d.alert_id,
+             d.status, d.attempts, d.response_code, d.last_error, d.next_attempt_at,
+             d.delivered_at, d.created_at, d.updated_at
+      FROM notification_deliveries d
+      JOIN notification_channels c ON c.channel_id = d.channel_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY d.created_at DESC
+      LIMIT $${values.length}
+    `;
+
+    const { rows } = await db.query(query, values);
+    return rows;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,111 @@
+const db = require('../db');
+
+/**
+ * Service to manage silence thresholds for the vehicle_offline alert
+ *
+ * Thresholds can be set per vehicle or per vehicle group; a vehicle-level
+ * threshold wins over its group, and the group over the global default.
+ * Resolution runs on RealtimeService's hot path, so thresholds and the
+ * vehicle -> group mapping are cached in memory and refreshed periodically.
+ */
+class OfflineThresholdService {
+  constructor() {
+    this.DEFAULT_SILENCE_SECONDS = parseInt(process.env.OFFLINE_ALERT_THRESHOLD_SEC) || 60;
+    this.DEFAULT_SEVERITY = 'WARNING';
+
+    // Map<vehicle_id, { silence_seconds, severity }>
+    this.byVehicle = new Map();
+    // Map<vehicle_group, { silence_seconds, severity }>
+    this.byGroup = new Map();
+    // Map<vehicle_id, vehicle_group>
+    this.vehicleGroups = new Map();
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[OfflineThresholds] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload thresholds and vehicle groups into the in-memory cache
+   */
+  async refresh() {
+    const [thresholds, vehicles] = await Promise.all([
+      db.query('SELECT * FROM offline_thresholds'),
+      db.query('SELECT vehicle_id, vehicle_group FROM vehicles')
+    ]);
+
+    this.byVehicle = new Map();
+    this.byGroup = new Map();
+    thresholds.rows.forEach(row => {
+      const entry = { silence_seconds: row.silence_seconds, severity: row.severity };
+      if (row.vehicle_id) this.byVehicle.set(row.vehicle_id, entry);
+      else this.byGroup.set(row.vehicle_group, entry);
+    });
+
+    this.vehicleGroups = new Map(vehicles.rows.map(v => [v.vehicle_id, v.vehicle_group]));
+  }
+
+  /**
+   * Resolve the effective threshold for a vehicle
+   * Returns { silenceMs, severity, source }
+   */
+  resolve(vehicleId) {
+    const group = this.vehicleGroups.get(vehicleId);
+    const entry = this.byVehicle.get(vehicleId) || (group ? this.byGroup.get(group) : null);
+    const source = this.byVehicle.has(vehicleId) ? 'vehicle' : entry ? 'group' : 'default';
+
+    return {
+      silenceMs: (entry ? entry.silence_seconds : this.DEFAULT_SILENCE_SECONDS) * 1000,
+      severity: entry ? entry.severity : this.DEFAULT_SEVERITY,
+      source
+    };
+  }
+
+  /**
+   * Fetch all configured thresholds
+   */
+  async getAllThresholds() {
+    const query = `
+      SELECT * FROM offline_thresholds
+      ORDER BY vehicle_group NULLS LAST, vehicle_id
+    `;
+    const { rows } = await db.query(query);
+    return rows;
+  }
+
+  /**
+   * Create or replace the threshold for a vehicle or a group
+   */
+  async upsertThreshold({ vehicle_id, vehicle_group, silence_seconds, severity }) {
+    const target = vehicle_id ? 'vehicle_id' : 'vehicle_group';
+    const query = `
+      INSERT INTO offline_thresholds (${target}, silence_seconds, severity)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (${target}) WHERE ${target} IS NOT NULL
+      DO UPDATE SET silence_seconds = EXCLUDED.silence_seconds, severity = EXCLUDED.severity, updated_at = NOW()
+      RETURNING *
+    `;
+    const values = [vehicle_id || vehicle_group, silence_seconds, severity || this.DEFAULT_SEVERITY];
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Delete a threshold by ID
+   */
+  async deleteThreshold(thresholdId) {
+    const query = 'DELETE FROM offline_thresholds WHERE threshold_id = $1 RETURNING *';
+    const { rows } = await db.query(query, [thresholdId]);
+    if (rows[0]) {
+      await this.refresh();
+    }
+    return rows[0];
+  }
+}
+
+module.exports = new OfflineThresholdService();
@@ -1,4 +1,11 @@
+const db = require('../db');
 const broadcaster = require('../websocket/broadcaster');
+const alertService = require('../alerts/alert.service');
+const offlineThresholdService = require('./offline.threshold.service');
+const suppressionService = require('./suppression.service');
+
+// Alert type persisted when a vehicle stays silent past its threshold
+const OFFLINE_ALERT_TYPE = 'vehicle_offline';
 
 /**
  * Service to manage real-time logic like status tracking and broadcasting triggers
@@ -9,19 +16,54 @@ class RealtimeService {
     this.vehicleLastSeen = new Map();
     // Map<vehicle_id, status>
     this.vehicleStatus = new Map();
-    
+    // Vehicles with an open vehicle_offline alert
+    this.offlineAlerted = new Set();
+
     this.OFFLINE_THRESHOLD_MS = 10000; // 10 seconds
 
     // Periodically check for offline vehicles
     setInterval(() => this.checkVehicleStatus(), 5000);
   }
 
+  /**
+   * Rebuild status tracking from vehicles.last_seen and open offline alerts after a restart
+   * Vehicles silent past the threshold start as offline so checkVehicleStatus can alert on them;
+   * vehicles silent for over a day are treated as parked/decommissioned and not tracked
+   */
+  async hydrateStatus() {
+    const [vehicles, offlineAlerts] = await Promise.all([
+      db.query(`
+        SELECT vehicle_id, EXTRACT(EPOCH FROM (NOW() - last_seen)) * 1000 as silence_ms
+        FROM vehicles
+        WHERE last_seen >= NOW() - INTERVAL '24 hours'
+      `),
+      db.query(
+        'SELECT DISTINCT vehicle_id FROM alerts WHERE alert_type = $1 AND resolved_at IS NULL',
+        [OFFLINE_ALERT_TYPE]
+      )
+    ]);
+
+    const now = Date.now();
+    vehicles.rows.forEach(row => {
+      const silenceMs = Math.max(parseFloat(row.silence_ms), 0);
+      // Packets received while hydrating are newer than the database value
+      if (!this.vehicleLastSeen.has(row.vehicle_id)) {
+        this.vehicleLastSeen.set(row.vehicle_id, now - silenceMs);
+        this.vehicleStatus.set(row.vehicle_id, silenceMs > this.OFFLINE_THRESHOLD_MS ? 'offline' : 'online');
+      }
+    });
+
+    offlineAlerts.rows.forEach(row => this.offlineAlerted.add(row.vehicle_id));
+
+    return vehicles.rows.length;
+  }
+
   /**
    * Process incoming telemetry for real-time features
    */
   handleIncomingTelemetry(vehicleId, telemetry) {
     const now = Date.now();
-    
+
     // 1. Update status to online if it was offline or new
     const previousStatus = this.vehicleStatus.get(vehicleId);
     if (previousStatus !== 'online') {
@@ -32,7 +74,16 @@ class RealtimeService {
     // 2. Update last seen timestamp
     this.vehicleLastSeen.set(vehicleId, now);
 
-    // 3. Trigger telemetry broadcast (with throttling internal to broadcaster)
+    // 3. Auto-resolve the offline alert now that telemetry has resumed
+    // (first packet since boot too, in case the alert was raised before a restart)
+    if (this.offlineAlerted.has(vehicleId) || previousStatus === undefined) {
+      this.offlineAlerted.delete(vehicleId);
+      alertService.resolveAlert(vehicleId, OFFLINE_ALERT_TYPE).catch(err => {
+        console.error('[RealtimeService] Offline alert resolve error:', err.message);
+      });
+    }
+
+    // 4. Trigger telemetry broadcast (with throttling internal to broadcaster)
     broadcaster.broadcastTelemetry(vehicleId, telemetry);
   }
 
@@ -49,8 +100,61 @@ class RealtimeService {
           console.log(`Vehicle ${vehicleId} is now offline (Inactivity)`);
         }
       }
+
+      // Persist an alert once the vehicle's configured silence threshold is exceeded
+      const threshold = offlineThresholdService.resolve(vehicleId);
+      if (now - lastSeen > threshold.silenceMs && !this.offlineAlerted.has(vehicleId)) {
+        // Vehicles in maintenance are expected to go quiet; re-checked every tick so the
+        // alert fires if the vehicle is still silent when the window ends
+        const suppression = suppressionService.findSuppression(vehicleId, OFFLINE_ALERT_TYPE, now);
+        if (suppression) {
+          const { rule, data } = this.buildOfflineAlert(lastSeen, threshold);
+          suppressionService.recordSuppressed(suppression, vehicleId, rule, data).catch(err => {
+            console.error('[RealtimeService] Suppressed offline alert error:', err.message);
+          });
+          continue;
+        }
+
+        this.offlineAlerted.add(vehicleId);
+        this.raiseOfflineAlert(vehicleId, lastSeen, threshold).catch(err => {
+          this.offlineAlerted.delete(vehicleId);
+          console.error('[RealtimeService] Offline alert error:', err.message);
+        });
+      }
     }
   }
+
+  /**
+   * Build the rule and data of a vehicle_offline alert
+   */
+  buildOfflineAlert(lastSeen, threshold) {
+    const silenceSeconds = Math.round((Date.now() - lastSeen) / 1000);
+    return {
+      rule: {
+        type: OFFLINE_ALERT_TYPE,
+        severity: threshold.severity,
+        message: () => `Vehicle offline: no telemetry for ${silenceSeconds}s`
+      },
+      data: {
+        last_seen: new Date(lastSeen).toISOString(),
+        silence_seconds: silenceSeconds,
+        threshold_seconds: threshold.silenceMs / 1000,
+        threshold_source: threshold.source
+      }
+    };
+  }
+
+  /**
+   * Create the vehicle_offline alert unless one is already open
+   */
+  async raiseOfflineAlert(vehicleId, lastSeen, threshold) {
+    const existingAlert = await alertService.getExistingAlert(vehicleId, OFFLINE_ALERT_TYPE);
+    if (existingAlert) return;
+
+    const { rule, data } = this.buildOfflineAlert(lastSeen, threshold);
+    await alertService.createAlert(vehicleId, rule, data);
+    console.log(`Alert Generated: ${OFFLINE_ALERT_TYPE} for ${vehicleId}`);
+  }
 }
 
 module.exports = new RealtimeService();
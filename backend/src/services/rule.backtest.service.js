@@ -0,0 +1,336 @@
+const db = require('../db');
+const alertEvaluator = require('../alerts/evaluator');
+const alertService = require('../alerts/alert.service');
+const ruleState = require('../alerts/rule.state');
+const telemetryWindow = require('../alerts/telemetry.window');
+const suppressionService = require('./suppression.service');
+const vehicleProfileService = require('./vehicle.profile.service');
+const baselineService = require('./baseline.service');
+const offlineThresholdService = require('./offline.threshold.service');
+
+// Telemetry rows fetched per query while replaying
+const PAGE_SIZE = 5000;
+// Replay stops (and reports truncated) after this many samples
+const MAX_SAMPLES = parseInt(process.env.BACKTEST_MAX_SAMPLES) || 1000000;
+// A would-be alert matches a recorded one of the same vehicle and type raised this close
+const MATCH_TOLERANCE_MS = 2 * 60 * 1000;
+// Would-be alerts listed per vehicle timeline
+const MAX_TIMELINE_EVENTS = 200;
+
+/**
+ * Service to replay stored telemetry through a candidate rule set
+ *
+ * Mirrors AlertEvaluator step by step - trigger windows, the suppressions in
+ * effect at the time, de-duplication and hysteresis - but keeps all state in
+ * memory and writes nothing. Per-vehicle limits and baselines are today's,
+ * not those in effect when the telemetry was recorded.
+ */
+class RuleBacktestService {
+  /**
+   * Replay telemetry between from and to (epoch ms) for the given vehicles (all when empty)
+   * compiledRules must be in evaluation order
+   */
+  async run({ from, to, vehicleIds = [], compiledRules }) {
+    const ruleGroups = alertEvaluator.groupRules(compiledRules);
+    const alertTypes = ruleGroups.map(g => g.type);
+    const retentionMs = compiledRules.reduce((max, rule) => Math.max(max, rule.windowMs), 0);
+    const suppressions = await this.getSuppressions(from, to);
+
+    const vehicles = new Map();
+    let samples = 0;
+    let truncated = false;
+    let cursor = null;
+    let replay = null;
+
+    while (!truncated) {
+      const rows = await this.fetchTelemetryPage(from, to, vehicleIds, cursor);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        if (!replay || replay.vehicleId !== row.vehicle_id) {
+          replay = this.startVehicle(row.vehicle_id);
+          vehicles.set(row.vehicle_id, replay);
+        }
+        this.replaySample(replay, ruleGroups, retentionMs, suppressions, parseInt(row.timestamp), row.data);
+
+        samples++;
+        if (samples >= MAX_SAMPLES) {
+          truncated = true;
+          break;
+        }
+      }
+
+      const last = rows[rows.length - 1];
+      cursor = { vehicle_id: last.vehicle_id, timestamp: last.timestamp, id: last.id };
+      if (rows.length < PAGE_SIZE) break;
+    }
+
+    const actual = await this.getRecordedAlerts(from, to, vehicleIds, alertTypes);
+    return this.buildReport({ from, to, alertTypes, vehicles, actual, samples, truncated });
+  }
+
+  /**
+   * Fresh per-vehicle replay state
+   */
+  startVehicle(vehicleId) {
+    return {
+      vehicleId,
+      vehicleGroup: offlineThresholdService.vehicleGroups.get(vehicleId) || null,
+      limits: vehicleProfileService.getLimits(vehicleId),
+      baselines: baselineService.getBaselines(vehicleId),
+      samples: 0,
+      history: [],
+      // Map<alert_type, { pendingSince, samples, lastSampleAt, lastRaisedAt, suppressed }>
+      states: new Map(),
+      alerts: [],
+      suppressed: 0
+    };
+  }
+
+  /**
+   * Run one telemetry sample through the rule groups, as AlertEvaluator.evaluate does
+   */
+  replaySample(replay, ruleGroups, retentionMs, suppressions, sampleTime, data) {
+    replay.samples++;
+    if (retentionMs > 0) {
+      replay.history.push({ timestamp: sampleTime, data });
+      while (sampleTime - replay.history[0].timestamp > retentionMs ||
+        replay.history.length > telemetryWindow.MAX_SAMPLES_PER_VEHICLE) {
+        replay.history.shift();
+      }
+    }
+    const context = { history: replay.history, now: sampleTime, limits: replay.limits, baselines: replay.baselines };
+
+    for (const group of ruleGroups) {
+      let state = replay.states.get(group.type);
+      if (!state) {
+        state = { pendingSince: null, samples: 0, lastSampleAt: null, lastRaisedAt: null, suppressed: 0 };
+        replay.states.set(group.type, state);
+      }
+
+      const violatedRule = group.rules.find(rule => rule.condition(data, context));
+
+      if (violatedRule) {
+        const streakBroken = state.lastSampleAt !== null && sampleTime - state.lastSampleAt > ruleState.STREAK_GAP_MS;
+        if (state.pendingSince === null || streakBroken) {
+          state.pendingSince = sampleTime;
+          state.samples = 0;
+        }
+        state.samples++;
+        state.lastSampleAt = sampleTime;
+
+        if (!alertEvaluator.isTriggerSatisfied(violatedRule, state, sampleTime)) {
+          continue;
+        }
+
+        const suppressed = suppressions.some(s =>
+          suppressionService.covers(s, replay.vehicleId, replay.vehicleGroup, group.type, sampleTime));
+        if (suppressed) {
+          state.suppressed++;
+          replay.suppressed++;
+          continue;
+        }
+
+        // De-duplication: a still-open alert younger than the cache TTL absorbs the violation
+        if (state.lastRaisedAt === null || sampleTime - state.lastRaisedAt >= alertService.CACHE_TTL_MS) {
+          replay.alerts.push({
+            alert_type: group.type,
+            severity: violatedRule.severity,
+            rule_id: violatedRule.id,
+            message: violatedRule.message(data, context),
+            raised_at: sampleTime,
+            cleared_at: null
+          });
+          state.lastRaisedAt = sampleTime;
+        }
+      } else {
+        state.pendingSince = null;
+        state.samples = 0;
+
+        if (!alertEvaluator.isCleared(group, data, context)) {
+          continue;
+        }
+
+        if (state.lastRaisedAt !== null) {
+          replay.alerts.forEach(alert => {
+            if (alert.alert_type === group.type && alert.cleared_at === null) alert.cleared_at = sampleTime;
+          });
+          state.lastRaisedAt = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Next page of telemetry ordered by vehicle then time (keyset pagination)
+   */
+  async fetchTelemetryPage(from, to, vehicleIds, cursor) {
+    const conditions = ['timestamp >= $1', 'timestamp < $2'];
+    const values = [from, to];
+
+    if (vehicleIds.length > 0) {
+      values.push(vehicleIds);
+      conditions.push(`vehicle_id = ANY($${values.length})`);
+    }
+    if (cursor) {
+      values.push(cursor.vehicle_id, cursor.timestamp, cursor.id);
+      conditions.push(`(vehicle_id, timestamp, id) > ($${values.length - 2}, $${values.length - 1}, $${values.length})`);
+    }
+
+    values.push(PAGE_SIZE);
+    const query = `
+      SELECT id, vehicle_id, timestamp, data
+      FROM telemetry
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY vehicle_id, timestamp, id
+      LIMIT $${values.length}
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  }
+
+  /**
+   * Suppressions that overlapped the replayed range
+   */
+  async getSuppressions(from, to) {
+    const query = `
+      SELECT * FROM alert_suppressions
+      WHERE starts_at < to_timestamp($2 / 1000.0)
+      AND ends_at > to_timestamp($1 / 1000.0)
+    `;
+    const { rows } = await db.query(query, [from, to]);
+    return rows;
+  }
+
+  /**
+   * Alerts actually recorded in the range for the candidate alert types
+   */
+  async getRecordedAlerts(from, to, vehicleIds, alertTypes) {
+    const conditions = [
+      'created_at >= to_timestamp($1 / 1000.0)',
+      'created_at < to_timestamp($2 / 1000.0)',
+      'alert_type = ANY($3)'
+    ];
+    const values = [from, to, alertTypes];
+
+    if (vehicleIds.length > 0) {
+      values.push(vehicleIds);
+      conditions.push(`vehicle_id = ANY($${values.length})`);
+    }
+
+    const query = `
+      SELECT alert_id, vehicle_id, alert_type, severity,
+             EXTRACT(EPOCH FROM created_at::timestamptz) * 1000 as created_ms,
+             EXTRACT(EPOCH FROM resolved_at::timestamptz) * 1000 as resolved_ms
+      FROM alerts
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY vehicle_id, created_at
+    `;
+    const { rows } = await db.query(query, values);
+    return rows.map(row => ({
+      alert_id: row.alert_id,
+      vehicle_id: row.vehicle_id,
+      alert_type: row.alert_type,
+      severity: row.severity,
+      raised_at: Math.round(parseFloat(row.created_ms)),
+      cleared_at: row.resolved_ms !== null ? Math.round(parseFloat(row.resolved_ms)) : null
+    }));
+  }
+
+  /**
+   * Pair would-be alerts with recorded ones of the same type raised within MATCH_TOLERANCE_MS
+   * Returns { matched, added, removed } counts
+   */
+  diff(simulated, recorded) {
+    const unmatched = recorded.slice();
+    let matched = 0;
+
+    simulated.forEach(alert => {
+      const index = unmatched.findIndex(r =>
+        r.alert_type === alert.alert_type && Math.abs(r.raised_at - alert.raised_at) <= MATCH_TOLERANCE_MS);
+      if (index !== -1) {
+        unmatched.splice(index, 1);
+        matched++;
+      }
+    });
+
+    return { matched, added: simulated.length - matched, removed: unmatched.length };
+  }
+
+  /**
+   * Summaries per alert type and per vehicle, with the would-be timeline of each vehicle
+   */
+  buildReport({ from, to, alertTypes, vehicles, actual, samples, truncated }) {
+    const recordedByVehicle = new Map();
+    actual.forEach(alert => {
+      if (!recordedByVehicle.has(alert.vehicle_id)) recordedByVehicle.set(alert.vehicle_id, []);
+      recordedByVehicle.get(alert.vehicle_id).push(alert);
+    });
+
+    const vehicleIds = new Set([...vehicles.keys(), ...recordedByVehicle.keys()]);
+    const byType = new Map(alertTypes.map(type => [type, {
+      alert_type: type, would_be: 0, actual: 0, matched: 0, added: 0, removed: 0, suppressed: 0
+    }]));
+
+    const vehicleReports = [];
+    for (const vehicleId of vehicleIds) {
+      const replay = vehicles.get(vehicleId);
+      const simulated = replay ? replay.alerts : [];
+      const recorded = recordedByVehicle.get(vehicleId) || [];
+      if (simulated.length === 0 && recorded.length === 0) continue;
+
+      alertTypes.forEach(type => {
+        const typeSimulated = simulated.filter(a => a.alert_type === type);
+        const typeRecorded = recorded.filter(a => a.alert_type === type);
+        const counts = this.diff(typeSimulated, typeRecorded);
+        const entry = byType.get(type);
+        entry.would_be += typeSimulated.length;
+        entry.actual += typeRecorded.length;
+        entry.matched += counts.matched;
+        entry.added += counts.added;
+        entry.removed += counts.removed;
+      });
+
+      vehicleReports.push({
+        vehicle_id: vehicleId,
+        samples: replay ? replay.samples : 0,
+        would_be: simulated.length,
+        actual: recorded.length,
+        ...this.diff(simulated, recorded),
+        suppressed: replay ? replay.suppressed : 0,
+        timeline: simulated.slice(0, MAX_TIMELINE_EVENTS),
+        timeline_truncated: simulated.length > MAX_TIMELINE_EVENTS,
+        recorded: recorded.slice(0, MAX_TIMELINE_EVENTS)
+      });
+    }
+
+    vehicles.forEach(replay => {
+      replay.states.forEach((state, type) => {
+        byType.get(type).suppressed += state.suppressed;
+      });
+    });
+
+    vehicleReports.sort((a, b) => (b.would_be + b.actual) - (a.would_be + a.actual));
+
+    const types = Array.from(byType.values());
+    return {
+      from,
+      to,
+      samples,
+      vehicles_replayed: vehicles.size,
+      truncated,
+      summary: {
+        would_be: types.reduce((sum, t) => sum + t.would_be, 0),
+        actual: types.reduce((sum, t) => sum + t.actual, 0),
+        matched: types.reduce((sum, t) => sum + t.matched, 0),
+        added: types.reduce((sum, t) => sum + t.added, 0),
+        removed: types.reduce((sum, t) => sum + t.removed, 0),
+        suppressed: types.reduce((sum, t) => sum + t.suppressed, 0),
+        by_type: types
+      },
+      vehicles: vehicleReports
+    };
+  }
+}
+
+module.exports = new RuleBacktestService();
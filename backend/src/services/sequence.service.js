@@ -0,0 +1,237 @@
+const db = require('../db');
+
+// Recent message_ids remembered per vehicle for duplicate detection
+const MESSAGE_ID_WINDOW = 1000;
+// Missing sequence numbers tracked per vehicle so a late packet can fill its gap
+const MISSING_WINDOW = 1000;
+
+/**
+ * Service to de-duplicate telemetry and measure packet loss per vehicle
+ *
+ * Packets may carry a message_id and/or a per-vehicle sequence number (seq).
+ * A retry of a packet already accepted is a duplicate: same message_id, or a
+ * seq at or below the highest seen that is neither a known gap nor newer than
+ * the packet that set the highest seq. A lower seq with a newer timestamp is a
+ * device restart and starts a new sequence. Jumps in seq count as missing
+ * packets until (and unless) they arrive late.
+ */
+class SequenceService {
+  constructor() {
+    // Map<vehicle_id, { highestSeq, highestTs, missing: Set<seq>, messageIds: Set, counters }>
+    this.vehicles = new Map();
+    // Vehicle IDs whose counters changed since the last flush
+    this.dirty = new Set();
+
+    this.FLUSH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.flush().catch(err => {
+        console.error('[Sequence] Flush failed:', err.message);
+      });
+    }, this.FLUSH_INTERVAL_MS);
+  }
+
+  /**
+   * Tracking state of a vehicle, created on first use
+   */
+  getState(vehicleId) {
+    let state = this.vehicles.get(vehicleId);
+    if (!state) {
+      state = {
+        highestSeq: null,
+        highestTs: null,
+        missing: new Set(),
+        messageIds: new Set(),
+        counters: { received: 0, duplicates: 0, missing: 0, gaps: 0, recovered: 0, restarts: 0 }
+      };
+      this.vehicles.set(vehicleId, state);
+    }
+    return state;
+  }
+
+  /**
+   * Whether a packet repeats one already accepted (does not record anything)
+   */
+  isDuplicate(packet) {
+    const state = this.vehicles.get(packet.vehicle_id);
+    if (!state) return false;
+
+    if (packet.message_id !== undefined && state.messageIds.has(packet.message_id)) {
+      return true;
+    }
+
+    const { seq, timestamp } = packet;
+    if (seq === undefined || state.highestSeq === null || seq > state.highestSeq) {
+      return false;
+    }
+    return !state.missing.has(seq) && timestamp <= state.highestTs;
+  }
+
+  /**
+   * Count a duplicate that was ignored
+   */
+  recordDuplicate(vehicleId) {
+    this.getState(vehicleId).counters.duplicates++;
+    this.dirty.add(vehicleId);
+  }
+
+  /**
+   * Record an accepted packet: remember its message_id and update gap tracking
+   */
+  record(packet) {
+    const state = this.getState(packet.vehicle_id);
+    const { counters } = state;
+    counters.received++;
+    this.dirty.add(packet.vehicle_id);
+
+    if (packet.message_id !== undefined) {
+      state.messageIds.add(packet.message_id);
+      if (state.messageIds.size > MESSAGE_ID_WINDOW) {
+        state.messageIds.delete(state.messageIds.values().next().value);
+      }
+    }
+
+    const { seq, timestamp } = packet;
+    if (seq === undefined) return;
+
+    if (state.highestSeq === null) {
+      state.highestSeq = seq;
+      state.highestTs = timestamp;
+      return;
+    }
+
+    if (seq > state.highestSeq) {
+      const skipped = seq - state.highestSeq - 1;
+      if (skipped > 0) {
+        counters.gaps++;
+        counters.missing += skipped;
+        for (let missingSeq = Math.max(state.highestSeq + 1, seq - MISSING_WINDOW); missingSeq < seq; missingSeq++) {
+          state.missing.add(missingSeq);
+        }
+      }
+      state.highestSeq = seq;
+      state.highestTs = timestamp;
+
+      const floor = seq - MISSING_WINDOW;
+      state.missing.forEach(missingSeq => {
+        if (missingSeq < floor) state.missing.delete(missingSeq);
+      });
+    } else if (state.missing.delete(seq)) {
+      // A late packet filled an earlier gap
+      counters.missing--;
+      counters.recovered++;
+    } else {
+      // Lower seq with newer data: the device restarted its sequence
+      counters.restarts++;
+      state.highestSeq = seq;
+      state.highestTs = timestamp;
+      state.missing.clear();
+    }
+  }
+
+  /**
+   * Packet-loss statistics of one vehicle, or null if it never sent a packet
+   */
+  getStats(vehicleId) {
+    const state = this.vehicles.get(vehicleId);
+    return state ? this.describe(vehicleId, state) : null;
+  }
+
+  /**
+   * Packet-loss statistics of all vehicles, worst loss first
+   */
+  getAllStats() {
+    return Array.from(this.vehicles.entries())
+      .map(([vehicleId, state]) => this.describe(vehicleId, state))
+      .sort((a, b) => b.loss_pct - a.loss_pct || b.missing - a.missing);
+  }
+
+  /**
+   * API shape of a vehicle's counters
+   */
+  describe(vehicleId, state) {
+    const { counters } = state;
+    const expected = counters.received + counters.missing;
+    return {
+      vehicle_id: vehicleId,
+      highest_seq: state.highestSeq,
+      received: counters.received,
+      duplicates: counters.duplicates,
+      missing: counters.missing,
+      gaps: counters.gaps,
+      recovered: counters.recovered,
+      restarts: counters.restarts,
+      loss_pct: expected > 0 ? Math.round((counters.missing / expected) * 10000) / 100 : 0
+    };
+  }
+
+  /**
+   * Load persisted counters on startup
+   * Recent message_ids and gap sets are not persisted; until they are rebuilt,
+   * late packets from before the restart count as duplicates.
+   */
+  async hydrate() {
+    const { rows } = await db.query('SELECT * FROM vehicle_sequence_stats');
+    rows.forEach(row => {
+      const state = this.getState(row.vehicle_id);
+      state.highestSeq = row.highest_seq !== null ? parseInt(row.highest_seq) : null;
+      state.highestTs = row.highest_ts !== null ? parseInt(row.highest_ts) : null;
+      state.counters = {
+        received: parseInt(row.received),
+        duplicates: parseInt(row.duplicates),
+        missing: parseInt(row.missing),
+        gaps: parseInt(row.gaps),
+        recovered: parseInt(row.recovered),
+        restarts: parseInt(row.restarts)
+      };
+    });
+    return rows.length;
+  }
+
+  /**
+   * Write changed counters to the database in bulk
+   */
+  async flush() {
+    if (this.dirty.size === 0) return;
+
+    const vehicleIds = Array.from(this.dirty);
+    const states = vehicleIds.map(vehicleId => [vehicleId, this.vehicles.get(vehicleId)]);
+    this.dirty.clear();
+
+    const column = fn => states.map(([vehicleId, state]) => fn(state, vehicleId));
+    try {
+      await db.query(
+        `INSERT INTO vehicle_sequence_stats
+           (vehicle_id, highest_seq, highest_ts, received, duplicates, missing, gaps, recovered, restarts, updated_at)
+         SELECT *, NOW() FROM UNNEST($1::varchar[], $2::bigint[], $3::bigint[], $4::bigint[], $5::bigint[],
+                                     $6::bigint[], $7::bigint[], $8::bigint[], $9::bigint[])
+         ON CONFLICT (vehicle_id) DO UPDATE SET
+           highest_seq = EXCLUDED.highest_seq,
+           highest_ts = EXCLUDED.highest_ts,
+           received = EXCLUDED.received,
+           duplicates = EXCLUDED.duplicates,
+           missing = EXCLUDED.missing,
+           gaps = EXCLUDED.gaps,
+           recovered = EXCLUDED.recovered,
+           restarts = EXCLUDED.restarts,
+           updated_at = NOW()`,
+        [
+          column((s, vehicleId) => vehicleId),
+          column(s => s.highestSeq),
+          column(s => s.highestTs),
+          column(s => s.counters.received),
+          column(s => s.counters.duplicates),
+          column(s => s.counters.missing),
+          column(s => s.counters.gaps),
+          column(s => s.counters.recovered),
+          column(s => s.counters.restarts)
+        ]
+      );
+    } catch (error) {
+      // Written again with the next flush
+      vehicleIds.forEach(vehicleId => this.dirty.add(vehicleId));
+      throw error;
+    }
+  }
+}
+
+module.exports = new SequenceService();
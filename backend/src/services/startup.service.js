@@ -0,0 +1,121 @@
+const alertEvaluator = require('../alerts/evaluator');
+const alertService = require('../alerts/alert.service');
+const ruleState = require('../alerts/rule.state');
+const alertRuleService = require('./alert.rule.service');
+const offlineThresholdService = require('./offline.threshold.service');
+const realtimeService = require('./realtime.service');
+const vehicleProfileService = require('./vehicle.profile.service');
+const notificationService = require('./notification.service');
+const escalationService = require('./escalation.service');
+const suppressionService = require('./suppression.service');
+const baselineService = require('./baseline.service');
+const sequenceService = require('./sequence.service');
+const clockService = require('./clock.service');
+const telemetrySchemaService = require('./telemetry.schema.service');
+const deviceCredentialService = require('./device.credential.service');
+
+/**
+ * Service to rebuild in-memory state from the database on boot
+ *
+ * Ingestion waits on the readiness flag so the first packets after a deploy
+ * see the same dedup cache, vehicle status and rule state as before the restart.
+ */
+class StartupService {
+  constructor() {
+    this.ready = false;
+    this.startedAt = null;
+    this.completedAt = null;
+    // Map<task_name, { status: 'pending' | 'done' | 'failed', detail }>
+    this.tasks = new Map();
+
+    this.readyPromise = new Promise(resolve => {
+      this.markReady = resolve;
+    });
+  }
+
+  /**
+   * Run all hydration tasks; failures are logged and reported but do not block readiness
+   */
+  async hydrate() {
+    this.startedAt = Date.now();
+
+    const tasks = {
+      alert_rules: async () => {
+        await alertRuleService.seedBuiltinRules();
+        return `${await alertEvaluator.reloadRules()} active rules`;
+      },
+      rule_state: async () => `${await ruleState.hydrate()} rule states`,
+      offline_thresholds: async () => {
+        await offlineThresholdService.refresh();
+        return `${offlineThresholdService.byVehicle.size + offlineThresholdService.byGroup.size} thresholds`;
+      },
+      vehicle_profiles: async () => `${await vehicleProfileService.refresh()} vehicles`,
+      telemetry_schemas: async () => {
+        await telemetrySchemaService.seedDefault();
+        return `${await telemetrySchemaService.refresh()} schema versions`;
+      },
+      notification_channels: async () => `${await notificationService.refresh()} channels`,
+      escalation_policies: async () => `${await escalationService.refresh()} policies`,
+      suppressions: async () => `${await suppressionService.refresh()} current/upcoming suppressions`,
+      baselines: async () => `${await baselineService.hydrate()} baselines`,
+      sequence_stats: async () => `${await sequenceService.hydrate()} vehicles`,
+      clock_stats: async () => `${await clockService.hydrate()} vehicles`,
+      device_credentials: async () => `${await deviceCredentialService.refresh()} live credentials`,
+      alert_cache: async () => `${await alertService.hydrateCache()} active alerts`,
+      vehicle_status: async () => `${await realtimeService.hydrateStatus()} vehicles`
+    };
+
+    await Promise.all(Object.entries(tasks).map(async ([name, run]) => {
+      this.tasks.set(name, { status: 'pending', detail: null });
+      try {
+        const detail = await run();
+        this.tasks.set(name, { status: 'done', detail });
+        console.log(`[Startup] ${name}: ${detail}`);
+      } catch (error) {
+        this.tasks.set(name, { status: 'failed', detail: error.message });
+        console.error(`[Startup] ${name} failed:`, error.message);
+      }
+    }));
+
+    this.ready = true;
+    this.completedAt = Date.now();
+    this.markReady();
+    console.log(`[Startup] Hydration complete in ${this.completedAt - this.startedAt}ms`);
+  }
+
+  /**
+   * Whether hydration has finished
+   */
+  isReady() {
+    return this.ready;
+  }
+
+  /**
+   * Resolve true once ready, or false if timeoutMs passes first
+   */
+  async waitUntilReady(timeoutMs = 10000) {
+    if (this.ready) return true;
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const result = await Promise.race([this.readyPromise.then(() => true), timeout]);
+    clearTimeout(timer);
+    return result;
+  }
+
+  /**
+   * Readiness details for the /ready endpoint
+   */
+  getStatus() {
+    return {
+      ready: this.ready,
+      started_at: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      completed_at: this.completedAt ? new Date(this.completedAt).toISOString() : null,
+      tasks: Object.fromEntries(this.tasks)
+    };
+  }
+}
+
+module.exports = new StartupService();
@@ -0,0 +1,263 @@
+const db = require('../db');
+const offlineThresholdService = require('./offline.threshold.service');
+
+/**
+ * Service to manage maintenance windows and ad-hoc alert suppressions
+ *
+ * While a suppression covers a vehicle and alert type, the evaluator and the
+ * offline check record the would-be alert in suppressed_alerts instead of
+ * raising it. Lookups run on the telemetry hot path, so current and upcoming
+ * suppressions are cached in memory and refreshed periodically.
+ */
+class SuppressionService {
+  constructor() {
+    // Suppressions that have not ended yet
+    this.suppressions = [];
+
+    // Map<suppression_vehicle_type key, last recorded epoch ms>
+    // Bounds suppressed_alerts writes while a condition persists
+    this.lastRecorded = new Map();
+    this.RECORD_INTERVAL_MS = 60000;
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[Suppressions] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload current and upcoming suppressions into the cache
+   */
+  async refresh() {
+    const { rows } = await db.query('SELECT * FROM alert_suppressions WHERE ends_at > NOW() ORDER BY starts_at ASC');
+    this.suppressions = rows;
+
+    const live = new Set(rows.map(s => s.suppression_id));
+    for (const key of this.lastRecorded.keys()) {
+      if (!live.has(parseInt(key))) this.lastRecorded.delete(key);
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Whether a suppression covers a vehicle and alert type at a point in time
+   */
+  covers(suppression, vehicleId, vehicleGroup, alertType, at) {
+    if (at < suppression.starts_at.getTime() || at >= suppression.ends_at.getTime()) return false;
+    if (suppression.vehicle_id && suppression.vehicle_id !== vehicleId) return false;
+    if (suppression.vehicle_group && suppression.vehicle_group !== vehicleGroup) return false;
+    if (suppression.alert_types.length > 0 && !suppression.alert_types.includes(alertType)) return false;
+    return true;
+  }
+
+  /**
+   * Find the suppression covering an alert, if any
+   */
+  findSuppression(vehicleId, alertType, at = Date.now()) {
+    const vehicleGroup = offlineThresholdService.vehicleGroups.get(vehicleId) || null;
+    return this.suppressions.find(s => this.covers(s, vehicleId, vehicleGroup, alertType, at)) || null;
+  }
+
+  /**
+   * Record an alert that a suppression held back
+   * Writes at most once per RECORD_INTERVAL_MS per suppression, vehicle and type
+   */
+  async recordSuppressed(suppression, vehicleId, rule, data, context) {
+    const key = `${suppression.suppression_id}_${vehicleId}_${rule.type}`;
+    const now = Date.now();
+    const last = this.lastRecorded.get(key);
+    if (last && now - last < this.RECORD_INTERVAL_MS) return;
+    this.lastRecorded.set(key, now);
+
+    const query = `
+      INSERT INTO suppressed_alerts (suppression_id, vehicle_id, alert_type, severity, message, data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (suppression_id, vehicle_id, alert_type)
+      DO UPDATE SET severity = EXCLUDED.severity, message = EXCLUDED.message, data = EXCLUDED.data, last_seen_at = NOW()
+    `;
+    const values = [
+      suppression.suppression_id,
+      vehicleId,
+      rule.type,
+      rule.severity,
+      rule.message(data, context),
+      JSON.stringify(data)
+    ];
+
+    try {
+      await db.query(query, values);
+    } catch (error) {
+      this.lastRecorded.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Vehicles currently under a vehicle- or group-scoped suppression
+   * Fleet-wide (alert type only) suppressions are listed separately
+   */
+  getSuppressedVehicles(at = Date.now()) {
+    const active = this.suppressions.filter(s => at >= s.starts_at.getTime() && at < s.ends_at.getTime());
+    const vehicles = {};
+
+    const add = (vehicleId, suppression) => {
+      if (!vehicles[vehicleId]) vehicles[vehicleId] = [];
+      vehicles[vehicleId].push({
+        suppression_id: suppression.suppression_id,
+        kind: suppression.kind,
+        alert_types: suppression.alert_types,
+        reason: suppression.reason,
+        ends_at: suppression.ends_at
+      });
+    };
+
+    active.forEach(s => {
+      if (s.vehicle_id) {
+        add(s.vehicle_id, s);
+      } else if (s.vehicle_group) {
+        for (const [vehicleId, group] of offlineThresholdService.vehicleGroups.entries()) {
+          if (group === s.vehicle_group) add(vehicleId, s);
+        }
+      }
+    });
+
+    return {
+      vehicles,
+      fleet_wide: active.filter(s => !s.vehicle_id && !s.vehicle_group)
+    };
+  }
+
+  /**
+   * Fetch suppressions, optionally only those in effect now
+   */
+  async getAllSuppressions({ active } = {}) {
+    const query = `
+      SELECT * FROM alert_suppressions
+      ${active ? 'WHERE starts_at <= NOW() AND ends_at > NOW()' : ''}
+      ORDER BY starts_at DESC
+    `;
+    const { rows } = await db.query(query);
+    return rows;
+  }
+
+  /**
+   * Fetch a suppression by ID
+   */
+  async getSuppressionById(suppressionId) {
+    const { rows } = await db.query('SELECT * FROM alert_suppressions WHERE suppression_id = $1', [suppressionId]);
+    return rows[0];
+  }
+
+  /**
+   * Create a maintenance window or suppression
+   */
+  async createSuppression(data, createdBy) {
+    const {
+      kind,
+      vehicle_id,
+      vehicle_group,
+      alert_types,
+      starts_at,
+      ends_at,
+      reason
+    } = data;
+
+    const query = `
+      INSERT INTO alert_suppressions (kind, vehicle_id, vehicle_group, alert_types, starts_at, ends_at, reason, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, NOW()), $6, $7, $8)
+      RETURNING *
+    `;
+    const values = [
+      kind || 'maintenance',
+      vehicle_id || null,
+      vehicle_group || null,
+      alert_types || [],
+      starts_at || null,
+      ends_at,
+      reason,
+      createdBy || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Update a suppression (partial update, e.g. ending a window early)
+   */
+  async updateSuppression(suppressionId, data) {
+    const updatable = ['kind', 'alert_types', 'starts_at', 'ends_at', 'reason'];
+    const fields = [];
+    const values = [];
+
+    updatable.forEach(field => {
+      if (data[field] !== undefined) {
+        values.push(data[field]);
+        fields.push(`${field} = $${values.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      return this.getSuppressionById(suppressionId);
+    }
+
+    values.push(suppressionId);
+    const query = `
+      UPDATE alert_suppressions
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE suppression_id = $${values.length}
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Delete a suppression and its suppressed alert records
+   */
+  async deleteSuppression(suppressionId) {
+    const { rows } = await db.query('DELETE FROM alert_suppressions WHERE suppression_id = $1 RETURNING *', [suppressionId]);
+    if (rows[0]) {
+      await this.refresh();
+    }
+    return rows[0];
+  }
+
+  /**
+   * Fetch recorded suppressed alerts, newest first
+   */
+  async getSuppressedAlerts({ vehicle_id, suppression_id, limit = 100 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (vehicle_id) {
+      values.push(vehicle_id);
+      conditions.push(`sa.vehicle_id = $${values.length}`);
+    }
+    if (suppression_id) {
+      values.push(suppression_id);
+      conditions.push(`sa.suppression_id = $${values.length}`);
+    }
+
+    values.push(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+    const query = `
+      SELECT sa.*, s.kind, s.reason
+      FROM suppressed_alerts sa
+      JOIN alert_suppressions s ON s.suppression_id = sa.suppression_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY sa.last_seen_at DESC
+      LIMIT $${values.length}
+    `;
+
+    const { rows } = await db.query(query, values);
+    return rows;
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,198 @@
+const db = require('../db');
+const vehicleProfileService = require('./vehicle.profile.service');
+
+/**
+ * Fleet-wide schema seeded as version 1: the six signals the platform shipped
+ * with (required, ranges from the vehicle's limits) plus optional extended
+ * signals. Signals not listed are stored unvalidated.
+ */
+const DEFAULT_SCHEMA = {
+  type: 'object',
+  required: ['speed', 'battery_voltage', 'battery_current', 'soc', 'motor_temp', 'battery_temp'],
+  properties: {
+    speed: { type: 'number', minimum: 0, maxLimit: 'speed_max', unit: 'km/h' },
+    battery_voltage: { type: 'number', minLimit: 'voltage_min', maxLimit: 'voltage_max', unit: 'V' },
+    battery_current: { type: 'number', minLimit: 'current_min', maxLimit: 'current_max', unit: 'A' },
+    soc: { type: 'number', minimum: 0, maximum: 100, unit: '%' },
+    motor_temp: { type: 'number', minimum: 0, maxLimit: 'motor_temp_max', unit: '°C' },
+    battery_temp: { type: 'number', minimum: 0, maxLimit: 'battery_temp_max', unit: '°C' },
+    odometer: { type: 'number', minimum: 0, unit: 'km' },
+    gps: {
+      type: 'object',
+      required: ['lat', 'lon'],
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90, unit: '°' },
+        lon: { type: 'number', minimum: -180, maximum: 180, unit: '°' },
+        heading: { type: 'number', minimum: 0, maximum: 360, unit: '°' },
+        accuracy: { type: 'number', minimum: 0, unit: 'm' }
+      }
+    },
+    tire_pressure: {
+      type: 'array',
+      maxItems: 8,
+      items: { type: 'number', minimum: 0, maximum: 1000, unit: 'kPa' }
+    },
+    cell_voltages: {
+      type: 'array',
+      maxItems: 1024,
+      items: { type: 'number', minimum: 0, maximum: 5, unit: 'V' }
+    }
+  },
+  additionalProperties: true
+};
+
+/**
+ * Registry of versioned telemetry schemas (JSON Schema for the packet's data object)
+ *
+ * Each vehicle model can have its own schema versions; vehicles whose model
+ * has none use the fleet-wide schemas (model_name NULL). A packet is checked
+ * against the latest active version of its scope, or the version it names in
+ * schema_version (older firmware). Published versions are immutable: a change
+ * is a new version, and retired versions no longer accept packets.
+ */
+class TelemetrySchemaService {
+  constructor() {
+    this.DEFAULT_SCHEMA = DEFAULT_SCHEMA;
+
+    // Map<model_name ('' for fleet-wide), Array<schema row> sorted by version>
+    this.schemas = new Map();
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[TelemetrySchemas] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Insert DEFAULT_SCHEMA as fleet-wide version 1 when there is no fleet-wide schema
+   */
+  async seedDefault() {
+    const { rowCount } = await db.query(`
+      INSERT INTO telemetry_schemas (model_name, version, schema, description)
+      SELECT NULL, 1, $1, 'Built-in fleet schema'
+      WHERE NOT EXISTS (SELECT 1 FROM telemetry_schemas WHERE model_name IS NULL)
+    `, [JSON.stringify(DEFAULT_SCHEMA)]);
+    return rowCount;
+  }
+
+  /**
+   * Reload all schema versions
+   */
+  async refresh() {
+    const { rows } = await db.query('SELECT * FROM telemetry_schemas ORDER BY version ASC');
+
+    const schemas = new Map();
+    rows.forEach(row => {
+      const scope = row.model_name || '';
+      if (!schemas.has(scope)) schemas.set(scope, []);
+      schemas.get(scope).push(row);
+    });
+    this.schemas = schemas;
+    return rows.length;
+  }
+
+  /**
+   * Schema versions that apply to a vehicle: its model's, else the fleet-wide ones
+   */
+  getScope(vehicleId) {
+    const model = vehicleProfileService.getModelName(vehicleId);
+    if (model && this.schemas.has(model)) return this.schemas.get(model);
+    return this.schemas.get('') || null;
+  }
+
+  /**
+   * Schema to validate a vehicle's packet against
+   * Returns { version, schema } or { error } when the requested version cannot be used;
+   * the built-in schema (version 1) until the registry has been loaded
+   */
+  resolve(vehicleId, version) {
+    const versions = this.getScope(vehicleId);
+    if (!versions) {
+      return version === undefined || version === 1
+        ? { version: 1, schema: DEFAULT_SCHEMA }
+        : { error: `schema_version ${version} does not exist` };
+    }
+
+    if (version === undefined) {
+      const active = versions.filter(row => row.status === 'active');
+      if (active.length === 0) return { error: 'No active telemetry schema for this vehicle' };
+      const latest = active[active.length - 1];
+      return { version: latest.version, schema: latest.schema };
+    }
+
+    const row = versions.find(r => r.version === version);
+    if (!row) return { error: `schema_version ${version} does not exist` };
+    if (row.status !== 'active') return { error: `schema_version ${version} is retired` };
+    return { version: row.version, schema: row.schema };
+  }
+
+  /**
+   * List schema versions, newest first (model: a model name, null for fleet-wide, undefined for all)
+   */
+  async getSchemas(model) {
+    if (model === undefined) {
+      const { rows } = await db.query('SELECT * FROM telemetry_schemas ORDER BY model_name NULLS FIRST, version DESC');
+      return rows;
+    }
+    const { rows } = await db.query(
+      'SELECT * FROM telemetry_schemas WHERE model_name IS NOT DISTINCT FROM $1 ORDER BY version DESC',
+      [model]
+    );
+    return rows;
+  }
+
+  /**
+   * Get a schema version by ID
+   */
+  async getSchemaById(schemaId) {
+    const { rows } = await db.query('SELECT * FROM telemetry_schemas WHERE schema_id = $1', [schemaId]);
+    return rows[0];
+  }
+
+  /**
+   * Publish a new version for a model (null for fleet-wide); numbered after the latest
+   */
+  async createVersion({ model_name = null, schema, description = null, created_by = null }) {
+    const query = `
+      INSERT INTO telemetry_schemas (model_name, version, schema, description, created_by)
+      SELECT $1::varchar, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+      FROM telemetry_schemas
+      WHERE model_name IS NOT DISTINCT FROM $1::varchar
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [model_name, JSON.stringify(schema), description, created_by]);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Retire a version so packets can no longer use it (retiring the latest rolls back
+   * to the previous active version)
+   * Returns null if not found, { error } if it is not retirable, otherwise { schema }
+   */
+  async retireVersion(schemaId) {
+    const schema = await this.getSchemaById(schemaId);
+    if (!schema) return null;
+    if (schema.status !== 'active') return { error: 'Schema version is already retired' };
+
+    const { rows } = await db.query(`
+      UPDATE telemetry_schemas t
+      SET status = 'retired', retired_at = NOW()
+      WHERE t.schema_id = $1
+      AND EXISTS (
+        SELECT 1 FROM telemetry_schemas o
+        WHERE o.model_name IS NOT DISTINCT FROM t.model_name
+        AND o.status = 'active' AND o.schema_id <> t.schema_id
+      )
+      RETURNING *
+    `, [schemaId]);
+    if (!rows[0]) return { error: 'The only active version cannot be retired; publish a new version first' };
+
+    await this.refresh();
+    return { schema: rows[0] };
+  }
+}
+
+module.exports = new TelemetrySchemaService();
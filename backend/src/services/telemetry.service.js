@@ -1,5 +1,13 @@
 const db = require('../db');
 const realtimeService = require('./realtime.service');
+const telemetryWriter = require('./telemetry.writer.service');
+const sequenceService = require('./sequence.service');
+const clockService = require('./clock.service');
+const vehicleService = require('./vehicle.service');
+const vehicleProfileService = require('./vehicle.profile.service');
+const startupService = require('./startup.service');
+const deviceCredentialService = require('./device.credential.service');
+const telemetryValidator = require('../validators/telemetry.validator');
 const alertEvaluator = require('../alerts/evaluator');
 
 /**
@@ -7,57 +15,180 @@ const alertEvaluator = require('../alerts/evaluator');
  */
 class TelemetryService {
   /**
-   * Save telemetry data and update vehicle's last_seen
-   * Optimized for high-throughput: uses individual queries instead of transaction
-   * for better concurrency under heavy load.
+   * Full ingestion pipeline for one packet, shared by every transport (HTTP, MQTT)
+   * deviceToken is checked against the packet's vehicle unless the transport
+   * already authenticated the device (trusted, e.g. the MQTT broker)
+   * Returns { status, errors } where status is one of:
+   * 'accepted', 'duplicate', 'queue_full' (see ingestTelemetry), 'starting'
+   * (startup hydration still running), 'unauthorized', 'invalid' or 'unknown_vehicle'
+   */
+  async receivePacket(payload, { deviceToken = null, trusted = false } = {}) {
+    // 0. Hold ingestion until startup hydration has completed
+    if (!(await startupService.waitUntilReady())) {
+      return { status: 'starting', errors: null };
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { status: 'invalid', errors: [{ field: 'packet', message: 'Packet must be an object' }] };
+    }
+
+    // 1. Device credentials
+    if (!trusted) {
+      const { allowed, reason } = await deviceCredentialService.authorize(payload.vehicle_id, deviceToken);
+      if (!allowed) {
+        return { status: 'unauthorized', errors: [this.credentialError(reason)] };
+      }
+    }
+
+    // 2. Learn the vehicle's clock offset (and correct the timestamp if enabled)
+    const packet = clockService.prepare(payload);
+
+    // 3. Validate against the vehicle's telemetry schema and model/override ranges
+    const limits = vehicleProfileService.getLimits(packet.vehicle_id);
+    const { isValid, errors, schemaVersion } = telemetryValidator.validate(packet, limits);
+    if (!isValid) {
+      return { status: 'invalid', errors };
+    }
+
+    // 4. Check if vehicle exists
+    const vehicle = await vehicleService.getVehicleById(packet.vehicle_id);
+    if (!vehicle) {
+      return {
+        status: 'unknown_vehicle',
+        errors: [{ field: 'vehicle_id', message: `Vehicle with ID ${packet.vehicle_id} not found` }]
+      };
+    }
+
+    // 5. Queue for storage, realtime and alerts
+    return { status: await this.ingestTelemetry({ ...packet, schema_version: schemaVersion }), errors: null };
+  }
+
+  /**
+   * Error entry for a refused device token ('missing' or 'invalid')
+   */
+  credentialError(reason) {
+    return {
+      field: 'device_token',
+      message: reason === 'missing'
+        ? 'Device token required (X-Device-Token header)'
+        : 'Device token is invalid, expired or revoked for this vehicle'
+    };
+  }
+
+  /**
+   * Queue telemetry for storage and hand it to the realtime view and alert engine
+   * Rows and last_seen are written in bulk by the telemetry writer. Late packets
+   * are stored flagged late without touching the realtime view, and out-of-order
+   * ones skip alert evaluation (see clockService).
+   * Returns 'accepted', 'duplicate' (a retry of an accepted packet, ignored) or
+   * 'queue_full' (the write buffer is full; nothing was processed).
    */
   async ingestTelemetry(telemetryData) {
-    const { vehicle_id, timestamp, data } = telemetryData;
-
-    try {
-      // 1. Store telemetry (fire-and-forget, don't block on this)
-      const insertQuery = `
-        INSERT INTO telemetry (vehicle_id, timestamp, data)
-        VALUES ($1, $2, $3)
-      `;
-      const insertValues = [vehicle_id, timestamp, JSON.stringify(data)];
-
-      // 2. Update vehicle last_seen
-      const updateQuery = `
-        UPDATE vehicles
-        SET last_seen = CURRENT_TIMESTAMP
-        WHERE vehicle_id = $1
-      `;
-
-      // Execute both queries concurrently for better throughput
-      // Note: At high scale, we prioritize throughput over strict consistency
-      await Promise.all([
-        db.query(insertQuery, insertValues),
-        db.query(updateQuery, [vehicle_id])
-      ]);
-
-      // 3. Trigger Real-time broadcast and status updates (non-blocking)
+    const { vehicle_id } = telemetryData;
+
+    // 1. Ignore retries of packets already accepted
+    if (sequenceService.isDuplicate(telemetryData)) {
+      sequenceService.recordDuplicate(vehicle_id);
+      return 'duplicate';
+    }
+
+    // 2. Queue for the next bulk write
+    const timing = clockService.classify(telemetryData);
+    if (!telemetryWriter.enqueue([{ ...telemetryData, late: timing.late }])) {
+      return 'queue_full';
+    }
+    sequenceService.record(telemetryData);
+    clockService.record(telemetryData, timing);
+
+    // 3. Trigger Real-time broadcast and status updates (non-blocking)
+    if (!timing.late) {
       realtimeService.handleIncomingTelemetry(vehicle_id, telemetryData);
+    }
 
-      // 4. Evaluate Alert Rules (non-blocking, with error isolation)
+    // 4. Evaluate Alert Rules (non-blocking, with error isolation)
+    if (!timing.outOfOrder) {
       alertEvaluator.evaluate(telemetryData).catch(err => {
         console.error('[AlertEvaluator] Error:', err.message);
       });
+    }
+
+    return 'accepted';
+  }
+
+  /**
+   * Queue a batch of validated packets (e.g. readings a gateway buffered offline)
+   * All new packets or none are queued; only each vehicle's newest packet that is
+   * not late feeds the realtime view, and alerts are evaluated in timestamp order
+   * (skipping packets older than ones already received).
+   * Returns each packet's result ('accepted' or 'duplicate'), or null when the
+   * write buffer is full.
+   */
+  async ingestBatch(packets) {
+    // 1. Drop retries of accepted packets, and repeats within the batch
+    const seen = new Set();
+    const statuses = packets.map(packet => {
+      const keys = [];
+      if (packet.message_id !== undefined) keys.push(`${packet.vehicle_id}|m|${packet.message_id}`);
+      if (packet.seq !== undefined) keys.push(`${packet.vehicle_id}|s|${packet.seq}|${packet.timestamp}`);
 
-      return true;
-    } catch (error) {
-      console.error('[TelemetryService] Ingestion error:', error.message);
-      throw error;
+      if (sequenceService.isDuplicate(packet) || keys.some(key => seen.has(key))) {
+        return 'duplicate';
+      }
+      keys.forEach(key => seen.add(key));
+      return 'accepted';
+    });
+    const fresh = packets.filter((packet, index) => statuses[index] === 'accepted');
+
+    // 2. Queue for bulk writes (sorted so a batch is never out of order with itself)
+    const ordered = fresh.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const timings = ordered.map(packet => clockService.classify(packet));
+    if (!telemetryWriter.enqueue(ordered.map((packet, i) => ({ ...packet, late: timings[i].late })))) {
+      return null;
+    }
+
+    ordered.forEach((packet, i) => {
+      sequenceService.record(packet);
+      clockService.record(packet, timings[i]);
+    });
+    packets.forEach((packet, index) => {
+      if (statuses[index] === 'duplicate') sequenceService.recordDuplicate(packet.vehicle_id);
+    });
+
+    // 3. Realtime view and alerts
+    const newest = new Map();
+    ordered.forEach((packet, i) => {
+      if (!timings[i].late) newest.set(packet.vehicle_id, packet);
+    });
+    newest.forEach((packet, vehicleId) => realtimeService.handleIncomingTelemetry(vehicleId, packet));
+
+    this.evaluateInOrder(ordered.filter((packet, i) => !timings[i].outOfOrder)).catch(err => {
+      console.error('[AlertEvaluator] Batch error:', err.message);
+    });
+
+    return statuses;
+  }
+
+  /**
+   * Evaluate packets one at a time so trigger windows and hysteresis see them in order
+   */
+  async evaluateInOrder(packets) {
+    for (const packet of packets) {
+      try {
+        await alertEvaluator.evaluate(packet);
+      } catch (error) {
+        console.error('[AlertEvaluator] Error:', error.message);
+      }
     }
   }
 
   /**
-   * Fetch latest telemetry for a vehicle
+   * Fetch latest telemetry for a vehicle (late packets are history, not current state)
    */
   async getLatestTelemetry(vehicleId) {
     const query = `
       SELECT * FROM telemetry 
       WHERE vehicle_id = $1 
+      AND NOT late
       ORDER BY timestamp DESC 
       LIMIT 1
     `;
@@ -96,7 +227,7 @@ class TelemetryService {
         (t.data->>'battery_temp')::FLOAT as current_temp,
         t.timestamp as last_updated
       FROM vehicles v
-      LEFT JOIN telemetry t ON v.vehicle_id = t.vehicle_id
+      LEFT JOIN telemetry t ON v.vehicle_id = t.vehicle_id AND NOT t.late
       ORDER BY v.vehicle_id, t.timestamp DESC
     `;
     const { rows } = await db.query(query);
@@ -0,0 +1,249 @@
+const db = require('../db');
+
+// Rows written per multi-row INSERT
+const BATCH_SIZE = parseInt(process.env.TELEMETRY_WRITE_BATCH_SIZE) || 500;
+// Longest a packet waits in the buffer before a partial batch is written
+const FLUSH_INTERVAL_MS = parseInt(process.env.TELEMETRY_WRITE_INTERVAL_MS) || 200;
+// Buffered packets beyond which ingestion is refused with 429
+const MAX_QUEUE = parseInt(process.env.TELEMETRY_WRITE_MAX_QUEUE) || 20000;
+// Concurrent INSERTs (each holds one pool connection)
+const MAX_IN_FLIGHT = 4;
+// Writes of a batch before its packets are dropped
+const MAX_ATTEMPTS = 5;
+// Wait before retrying after a failed write, doubled per consecutive failure
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+/**
+ * Buffered writer for telemetry rows
+ *
+ * Packets are queued in memory and written with one multi-row INSERT per
+ * batch (when BATCH_SIZE packets are waiting or FLUSH_INTERVAL_MS has passed),
+ * and last_seen is updated once per vehicle per batch instead of once per
+ * packet. When the database falls behind and the queue reaches MAX_QUEUE,
+ * enqueue() refuses new packets so callers can answer 429.
+ *
+ * A batch that fails because the database is unavailable is retried with
+ * exponential back-off; one refused for its data is written row by row so
+ * only the offending packets are dropped.
+ */
+class TelemetryWriterService {
+  constructor() {
+    this.MAX_QUEUE = MAX_QUEUE;
+    // Suggested client back-off when the queue is full
+    this.RETRY_AFTER_SEC = 1;
+
+    // Array<{ vehicle_id, timestamp, data, seq, message_id, late, device_timestamp, schema_version, attempts }>
+    this.queue = [];
+    this.inFlight = 0;
+    this.timer = null;
+    // No writes before this time (back-off after failures)
+    this.retryAt = 0;
+    this.consecutiveFailures = 0;
+
+    this.stats = {
+      enqueued: 0,
+      written: 0,
+      rejected: 0,
+      dropped: 0,
+      failed_writes: 0,
+      batches: 0,
+      last_batch_size: 0,
+      last_write_ms: null,
+      last_error: null,
+      peak_depth: 0
+    };
+  }
+
+  /**
+   * Queue packets for writing; all or none
+   * Returns false when they do not fit (backpressure)
+   */
+  enqueue(packets) {
+    if (this.queue.length + packets.length > MAX_QUEUE) {
+      this.stats.rejected += packets.length;
+      return false;
+    }
+
+    packets.forEach(({ vehicle_id, timestamp, data, seq, message_id, late, device_timestamp, schema_version }) => {
+      this.queue.push({ vehicle_id, timestamp, data, seq, message_id, late, device_timestamp, schema_version, attempts: 0 });
+    });
+    this.stats.enqueued += packets.length;
+    this.stats.peak_depth = Math.max(this.stats.peak_depth, this.queue.length);
+
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Write full batches now, or arm the timer for a partial one
+   */
+  schedule() {
+    const backoffMs = this.retryAt - Date.now();
+    if (backoffMs <= 0) {
+      while (this.queue.length >= BATCH_SIZE && this.inFlight < MAX_IN_FLIGHT) {
+        this.writeBatch();
+      }
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        if (this.canWrite()) this.writeBatch();
+        this.schedule();
+      }, Math.max(FLUSH_INTERVAL_MS, backoffMs));
+    }
+  }
+
+  /**
+   * Whether a batch may be written now (queue not empty, a slot free, not backing off)
+   */
+  canWrite() {
+    return this.queue.length > 0 && this.inFlight < MAX_IN_FLIGHT && Date.now() >= this.retryAt;
+  }
+
+  /**
+   * Take one batch off the queue and write it
+   * Data errors fall back to per-packet writes; other failures put the batch back
+   * at the front of the queue until MAX_ATTEMPTS
+   */
+  async writeBatch() {
+    const batch = this.queue.splice(0, BATCH_SIZE);
+    if (batch.length === 0) return;
+
+    this.inFlight++;
+    const startedAt = Date.now();
+    try {
+      await this.write(batch);
+      this.consecutiveFailures = 0;
+      this.stats.written += batch.length;
+      this.stats.batches++;
+      this.stats.last_batch_size = batch.length;
+      this.stats.last_write_ms = Date.now() - startedAt;
+    } catch (error) {
+      this.stats.failed_writes++;
+      this.stats.last_error = error.message;
+      console.error(`[TelemetryWriter] Write of ${batch.length} packets failed:`, error.message);
+
+      if (db.isDataError(error) && batch.length > 1) {
+        await this.writeEach(batch);
+      } else if (db.isDataError(error)) {
+        this.stats.dropped++;
+      } else {
+        this.retry(batch);
+      }
+    } finally {
+      this.inFlight--;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Write packets one at a time, dropping those refused for their data
+   */
+  async writeEach(batch) {
+    const failed = [];
+    for (const packet of batch) {
+      try {
+        await this.write([packet]);
+        this.stats.written++;
+      } catch (error) {
+        if (db.isDataError(error)) {
+          this.stats.dropped++;
+          console.error(`[TelemetryWriter] Dropped packet of ${packet.vehicle_id} at ${packet.timestamp}:`, error.message);
+        } else {
+          failed.push(packet);
+        }
+      }
+    }
+    if (failed.length > 0) this.retry(failed);
+  }
+
+  /**
+   * Put packets back at the front of the queue (dropping those out of attempts)
+   * and back off before the next write
+   */
+  retry(packets) {
+    const retry = packets.filter(packet => ++packet.attempts < MAX_ATTEMPTS);
+    this.stats.dropped += packets.length - retry.length;
+    this.queue.unshift(...retry);
+
+    this.consecutiveFailures++;
+    this.retryAt = Date.now() + Math.min(RETRY_BASE_MS * 2 ** (this.consecutiveFailures - 1), RETRY_MAX_MS);
+  }
+
+  /**
+   * One multi-row INSERT plus one last_seen UPDATE for the batch's vehicles, in one
+   * transaction so a failed batch is retried as a whole without storing rows twice
+   * A message_id already stored (e.g. a retry seen by another instance) is skipped
+   */
+  async write(batch) {
+    const insertQuery = `
+      INSERT INTO telemetry (vehicle_id, timestamp, data, seq, message_id, late, device_timestamp, schema_version)
+      SELECT * FROM UNNEST($1::varchar[], $2::bigint[], $3::jsonb[], $4::bigint[], $5::varchar[],
+                           $6::boolean[], $7::bigint[], $8::int[])
+      ON CONFLICT (vehicle_id, message_id) WHERE message_id IS NOT NULL DO NOTHING
+    `;
+    const vehicleIds = Array.from(new Set(batch.map(p => p.vehicle_id)));
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(insertQuery, [
+        batch.map(p => p.vehicle_id),
+        batch.map(p => p.timestamp),
+        batch.map(p => JSON.stringify(p.data)),
+        batch.map(p => (p.seq === undefined ? null : p.seq)),
+        batch.map(p => (p.message_id === undefined ? null : p.message_id)),
+        batch.map(p => Boolean(p.late)),
+        batch.map(p => (p.device_timestamp === undefined ? null : p.device_timestamp)),
+        batch.map(p => (p.schema_version === undefined ? null : p.schema_version))
+      ]);
+      await client.query('UPDATE vehicles SET last_seen = CURRENT_TIMESTAMP WHERE vehicle_id = ANY($1)', [vehicleIds]);
+      await client.query('COMMIT');
+    } catch (error) {
+      // Report the original error (it decides retry vs drop) even if the connection is gone
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Write everything still buffered (used on shutdown)
+   */
+  async drain(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    while ((this.queue.length > 0 || this.inFlight > 0) && Date.now() < deadline) {
+      if (this.canWrite()) {
+        this.writeBatch();
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return this.queue.length;
+  }
+
+  /**
+   * Queue depth and throughput counters for monitoring
+   */
+  getMetrics() {
+    return {
+      queue_depth: this.queue.length,
+      queue_capacity: MAX_QUEUE,
+      queue_utilization: Math.round((this.queue.length / MAX_QUEUE) * 1000) / 10,
+      in_flight_batches: this.inFlight,
+      batch_size: BATCH_SIZE,
+      flush_interval_ms: FLUSH_INTERVAL_MS,
+      ...this.stats,
+      db_pool: db.getPoolStats()
+    };
+  }
+}
+
+module.exports = new TelemetryWriterService();
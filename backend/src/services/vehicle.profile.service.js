@@ -0,0 +1,190 @@
+const db = require('../db');
+
+/**
+ * Fleet-wide defaults, matching the ranges the platform shipped with
+ * - *_min / *_max: plausible sensor range enforced by TelemetryValidator
+ * - *_warning / *_critical: alert thresholds referenced by alert rules (threshold_ref)
+ * - anomaly_z_score: how far (in standard deviations) a reading may stray from the
+ *   vehicle's own baseline before the anomaly rules fire (see baseline.service)
+ */
+const DEFAULT_LIMITS = {
+  speed_max: 120,
+  voltage_min: 40,
+  voltage_max: 85,
+  voltage_warning_low: 48,
+  voltage_warning_high: 84,
+  current_min: -200,
+  current_max: 200,
+  current_warning_low: -150,
+  current_warning_high: 150,
+  motor_temp_max: 150,
+  motor_temp_warning: 80,
+  motor_temp_critical: 100,
+  battery_temp_max: 150,
+  battery_temp_warning: 50,
+  battery_temp_critical: 60,
+  anomaly_z_score: 4
+};
+
+/**
+ * Service to manage the vehicle model catalog and resolve per-vehicle limits
+ *
+ * Effective limits are DEFAULT_LIMITS, overlaid with the vehicle's model
+ * limits, overlaid with the vehicle's own threshold_overrides. Resolution
+ * runs on every telemetry packet, so results are cached in memory and
+ * refreshed periodically or after catalog/vehicle changes.
+ */
+class VehicleProfileService {
+  constructor() {
+    this.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+    // Map<vehicle_id, resolved limits>
+    this.vehicleLimits = new Map();
+    // Map<vehicle_id, model name>
+    this.vehicleModels = new Map();
+
+    this.REFRESH_INTERVAL_MS = 30000;
+    setInterval(() => {
+      this.refresh().catch(err => {
+        console.error('[VehicleProfiles] Refresh failed:', err.message);
+      });
+    }, this.REFRESH_INTERVAL_MS);
+  }
+
+  /**
+   * Reload resolved limits for every vehicle
+   */
+  async refresh() {
+    const query = `
+      SELECT v.vehicle_id, v.model, v.threshold_overrides, m.limits as model_limits
+      FROM vehicles v
+      LEFT JOIN vehicle_models m ON m.model_name = v.model
+    `;
+    const { rows } = await db.query(query);
+
+    this.vehicleLimits = new Map(rows.map(row => [
+      row.vehicle_id,
+      { ...DEFAULT_LIMITS, ...(row.model_limits || {}), ...(row.threshold_overrides || {}) }
+    ]));
+    this.vehicleModels = new Map(rows.map(row => [row.vehicle_id, row.model]));
+    return rows.length;
+  }
+
+  /**
+   * Get the effective limits for a vehicle (defaults for unknown vehicles)
+   */
+  getLimits(vehicleId) {
+    return this.vehicleLimits.get(vehicleId) || DEFAULT_LIMITS;
+  }
+
+  /**
+   * Get a vehicle's model name (null for unknown vehicles)
+   */
+  getModelName(vehicleId) {
+    return this.vehicleModels.get(vehicleId) || null;
+  }
+
+  /**
+   * Whether a vehicle is registered (as of the last refresh)
+   */
+  isKnownVehicle(vehicleId) {
+    return this.vehicleLimits.has(vehicleId);
+  }
+
+  /**
+   * Get effective limits with the source of each value
+   */
+  async getLimitBreakdown(vehicleId) {
+    const query = `
+      SELECT v.vehicle_id, v.model, v.threshold_overrides, m.limits as model_limits, m.model_name
+      FROM vehicles v
+      LEFT JOIN vehicle_models m ON m.model_name = v.model
+      WHERE v.vehicle_id = $1
+    `;
+    const { rows } = await db.query(query, [vehicleId]);
+    const row = rows[0];
+    if (!row) return null;
+
+    const modelLimits = row.model_limits || {};
+    const overrides = row.threshold_overrides || {};
+    const limits = {};
+    Object.keys(DEFAULT_LIMITS).forEach(key => {
+      if (overrides[key] !== undefined) limits[key] = { value: overrides[key], source: 'vehicle' };
+      else if (modelLimits[key] !== undefined) limits[key] = { value: modelLimits[key], source: 'model' };
+      else limits[key] = { value: DEFAULT_LIMITS[key], source: 'default' };
+    });
+
+    return {
+      vehicle_id: row.vehicle_id,
+      model: row.model,
+      catalog_model: row.model_name,
+      model_limits: modelLimits,
+      overrides,
+      limits
+    };
+  }
+
+  /**
+   * Replace a vehicle's threshold overrides
+   */
+  async setVehicleOverrides(vehicleId, overrides) {
+    const query = `
+      UPDATE vehicles
+      SET threshold_overrides = $2
+      WHERE vehicle_id = $1
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [vehicleId, JSON.stringify(overrides)]);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Fetch all catalog models
+   */
+  async getAllModels() {
+    const { rows } = await db.query('SELECT * FROM vehicle_models ORDER BY model_name ASC');
+    return rows;
+  }
+
+  /**
+   * Fetch a catalog model by name
+   */
+  async getModel(modelName) {
+    const { rows } = await db.query('SELECT * FROM vehicle_models WHERE model_name = $1', [modelName]);
+    return rows[0];
+  }
+
+  /**
+   * Create or replace a catalog model
+   */
+  async upsertModel(modelName, { nominal_voltage, capacity_kwh, limits }) {
+    const query = `
+      INSERT INTO vehicle_models (model_name, nominal_voltage, capacity_kwh, limits)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (model_name) DO UPDATE SET
+        nominal_voltage = EXCLUDED.nominal_voltage,
+        capacity_kwh = EXCLUDED.capacity_kwh,
+        limits = EXCLUDED.limits,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const values = [modelName, nominal_voltage, capacity_kwh, JSON.stringify(limits || {})];
+    const { rows } = await db.query(query, values);
+    await this.refresh();
+    return rows[0];
+  }
+
+  /**
+   * Delete a catalog model (vehicles fall back to defaults plus their overrides)
+   */
+  async deleteModel(modelName) {
+    const { rows } = await db.query('DELETE FROM vehicle_models WHERE model_name = $1 RETURNING *', [modelName]);
+    if (rows[0]) {
+      await this.refresh();
+    }
+    return rows[0];
+  }
+}
+
+module.exports = new VehicleProfileService();
@@ -1,14 +1,17 @@
 const db = require('../db');
+const deviceCredentialService = require('./device.credential.service');
 
 /**
  * Service to handle vehicle-related business logic and DB operations
  */
 class VehicleService {
   /**
-   * Register a new vehicle
+   * Register a new vehicle together with its first device token
+   * Both are written in one transaction so a vehicle never exists without a token;
+   * returns the vehicle row with device_token (only ever returned here and on rotation)
    */
   async createVehicle(vehicleData) {
-    const { vehicle_id, model, registration_number } = vehicleData;
+    const { vehicle_id, model, registration_number, vehicle_group } = vehicleData;
 
     // Check if vehicle_id already exists
     const existingVehicle = await this.getVehicleById(vehicle_id);
@@ -19,14 +22,31 @@ class VehicleService {
     }
 
     const query = `
-      INSERT INTO vehicles (vehicle_id, model, registration_number)
-      VALUES ($1, $2, $3)
+      INSERT INTO vehicles (vehicle_id, model, registration_number, vehicle_group)
+      VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
-    const values = [vehicle_id, model, registration_number];
+    const values = [vehicle_id, model, registration_number, vehicle_group || null];
 
-    const { rows } = await db.query(query, values);
-    return rows[0];
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(query, values);
+      const device_token = await deviceCredentialService.issue(vehicle_id, client);
+      await client.query('COMMIT');
+      return { ...rows[0], device_token };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        // Registered concurrently since the check above
+        const conflict = new Error('Vehicle already exists');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
@@ -47,6 +67,46 @@ class VehicleService {
     return rows[0];
   }
 
+  /**
+   * Return the subset of the given vehicle IDs that are registered
+   */
+  async getExistingVehicleIds(vehicleIds) {
+    const query = 'SELECT vehicle_id FROM vehicles WHERE vehicle_id = ANY($1)';
+    const { rows } = await db.query(query, [vehicleIds]);
+    return new Set(rows.map(r => r.vehicle_id));
+  }
+
+  /**
+   * Update the provided fields of a vehicle
+   */
+  async updateVehicle(vehicleId, vehicleData) {
+    const updatable = ['model', 'registration_number', 'vehicle_group'];
+    const assignments = [];
+    const params = [];
+    let paramIndex = 1;
+
+    updatable.forEach(field => {
+      if (vehicleData[field] !== undefined) {
+        assignments.push(`${field} = $${paramIndex++}`);
+        params.push(vehicleData[field]);
+      }
+    });
+
+    if (assignments.length === 0) {
+      return this.getVehicleById(vehicleId);
+    }
+
+    params.push(vehicleId);
+    const query = `
+      UPDATE vehicles
+      SET ${assignments.join(', ')}
+      WHERE vehicle_id = $${paramIndex}
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, params);
+    return rows[0];
+  }
+
   /**
    * Delete vehicle by ID
    * NOTE: This performs a hard delete. Historical telemetry data remains intact.
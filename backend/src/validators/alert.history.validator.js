@@ -0,0 +1,115 @@
+const alertApiService = require('../services/alert.api.service');
+
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+const STATUSES = ['active', 'acknowledged', 'resolved'];
+const SORTS = ['created_at', 'severity', 'vehicle_id', 'alert_type'];
+const MAX_LIMIT = 200;
+
+/**
+ * Parse a query date given as epoch milliseconds or an ISO string
+ */
+const parseDate = (value) => new Date(/^\d+$/.test(value) ? Number(value) : value);
+
+/**
+ * Split a comma-separated query param into trimmed, non-empty values
+ */
+const parseList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Utility for manual alert history query validation
+ */
+class AlertHistoryValidator {
+  /**
+   * Validate alert history query params
+   * Returns { isValid, errors, filters } with filters normalised for AlertApiService.getAlertHistory
+   */
+  validate(query) {
+    const errors = [];
+    const {
+      vehicle_id,
+      alert_type,
+      severity,
+      status,
+      from,
+      to,
+      q,
+      sort = 'created_at',
+      order = 'desc',
+      limit,
+      cursor
+    } = query || {};
+
+    const filters = { sort, order, limit: 50 };
+
+    if (vehicle_id !== undefined) filters.vehicle_id = String(vehicle_id);
+    if (alert_type !== undefined) filters.alert_types = parseList(alert_type);
+
+    if (severity !== undefined) {
+      filters.severities = parseList(severity);
+      if (!filters.severities.every(s => SEVERITIES.includes(s))) {
+        errors.push({ field: 'severity', message: `severity must be one or more of ${SEVERITIES.join(', ')}` });
+      }
+    }
+
+    if (status !== undefined) {
+      filters.statuses = parseList(status);
+      if (!filters.statuses.every(s => STATUSES.includes(s))) {
+        errors.push({ field: 'status', message: `status must be one or more of ${STATUSES.join(', ')}` });
+      }
+    }
+
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+      if (value === undefined) return;
+      const date = parseDate(value);
+      if (isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a date or epoch milliseconds` });
+      } else {
+        filters[field] = date;
+      }
+    });
+    if (filters.from && filters.to && filters.to <= filters.from) {
+      errors.push({ field: 'to', message: 'to must be after from' });
+    }
+
+    if (q !== undefined) {
+      if (String(q).length > 200) {
+        errors.push({ field: 'q', message: 'q must be at most 200 characters' });
+      } else if (String(q).trim().length > 0) {
+        filters.q = String(q).trim();
+      }
+    }
+
+    if (!SORTS.includes(sort)) {
+      errors.push({ field: 'sort', message: `sort must be one of ${SORTS.join(', ')}` });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      errors.push({ field: 'order', message: 'order must be asc or desc' });
+    }
+
+    if (limit !== undefined) {
+      const parsed = Number(limit);
+      if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+        errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+      } else {
+        filters.limit = parsed;
+      }
+    }
+
+    if (cursor !== undefined) {
+      const decoded = alertApiService.decodeCursor(cursor);
+      if (!decoded || decoded.sort !== sort || decoded.order !== order) {
+        errors.push({ field: 'cursor', message: 'cursor is invalid or was issued for a different sort' });
+      } else {
+        filters.cursor = decoded;
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      filters
+    };
+  }
+}
+
+module.exports = new AlertHistoryValidator();
@@ -0,0 +1,179 @@
+const { COMPARATORS, CLEAR_COMPARATORS, compileTemplate } = require('../alerts/rule.compiler');
+const { parseExpression } = require('../alerts/expression');
+const { DEFAULT_LIMITS } = require('../services/vehicle.profile.service');
+
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+const MAX_BACKTEST_DAYS = 31;
+
+/**
+ * Utility for manual alert rule validation
+ */
+class AlertRuleValidator {
+  /**
+   * Validate a complete alert rule payload
+   * A rule needs either an expression or a metric/comparator/threshold triple.
+   * Expression and template syntax errors are reported with their position.
+   */
+  validate(payload) {
+    const errors = [];
+    const {
+      alert_type,
+      severity,
+      metric,
+      comparator,
+      threshold,
+      threshold_ref,
+      expression,
+      message_template,
+      enabled,
+      trigger_samples,
+      trigger_duration_sec,
+      clear_threshold,
+      clear_expression
+    } = payload || {};
+
+    const isMissing = (value) => value === undefined || value === null || value === '';
+    const check = (field, value, test, message) => {
+      if (isMissing(value)) {
+        errors.push({ field, message: `${field} is mandatory` });
+      } else if (!test(value)) {
+        errors.push({ field, message });
+      }
+    };
+
+    check('alert_type', alert_type,
+      v => typeof v === 'string' && /^[a-z0-9_]{1,50}$/.test(v),
+      'alert_type must be 1-50 lowercase letters, digits or underscores');
+
+    check('severity', severity,
+      v => SEVERITIES.includes(v),
+      `severity must be one of ${SEVERITIES.join(', ')}`);
+
+    if (!isMissing(expression)) {
+      if (typeof expression !== 'string') {
+        errors.push({ field: 'expression', message: 'expression must be a string' });
+      } else {
+        try {
+          parseExpression(expression);
+        } catch (error) {
+          errors.push({ field: 'expression', message: error.message, position: error.position });
+        }
+      }
+    } else {
+      check('metric', metric,
+        v => typeof v === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(v),
+        'metric must be a telemetry field name');
+
+      check('comparator', comparator,
+        v => Object.prototype.hasOwnProperty.call(COMPARATORS, v),
+        `comparator must be one of ${Object.keys(COMPARATORS).join(' ')}`);
+
+      // threshold_ref resolves per vehicle, so a literal threshold is then optional
+      if (isMissing(threshold_ref) || !isMissing(threshold)) {
+        check('threshold', threshold,
+          v => typeof v === 'number' && Number.isFinite(v),
+          'threshold must be a number');
+      }
+
+      if (!isMissing(threshold_ref) && !Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, threshold_ref)) {
+        errors.push({ field: 'threshold_ref', message: `threshold_ref must be one of ${Object.keys(DEFAULT_LIMITS).join(', ')}` });
+      }
+    }
+
+    check('message_template', message_template,
+      v => typeof v === 'string' && v.trim().length > 0,
+      'message_template must be a non-empty string');
+
+    if (typeof message_template === 'string') {
+      try {
+        compileTemplate(message_template);
+      } catch (error) {
+        errors.push({ field: 'message_template', message: `Invalid placeholder: ${error.message}` });
+      }
+    }
+
+    // Trigger window: violation must hold for N samples and/or N seconds
+    if (!isMissing(trigger_samples) && !(Number.isInteger(trigger_samples) && trigger_samples >= 1)) {
+      errors.push({ field: 'trigger_samples', message: 'trigger_samples must be an integer >= 1' });
+    }
+    if (!isMissing(trigger_duration_sec) && !(Number.isInteger(trigger_duration_sec) && trigger_duration_sec >= 0)) {
+      errors.push({ field: 'trigger_duration_sec', message: 'trigger_duration_sec must be an integer >= 0' });
+    }
+
+    // Hysteresis: clear_expression for any rule, clear_threshold for directional threshold rules
+    if (!isMissing(clear_expression)) {
+      try {
+        parseExpression(clear_expression);
+      } catch (error) {
+        errors.push({ field: 'clear_expression', message: error.message, position: error.position });
+      }
+    } else if (!isMissing(clear_threshold)) {
+      if (typeof clear_threshold !== 'number' || !Number.isFinite(clear_threshold)) {
+        errors.push({ field: 'clear_threshold', message: 'clear_threshold must be a number' });
+      } else if (!isMissing(expression) || !CLEAR_COMPARATORS[comparator]) {
+        errors.push({ field: 'clear_threshold', message: 'clear_threshold requires a threshold rule using >, >=, < or <=' });
+      } else if (typeof threshold === 'number') {
+        const isUpper = comparator.startsWith('>');
+        if ((isUpper && clear_threshold > threshold) || (!isUpper && clear_threshold < threshold)) {
+          errors.push({
+            field: 'clear_threshold',
+            message: `clear_threshold must be ${isUpper ? 'at or below' : 'at or above'} threshold (${threshold})`
+          });
+        }
+      }
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a backtest request (range, vehicles and the shape of the candidate rules)
+   * from/to accept ISO dates or epoch milliseconds; each rule is validated by the controller
+   * once patches have been merged onto the stored rules
+   */
+  validateBacktest(payload) {
+    const errors = [];
+    const { from, to, vehicle_ids, rules } = payload || {};
+
+    const toDate = (value) => (typeof value === 'number' || typeof value === 'string' ? new Date(value) : null);
+    const start = toDate(from);
+    const end = toDate(to);
+
+    if (!start || isNaN(start.getTime())) {
+      errors.push({ field: 'from', message: 'from is mandatory and must be a date or epoch milliseconds' });
+    }
+    if (!end || isNaN(end.getTime())) {
+      errors.push({ field: 'to', message: 'to is mandatory and must be a date or epoch milliseconds' });
+    } else if (start && !isNaN(start.getTime())) {
+      if (end <= start) {
+        errors.push({ field: 'to', message: 'to must be after from' });
+      } else if (end - start > MAX_BACKTEST_DAYS * 24 * 60 * 60 * 1000) {
+        errors.push({ field: 'to', message: `Backtest range must be at most ${MAX_BACKTEST_DAYS} days` });
+      }
+    }
+
+    if (vehicle_ids !== undefined &&
+      !(Array.isArray(vehicle_ids) && vehicle_ids.every(id => typeof id === 'string' && id.length > 0))) {
+      errors.push({ field: 'vehicle_ids', message: 'vehicle_ids must be an array of vehicle IDs' });
+    }
+
+    if (rules !== undefined &&
+      !(Array.isArray(rules) && rules.every(rule => rule && typeof rule === 'object' && !Array.isArray(rule)))) {
+      errors.push({ field: 'rules', message: 'rules must be an array of rule objects' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new AlertRuleValidator();
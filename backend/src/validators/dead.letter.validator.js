@@ -0,0 +1,155 @@
+const deadLetterService = require('../services/dead.letter.service');
+
+const SOURCES = ['http', 'batch', 'mqtt'];
+const STATUSES = ['pending', 'resubmitted'];
+const MAX_LIMIT = 200;
+const MAX_STATS_HOURS = 24 * 30;
+// Entries re-submitted by one bulk request
+const MAX_BULK_RESUBMIT = 500;
+
+/**
+ * Parse a query date given as epoch milliseconds or an ISO string
+ */
+const parseDate = (value) => new Date(/^\d+$/.test(value) ? Number(value) : value);
+
+/**
+ * Split a comma-separated query param into trimmed, non-empty values
+ */
+const parseList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Whether a value is a positive integer ID (number or numeric string)
+ */
+const isId = (value) => /^[1-9]\d{0,17}$/.test(String(value));
+
+/**
+ * Utility for manual dead-letter request validation
+ */
+class DeadLetterValidator {
+  /**
+   * Validate dead-letter list query params
+   * Returns { isValid, errors, filters } with filters normalised for DeadLetterService.list
+   */
+  validateQuery(query) {
+    const errors = [];
+    const { vehicle_id, source, reason, field, status, from, to, limit, before } = query || {};
+    const filters = { limit: 50 };
+
+    if (vehicle_id !== undefined) filters.vehicle_id = String(vehicle_id);
+    if (field !== undefined) filters.field = String(field);
+
+    if (source !== undefined) {
+      filters.sources = parseList(source);
+      if (!filters.sources.every(s => SOURCES.includes(s))) {
+        errors.push({ field: 'source', message: `source must be one or more of ${SOURCES.join(', ')}` });
+      }
+    }
+
+    if (reason !== undefined) {
+      filters.reasons = parseList(reason);
+      if (!filters.reasons.every(r => deadLetterService.RECORDED_REASONS.includes(r))) {
+        errors.push({ field: 'reason', message: `reason must be one or more of ${deadLetterService.RECORDED_REASONS.join(', ')}` });
+      }
+    }
+
+    if (status !== undefined) {
+      if (!STATUSES.includes(status)) {
+        errors.push({ field: 'status', message: `status must be one of ${STATUSES.join(', ')}` });
+      } else {
+        filters.status = status;
+      }
+    }
+
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value === undefined) return;
+      const date = parseDate(value);
+      if (isNaN(date.getTime())) {
+        errors.push({ field: name, message: `${name} must be a date or epoch milliseconds` });
+      } else {
+        filters[name] = date;
+      }
+    });
+    if (filters.from && filters.to && filters.to <= filters.from) {
+      errors.push({ field: 'to', message: 'to must be after from' });
+    }
+
+    if (limit !== undefined) {
+      const parsed = Number(limit);
+      if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+        errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+      } else {
+        filters.limit = parsed;
+      }
+    }
+
+    if (before !== undefined) {
+      if (!isId(before)) {
+        errors.push({ field: 'before', message: 'before must be a dead-letter ID' });
+      } else {
+        filters.before = String(before);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      filters
+    };
+  }
+
+  /**
+   * Validate the stats window (hours, default 24)
+   */
+  validateStatsQuery(query) {
+    const { hours } = query || {};
+    if (hours === undefined) return { isValid: true, errors: [], hours: 24 };
+
+    const parsed = Number(hours);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_STATS_HOURS) {
+      return {
+        isValid: false,
+        errors: [{ field: 'hours', message: `hours must be an integer between 1 and ${MAX_STATS_HOURS}` }],
+        hours: null
+      };
+    }
+    return { isValid: true, errors: [], hours: parsed };
+  }
+
+  /**
+   * Validate a single re-submission body: { payload } (optional corrected packet)
+   */
+  validateResubmit(body) {
+    const errors = [];
+    const payload = body ? body.payload : undefined;
+
+    if (payload !== undefined && (!payload || typeof payload !== 'object' || Array.isArray(payload))) {
+      errors.push({ field: 'payload', message: 'payload must be a telemetry packet object' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a bulk re-submission body: { ids: [...] }
+   */
+  validateBulkResubmit(body) {
+    const errors = [];
+    const ids = body ? body.ids : undefined;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_RESUBMIT) {
+      errors.push({ field: 'ids', message: `ids must be an array of 1 to ${MAX_BULK_RESUBMIT} dead-letter IDs` });
+    } else if (!ids.every(isId)) {
+      errors.push({ field: 'ids', message: 'ids must contain only dead-letter IDs' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new DeadLetterValidator();
@@ -0,0 +1,72 @@
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+
+/**
+ * Utility for manual escalation policy validation
+ */
+class EscalationPolicyValidator {
+  /**
+   * Validate a complete escalation policy payload
+   * tiers: [{ after_minutes, channel_ids }] with after_minutes strictly increasing
+   */
+  validate(payload) {
+    const errors = [];
+    const {
+      name,
+      min_severity,
+      alert_types,
+      vehicle_groups,
+      tiers,
+      enabled
+    } = payload || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      errors.push({ field: 'name', message: 'name is mandatory and must be at most 100 characters' });
+    }
+
+    if (min_severity !== undefined && min_severity !== null && !SEVERITIES.includes(min_severity)) {
+      errors.push({ field: 'min_severity', message: `min_severity must be one of ${SEVERITIES.join(', ')}` });
+    }
+
+    [['alert_types', alert_types], ['vehicle_groups', vehicle_groups]].forEach(([field, value]) => {
+      if (value !== undefined && value !== null &&
+        !(Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0))) {
+        errors.push({ field, message: `${field} must be an array of non-empty strings` });
+      }
+    });
+
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      errors.push({ field: 'tiers', message: 'tiers must be a non-empty array' });
+    } else {
+      let previous = 0;
+      tiers.forEach((tier, i) => {
+        const field = `tiers[${i}]`;
+        if (!tier || typeof tier !== 'object') {
+          errors.push({ field, message: `${field} must be an object` });
+          return;
+        }
+        if (!Number.isInteger(tier.after_minutes) || tier.after_minutes <= previous) {
+          errors.push({
+            field: `${field}.after_minutes`,
+            message: i === 0 ? 'after_minutes must be a positive integer' : `after_minutes must be an integer greater than the previous tier (${previous})`
+          });
+        } else {
+          previous = tier.after_minutes;
+        }
+        if (!Array.isArray(tier.channel_ids) || tier.channel_ids.length === 0 || !tier.channel_ids.every(Number.isInteger)) {
+          errors.push({ field: `${field}.channel_ids`, message: 'channel_ids must be a non-empty array of channel IDs' });
+        }
+      });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new EscalationPolicyValidator();
@@ -0,0 +1,98 @@
+const CHANNEL_TYPES = ['webhook', 'email'];
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Utility for manual notification channel validation
+ */
+class NotificationChannelValidator {
+  /**
+   * Validate a complete notification channel payload
+   * config shape depends on channel_type:
+   * - webhook: { url, secret?, headers? }
+   * - email: { recipients: [address, ...] }
+   */
+  validate(payload) {
+    const errors = [];
+    const {
+      name,
+      channel_type,
+      config,
+      min_severity,
+      alert_types,
+      vehicle_groups,
+      enabled
+    } = payload || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      errors.push({ field: 'name', message: 'name is mandatory and must be at most 100 characters' });
+    }
+
+    if (!CHANNEL_TYPES.includes(channel_type)) {
+      errors.push({ field: 'channel_type', message: `channel_type must be one of ${CHANNEL_TYPES.join(', ')}` });
+    }
+
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push({ field: 'config', message: 'config must be an object' });
+    } else if (channel_type === 'webhook') {
+      errors.push(...this.validateWebhookConfig(config));
+    } else if (channel_type === 'email') {
+      errors.push(...this.validateEmailConfig(config));
+    }
+
+    if (min_severity !== undefined && min_severity !== null && !SEVERITIES.includes(min_severity)) {
+      errors.push({ field: 'min_severity', message: `min_severity must be one of ${SEVERITIES.join(', ')}` });
+    }
+
+    [['alert_types', alert_types], ['vehicle_groups', vehicle_groups]].forEach(([field, value]) => {
+      if (value !== undefined && value !== null &&
+        !(Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0))) {
+        errors.push({ field, message: `${field} must be an array of non-empty strings` });
+      }
+    });
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'enabled must be a boolean' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  validateWebhookConfig({ url, secret, headers }) {
+    const errors = [];
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push({ field: 'config.url', message: 'config.url must be an http(s) URL' });
+    }
+
+    if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+      errors.push({ field: 'config.secret', message: 'config.secret must be a string of at least 16 characters' });
+    }
+
+    if (headers !== undefined && headers !== null &&
+      (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(v => typeof v === 'string'))) {
+      errors.push({ field: 'config.headers', message: 'config.headers must be an object of string values' });
+    }
+
+    return errors;
+  }
+
+  validateEmailConfig({ recipients }) {
+    if (!Array.isArray(recipients) || recipients.length === 0 ||
+      !recipients.every(r => typeof r === 'string' && EMAIL_PATTERN.test(r))) {
+      return [{ field: 'config.recipients', message: 'config.recipients must be a non-empty array of email addresses' }];
+    }
+    return [];
+  }
+}
+
+module.exports = new NotificationChannelValidator();
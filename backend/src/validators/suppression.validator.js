@@ -0,0 +1,62 @@
+const KINDS = ['maintenance', 'suppression'];
+
+/**
+ * Utility for manual maintenance window / suppression validation
+ */
+class SuppressionValidator {
+  /**
+   * Validate a complete suppression payload
+   * Scope is vehicle_id, vehicle_group or neither (fleet-wide, alert_types required)
+   */
+  validate(payload) {
+    const errors = [];
+    const {
+      kind,
+      vehicle_id,
+      vehicle_group,
+      alert_types,
+      starts_at,
+      ends_at,
+      reason
+    } = payload || {};
+
+    if (kind !== undefined && !KINDS.includes(kind)) {
+      errors.push({ field: 'kind', message: `kind must be one of ${KINDS.join(', ')}` });
+    }
+
+    if (vehicle_id && vehicle_group) {
+      errors.push({ field: 'vehicle_id', message: 'Set at most one of vehicle_id or vehicle_group' });
+    }
+
+    if (alert_types !== undefined && alert_types !== null &&
+      !(Array.isArray(alert_types) && alert_types.every(t => typeof t === 'string' && t.length > 0))) {
+      errors.push({ field: 'alert_types', message: 'alert_types must be an array of non-empty strings' });
+    } else if (!vehicle_id && !vehicle_group && !(Array.isArray(alert_types) && alert_types.length > 0)) {
+      errors.push({ field: 'alert_types', message: 'Fleet-wide suppressions must list alert_types' });
+    }
+
+    const toDate = (value) => (value === undefined || value === null ? null : new Date(value));
+    const start = toDate(starts_at) || new Date();
+    const end = toDate(ends_at);
+
+    if (isNaN(start.getTime())) {
+      errors.push({ field: 'starts_at', message: 'starts_at must be a valid date' });
+    }
+    if (!end || isNaN(end.getTime())) {
+      errors.push({ field: 'ends_at', message: 'ends_at is mandatory and must be a valid date' });
+    } else if (end <= start) {
+      errors.push({ field: 'ends_at', message: 'ends_at must be after starts_at' });
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+      errors.push({ field: 'reason', message: 'reason is mandatory and must be at most 500 characters' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new SuppressionValidator();
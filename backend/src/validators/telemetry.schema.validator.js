@@ -0,0 +1,152 @@
+const { DEFAULT_LIMITS } = require('../services/vehicle.profile.service');
+
+// JSON Schema keywords the telemetry validator enforces (plus unit/minLimit/maxLimit)
+const KEYWORDS = [
+  'type', 'title', 'description', 'unit', 'enum',
+  'minimum', 'maximum', 'minLimit', 'maxLimit',
+  'minLength', 'maxLength',
+  'items', 'minItems', 'maxItems',
+  'properties', 'required', 'additionalProperties'
+];
+const TYPES = ['number', 'integer', 'string', 'boolean', 'object', 'array'];
+// Signals the realtime view, alert rules and stats read; every schema must require them
+const CORE_SIGNALS = ['speed', 'battery_voltage', 'battery_current', 'soc', 'motor_temp', 'battery_temp'];
+const MAX_DEPTH = 5;
+
+/**
+ * Utility for manual validation of telemetry schema definitions
+ */
+class TelemetrySchemaValidator {
+  /**
+   * Validate a new schema version payload: { model_name, schema, description }
+   */
+  validateCreate(payload) {
+    const errors = [];
+    const { model_name, schema, description } = payload || {};
+
+    if (model_name !== undefined && model_name !== null &&
+      !(typeof model_name === 'string' && model_name.length > 0 && model_name.length <= 100)) {
+      errors.push({ field: 'model_name', message: 'model_name must be a string of 1 to 100 characters, or null for fleet-wide' });
+    }
+    if (description !== undefined && description !== null &&
+      !(typeof description === 'string' && description.length <= 1000)) {
+      errors.push({ field: 'description', message: 'description must be a string of at most 1000 characters' });
+    }
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      errors.push({ field: 'schema', message: 'schema is mandatory and must be an object' });
+      return { isValid: false, errors };
+    }
+
+    this.validateNode(schema, 'schema', 0, errors);
+
+    if (errors.length === 0) {
+      if (schema.type !== 'object') {
+        errors.push({ field: 'schema.type', message: 'The top-level schema must be of type object' });
+      } else {
+        const required = schema.required || [];
+        const properties = schema.properties || {};
+        CORE_SIGNALS.forEach(key => {
+          if (!required.includes(key) || !properties[key] || properties[key].type !== 'number') {
+            errors.push({ field: `schema.properties.${key}`, message: `${key} must be a required number (core signal)` });
+          }
+        });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check one schema node and its children
+   */
+  validateNode(node, field, depth, errors) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push({ field, message: 'Schema must be an object' });
+      return;
+    }
+    if (depth > MAX_DEPTH) {
+      errors.push({ field, message: `Schemas may be nested at most ${MAX_DEPTH} levels deep` });
+      return;
+    }
+
+    Object.keys(node).filter(key => !KEYWORDS.includes(key)).forEach(key => {
+      errors.push({ field: `${field}.${key}`, message: `Unsupported keyword. Supported: ${KEYWORDS.join(', ')}` });
+    });
+
+    const { type } = node;
+    if (!TYPES.includes(type)) {
+      errors.push({ field: `${field}.type`, message: `type must be one of ${TYPES.join(', ')}` });
+      return;
+    }
+
+    ['title', 'description', 'unit'].forEach(key => {
+      if (node[key] !== undefined && !(typeof node[key] === 'string' && node[key].length <= 500)) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must be a string of at most 500 characters` });
+      }
+    });
+    if (node.enum !== undefined && !(Array.isArray(node.enum) && node.enum.length > 0)) {
+      errors.push({ field: `${field}.enum`, message: 'enum must be a non-empty array' });
+    }
+
+    const numeric = type === 'number' || type === 'integer';
+    this.checkKeywords(node, field, numeric, ['minimum', 'maximum', 'minLimit', 'maxLimit'], 'number or integer', errors);
+    this.checkKeywords(node, field, type === 'string', ['minLength', 'maxLength'], 'string', errors);
+    this.checkKeywords(node, field, type === 'array', ['items', 'minItems', 'maxItems'], 'array', errors);
+    this.checkKeywords(node, field, type === 'object', ['properties', 'required', 'additionalProperties'], 'object', errors);
+
+    ['minimum', 'maximum'].forEach(key => {
+      if (node[key] !== undefined && !(typeof node[key] === 'number' && Number.isFinite(node[key]))) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must be a number` });
+      }
+    });
+    [['minLimit', 'minimum'], ['maxLimit', 'maximum']].forEach(([key, fixed]) => {
+      if (node[key] === undefined) return;
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, node[key])) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must name a limit. Supported: ${Object.keys(DEFAULT_LIMITS).join(', ')}` });
+      } else if (node[fixed] !== undefined) {
+        errors.push({ field: `${field}.${key}`, message: `${key} and ${fixed} cannot both be set` });
+      }
+    });
+    ['minLength', 'maxLength', 'minItems', 'maxItems'].forEach(key => {
+      if (node[key] !== undefined && !(Number.isInteger(node[key]) && node[key] >= 0)) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must be a non-negative integer` });
+      }
+    });
+
+    if (node.items !== undefined) {
+      this.validateNode(node.items, `${field}.items`, depth + 1, errors);
+    }
+    if (node.properties !== undefined) {
+      if (!node.properties || typeof node.properties !== 'object' || Array.isArray(node.properties)) {
+        errors.push({ field: `${field}.properties`, message: 'properties must be an object' });
+      } else {
+        Object.entries(node.properties).forEach(([key, child]) => {
+          this.validateNode(child, `${field}.properties.${key}`, depth + 1, errors);
+        });
+      }
+    }
+    if (node.required !== undefined &&
+      !(Array.isArray(node.required) && node.required.every(key => typeof key === 'string'))) {
+      errors.push({ field: `${field}.required`, message: 'required must be an array of property names' });
+    }
+    if (node.additionalProperties !== undefined && typeof node.additionalProperties !== 'boolean') {
+      errors.push({ field: `${field}.additionalProperties`, message: 'additionalProperties must be a boolean' });
+    }
+  }
+
+  /**
+   * Report keywords used on a type they do not apply to
+   */
+  checkKeywords(node, field, applies, keys, typeLabel, errors) {
+    if (applies) return;
+    keys.filter(key => node[key] !== undefined).forEach(key => {
+      errors.push({ field: `${field}.${key}`, message: `${key} only applies to type ${typeLabel}` });
+    });
+  }
+}
+
+module.exports = new TelemetrySchemaValidator();
@@ -1,11 +1,34 @@
+const { DEFAULT_LIMITS } = require('../services/vehicle.profile.service');
+const telemetrySchemaService = require('../services/telemetry.schema.service');
+
+// Oldest packet accepted; older ones are kept as late data (see clock.service), not rejected
+const MAX_AGE_MS = (parseInt(process.env.TELEMETRY_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+// How far a device clock may run ahead of the server
+const MAX_FUTURE_SKEW_MS = (parseInt(process.env.TELEMETRY_MAX_FUTURE_SKEW_SECONDS) || 120) * 1000;
+
+// Type checks for the schema types, with the article used in error messages
+const TYPE_CHECKS = {
+  number: { label: 'a number', test: v => typeof v === 'number' && Number.isFinite(v) },
+  integer: { label: 'an integer', test: v => Number.isInteger(v) },
+  string: { label: 'a string', test: v => typeof v === 'string' },
+  boolean: { label: 'a boolean', test: v => typeof v === 'boolean' },
+  object: { label: 'an object', test: v => v !== null && typeof v === 'object' && !Array.isArray(v) },
+  array: { label: 'an array', test: v => Array.isArray(v) }
+};
+
 /**
  * Utility for manual telemetry validation
  */
 class TelemetryValidator {
   /**
    * Validate incoming telemetry payload against business rules
+   * limits are the vehicle's resolved model/override limits (fleet defaults if omitted)
+   * maxAgeMs / maxFutureMs bound how far the timestamp may be from server time
+   * data is checked against the vehicle's telemetry schema (see telemetry.schema.service):
+   * the latest active version, or the one named in schema_version
+   * Returns { isValid, errors, schemaVersion }
    */
-  validate(payload) {
+  validate(payload, limits = DEFAULT_LIMITS, { maxAgeMs = MAX_AGE_MS, maxFutureMs = MAX_FUTURE_SKEW_MS } = {}) {
     const errors = [];
     const { vehicle_id, timestamp, data } = payload;
 
@@ -13,47 +36,126 @@ class TelemetryValidator {
     if (!vehicle_id) errors.push({ field: 'vehicle_id', message: 'vehicle_id is mandatory' });
     if (!timestamp) errors.push({ field: 'timestamp', message: 'timestamp is mandatory' });
     if (!data) errors.push({ field: 'data', message: 'data object is mandatory' });
+    if (timestamp && !Number.isSafeInteger(timestamp)) {
+      errors.push({ field: 'timestamp', message: 'timestamp must be an integer (epoch milliseconds)' });
+    }
+
+    // Optional de-duplication keys
+    if (payload.seq !== undefined && !(Number.isSafeInteger(payload.seq) && payload.seq >= 0)) {
+      errors.push({ field: 'seq', message: 'seq must be a non-negative integer' });
+    }
+    if (payload.message_id !== undefined &&
+      !(typeof payload.message_id === 'string' && payload.message_id.length > 0 && payload.message_id.length <= 100)) {
+      errors.push({ field: 'message_id', message: 'message_id must be a string of 1 to 100 characters' });
+    }
+    if (payload.schema_version !== undefined && !(Number.isInteger(payload.schema_version) && payload.schema_version > 0)) {
+      errors.push({ field: 'schema_version', message: 'schema_version must be a positive integer' });
+    }
 
     if (errors.length > 0) return { isValid: false, errors };
 
-    // Timestamp validation: within ±5 minutes of server time
+    // Timestamp validation: within the clock-skew tolerance and no older than maxAgeMs (24 hours by default)
     const now = Date.now();
-    const fiveMinutesMs = 5 * 60 * 1000;
-    if (timestamp > now) {
-      errors.push({ field: 'timestamp', message: 'timestamp cannot be in the future' });
-    } else if (Math.abs(now - timestamp) > fiveMinutesMs) {
-      errors.push({ field: 'timestamp', message: 'timestamp is too far from server time (max ±5 mins)' });
-    }
-
-    // Data metrics validation
-    const rules = [
-      { key: 'speed', min: 0, max: 120, unit: 'km/h' },
-      { key: 'battery_voltage', min: 40, max: 85, unit: 'V' },
-      { key: 'battery_current', min: -200, max: 200, unit: 'A' },
-      { key: 'soc', min: 0, max: 100, unit: '%' },
-      { key: 'motor_temp', min: 0, max: 150, unit: '°C' },
-      { key: 'battery_temp', min: 0, max: 150, unit: '°C' }
-    ];
-
-    rules.forEach(rule => {
-      const value = data[rule.key];
-      if (value === undefined || value === null) {
-        errors.push({ field: `data.${rule.key}`, message: `${rule.key} is mandatory` });
-      } else if (typeof value !== 'number') {
-        errors.push({ field: `data.${rule.key}`, message: `${rule.key} must be a number` });
-      } else if (value < rule.min || value > rule.max) {
-        errors.push({ 
-          field: `data.${rule.key}`, 
-          message: `Value ${value}${rule.unit} is outside allowed range (${rule.min} to ${rule.max}${rule.unit})` 
-        });
-      }
-    });
+    if (timestamp - now > maxFutureMs) {
+      errors.push({ field: 'timestamp', message: `timestamp cannot be more than ${Math.round(maxFutureMs / 1000)}s in the future` });
+    } else if (now - timestamp > maxAgeMs) {
+      errors.push({ field: 'timestamp', message: `timestamp is too far from server time (max ${Math.round(maxAgeMs / 3600000)} hours old)` });
+    }
+
+    // Data validation against the vehicle's telemetry schema
+    const resolved = telemetrySchemaService.resolve(vehicle_id, payload.schema_version);
+    if (resolved.error) {
+      errors.push({ field: 'schema_version', message: resolved.error });
+      return { isValid: false, errors };
+    }
+    this.validateValue(data, resolved.schema, limits, 'data', 'data', errors);
 
     return {
       isValid: errors.length === 0,
-      errors
+      errors,
+      schemaVersion: resolved.version
     };
   }
+
+  /**
+   * Check a value against a schema node, appending { field, message } entries to errors
+   * Supports the JSON Schema subset accepted by the registry (see telemetry.schema.validator);
+   * minLimit/maxLimit take the bound from the vehicle's limits, unit is used in messages
+   */
+  validateValue(value, schema, limits, field, name, errors) {
+    const type = TYPE_CHECKS[schema.type];
+    if (type && !type.test(value)) {
+      errors.push({ field, message: `${name} must be ${type.label}` });
+      return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      errors.push({ field, message: `${name} must be one of ${schema.enum.join(', ')}` });
+      return;
+    }
+
+    if (typeof value === 'number') {
+      const unit = schema.unit || '';
+      const min = schema.minLimit !== undefined ? limits[schema.minLimit] : schema.minimum;
+      const max = schema.maxLimit !== undefined ? limits[schema.maxLimit] : schema.maximum;
+      const tooLow = min !== undefined && value < min;
+      const tooHigh = max !== undefined && value > max;
+
+      if ((tooLow || tooHigh) && min !== undefined && max !== undefined) {
+        errors.push({ field, message: `Value ${value}${unit} is outside allowed range (${min} to ${max}${unit})` });
+      } else if (tooLow) {
+        errors.push({ field, message: `Value ${value}${unit} is below the minimum of ${min}${unit}` });
+      } else if (tooHigh) {
+        errors.push({ field, message: `Value ${value}${unit} is above the maximum of ${max}${unit}` });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ field, message: `${name} must be at least ${schema.minLength} characters` });
+      } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ field, message: `${name} must be at most ${schema.maxLength} characters` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ field, message: `${name} must have at least ${schema.minItems} items` });
+      } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ field, message: `${name} must have at most ${schema.maxItems} items` });
+      } else if (schema.items) {
+        // Report the first bad item only (arrays such as cell_voltages can be long)
+        const before = errors.length;
+        for (let i = 0; i < value.length && errors.length === before; i++) {
+          this.validateValue(value[i], schema.items, limits, `${field}[${i}]`, `${name}[${i}]`, errors);
+        }
+      }
+    }
+
+    if (type === TYPE_CHECKS.object) {
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      const missing = key => value[key] === undefined || value[key] === null;
+
+      // Declared signals in order (missing optional ones are skipped), then required-only keys
+      Object.entries(properties).forEach(([key, propertySchema]) => {
+        if (missing(key)) {
+          if (required.includes(key)) errors.push({ field: `${field}.${key}`, message: `${key} is mandatory` });
+        } else {
+          this.validateValue(value[key], propertySchema, limits, `${field}.${key}`, key, errors);
+        }
+      });
+      required.filter(key => !properties[key] && missing(key)).forEach(key => {
+        errors.push({ field: `${field}.${key}`, message: `${key} is mandatory` });
+      });
+
+      if (schema.additionalProperties === false) {
+        Object.keys(value).filter(key => !properties[key]).forEach(key => {
+          errors.push({ field: `${field}.${key}`, message: `${key} is not a known signal` });
+        });
+      }
+    }
+  }
 }
 
 module.exports = new TelemetryValidator();
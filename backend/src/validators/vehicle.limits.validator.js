@@ -0,0 +1,82 @@
+const { DEFAULT_LIMITS } = require('../services/vehicle.profile.service');
+
+// Pairs that must stay ordered (lower, upper) once limits are merged
+const ORDERED_PAIRS = [
+  ['voltage_min', 'voltage_max'],
+  ['voltage_warning_low', 'voltage_warning_high'],
+  ['current_min', 'current_max'],
+  ['current_warning_low', 'current_warning_high'],
+  ['motor_temp_warning', 'motor_temp_critical'],
+  ['battery_temp_warning', 'battery_temp_critical']
+];
+
+// Limits that only make sense above zero
+const POSITIVE_LIMITS = ['anomaly_z_score'];
+
+/**
+ * Utility for manual validation of vehicle model and threshold override payloads
+ */
+class VehicleLimitsValidator {
+  /**
+   * Validate a partial limits object
+   * The merged result (base + limits) must keep every ordered pair ascending
+   */
+  validateLimits(limits, { base = DEFAULT_LIMITS, field = 'limits' } = {}) {
+    const errors = [];
+
+    if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+      return { isValid: false, errors: [{ field, message: `${field} must be an object` }] };
+    }
+
+    Object.entries(limits).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, key)) {
+        errors.push({ field: `${field}.${key}`, message: `Unknown limit. Supported: ${Object.keys(DEFAULT_LIMITS).join(', ')}` });
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must be a number` });
+      } else if (POSITIVE_LIMITS.includes(key) && value <= 0) {
+        errors.push({ field: `${field}.${key}`, message: `${key} must be greater than 0` });
+      }
+    });
+
+    if (errors.length > 0) return { isValid: false, errors };
+
+    const merged = { ...base, ...limits };
+
+    ORDERED_PAIRS.forEach(([lower, upper]) => {
+      if (merged[lower] >= merged[upper]) {
+        errors.push({ field: `${field}.${lower}`, message: `${lower} (${merged[lower]}) must be below ${upper} (${merged[upper]})` });
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a vehicle model catalog payload
+   */
+  validateModel(payload) {
+    const errors = [];
+    const { nominal_voltage, capacity_kwh, limits = {} } = payload || {};
+
+    if (nominal_voltage !== undefined && nominal_voltage !== null &&
+      !(typeof nominal_voltage === 'number' && nominal_voltage > 0)) {
+      errors.push({ field: 'nominal_voltage', message: 'nominal_voltage must be a positive number' });
+    }
+    if (capacity_kwh !== undefined && capacity_kwh !== null &&
+      !(typeof capacity_kwh === 'number' && capacity_kwh > 0)) {
+      errors.push({ field: 'capacity_kwh', message: 'capacity_kwh must be a positive number' });
+    }
+
+    errors.push(...this.validateLimits(limits).errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = new VehicleLimitsValidator();
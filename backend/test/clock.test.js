@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+
+db.query = async () => ({ rows: [], rowCount: 0 });
+process.env.TELEMETRY_CLOCK_CORRECTION = 'true';
+
+const clockService = require('../src/services/clock.service');
+const vehicleProfileService = require('../src/services/vehicle.profile.service');
+
+vehicleProfileService.isKnownVehicle = vehicleId => vehicleId !== 'EV-404';
+
+const NOW = 1700000000000;
+
+test.beforeEach(() => {
+  clockService.vehicles.clear();
+  clockService.dirty.clear();
+});
+
+/**
+ * Classify and record a packet, like the telemetry pipeline does
+ */
+const receive = (timestamp, receivedAt = NOW) => {
+  const packet = { vehicle_id: 'EV-001', timestamp };
+  const classification = clockService.classify(packet, receivedAt);
+  clockService.record(packet, classification, receivedAt);
+  return classification;
+};
+
+test('a recent packet in order is neither late nor out of order', () => {
+  assert.deepStrictEqual(receive(NOW - 1000), { late: false, outOfOrder: false });
+  assert.deepStrictEqual(receive(NOW - 500), { late: false, outOfOrder: false });
+});
+
+test('a packet older than LATE_AFTER_MS is late', () => {
+  assert.deepStrictEqual(receive(NOW - clockService.LATE_AFTER_MS), { late: false, outOfOrder: false });
+  assert.deepStrictEqual(receive(NOW - clockService.LATE_AFTER_MS - 1), { late: true, outOfOrder: true });
+
+  assert.deepStrictEqual(
+    clockService.classify({ vehicle_id: 'EV-002', timestamp: NOW - clockService.LATE_AFTER_MS - 1 }, NOW),
+    { late: true, outOfOrder: false }
+  );
+});
+
+test('a packet older than the newest one received is out of order and late', () => {
+  receive(NOW - 1000);
+  assert.deepStrictEqual(receive(NOW - 2000), { late: true, outOfOrder: true });
+  // Equal timestamps are not out of order
+  assert.deepStrictEqual(receive(NOW - 1000), { late: false, outOfOrder: false });
+
+  const stats = clockService.getStats('EV-001');
+  assert.strictEqual(stats.received, 3);
+  assert.strictEqual(stats.late, 1);
+  assert.strictEqual(stats.out_of_order, 1);
+  assert.strictEqual(stats.max_lag_ms, 2000);
+  assert.strictEqual(stats.newest_timestamp, NOW - 1000);
+});
+
+test('a timestamp ahead of the server is clamped to receive time', () => {
+  receive(NOW + 60000);
+  const stats = clockService.getStats('EV-001');
+  assert.strictEqual(stats.ahead, 1);
+  assert.strictEqual(stats.newest_timestamp, NOW);
+
+  // The next correct packet is not out of order because of the bad reading
+  assert.deepStrictEqual(receive(NOW + 1000 - 200, NOW + 1000), { late: false, outOfOrder: false });
+});
+
+test('prepare ignores unknown vehicles and non-numeric timestamps', () => {
+  const unknown = { vehicle_id: 'EV-404', timestamp: NOW };
+  assert.strictEqual(clockService.prepare(unknown, { receivedAt: NOW }), unknown);
+
+  const text = { vehicle_id: 'EV-001', timestamp: '2026-01-01' };
+  assert.strictEqual(clockService.prepare(text, { receivedAt: NOW }), text);
+  assert.strictEqual(clockService.vehicles.size, 0);
+});
+
+test('prepare estimates the offset once enough live packets arrived', () => {
+  // Offset 30s plus network delay of up to 0.8s
+  for (let i = 0; i < 9; i++) {
+    clockService.prepare({ vehicle_id: 'EV-001', timestamp: NOW + i * 1000 - 30000 - i * 100 }, { receivedAt: NOW + i * 1000 });
+  }
+  assert.strictEqual(clockService.getStats('EV-001').clock_offset_ms, null);
+
+  // One bad timestamp far below the others does not become the estimate
+  clockService.prepare({ vehicle_id: 'EV-001', timestamp: NOW + 9000 - 5000 }, { receivedAt: NOW + 9000 });
+  const stats = clockService.getStats('EV-001');
+  assert.strictEqual(stats.offset_samples, 10);
+  assert.strictEqual(stats.clock_offset_ms, 30000);
+  assert.strictEqual(stats.correction_applied, true);
+});
+
+test('prepare returns a corrected copy and leaves the packet untouched', () => {
+  for (let i = 0; i < 10; i++) {
+    clockService.prepare({ vehicle_id: 'EV-001', timestamp: NOW + i * 1000 - 30000 }, { receivedAt: NOW + i * 1000 });
+  }
+
+  const packet = { vehicle_id: 'EV-001', timestamp: NOW - 30000, data: { speed: 10 } };
+  const prepared = clockService.prepare(packet, { live: false });
+
+  assert.notStrictEqual(prepared, packet);
+  assert.strictEqual(prepared.timestamp, NOW);
+  assert.strictEqual(prepared.device_timestamp, NOW - 30000);
+  assert.strictEqual(prepared.data, packet.data);
+  assert.deepStrictEqual(packet, { vehicle_id: 'EV-001', timestamp: NOW - 30000, data: { speed: 10 } });
+});
+
+test('batch uploads do not feed the offset estimate', () => {
+  for (let i = 0; i < 20; i++) {
+    clockService.prepare({ vehicle_id: 'EV-001', timestamp: NOW - 3600000 }, { live: false, receivedAt: NOW });
+  }
+  assert.strictEqual(clockService.getStats('EV-001').offset_samples, 0);
+  assert.strictEqual(clockService.dirty.size, 0);
+});
+
+test('offsets within the network delay threshold are not corrected', () => {
+  for (let i = 0; i < 10; i++) {
+    clockService.prepare({ vehicle_id: 'EV-001', timestamp: NOW + i * 1000 - 500 }, { receivedAt: NOW + i * 1000 });
+  }
+  const packet = { vehicle_id: 'EV-001', timestamp: NOW };
+  assert.strictEqual(clockService.prepare(packet, { live: false }), packet);
+  assert.strictEqual(clockService.getStats('EV-001').correction_applied, false);
+});
+
+test('a failed flush marks the vehicles dirty again', async (t) => {
+  receive(NOW);
+
+  t.mock.method(db, 'query', async () => {
+    throw new Error('connection terminated');
+  });
+  await assert.rejects(clockService.flush(), /connection terminated/);
+  assert.ok(clockService.dirty.has('EV-001'));
+});
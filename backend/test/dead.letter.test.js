@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+
+db.query = async () => ({ rows: [], rowCount: 0 });
+
+const deadLetterService = require('../src/services/dead.letter.service');
+const telemetryService = require('../src/services/telemetry.service');
+
+const dbError = (code, message) => Object.assign(new Error(message), { code });
+
+test.beforeEach(() => {
+  deadLetterService.buffer.length = 0;
+  deadLetterService.stats.recorded = 0;
+  deadLetterService.stats.dropped = 0;
+});
+
+test('only permanent rejection reasons are recorded', () => {
+  assert.strictEqual(deadLetterService.record({ source: 'http', reason: 'queue_full', payload: {} }), false);
+  assert.strictEqual(deadLetterService.record({ source: 'http', reason: 'starting', payload: {} }), false);
+  assert.strictEqual(deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-001' } }), true);
+  assert.strictEqual(deadLetterService.buffer.length, 1);
+});
+
+test('NUL and unpaired surrogates are replaced with U+FFFD in values and keys', () => {
+  deadLetterService.record({
+    source: 'http',
+    reason: 'invalid',
+    payload: { vehicle_id: 'EV\u0000001', data: { 'k\ud800': 'a\udc00b', ok: '🚗' } },
+    errors: [{ field: 'data.x\u0000', message: 'bad' }],
+    sourceInfo: { ip: '\u0000' }
+  });
+
+  const [row] = deadLetterService.buffer;
+  assert.strictEqual(row.vehicle_id, 'EV�001');
+  assert.deepStrictEqual(JSON.parse(row.payload), {
+    vehicle_id: 'EV�001',
+    // Paired surrogates (emoji) are kept
+    data: { 'k�': 'a�b', ok: '🚗' }
+  });
+  assert.deepStrictEqual(JSON.parse(row.errors), [{ field: 'data.x�', message: 'bad' }]);
+  assert.deepStrictEqual(JSON.parse(row.source_info), { ip: '�' });
+});
+
+test('raw text is sanitised and the vehicle is taken from source info', () => {
+  deadLetterService.record({ source: 'mqtt', reason: 'invalid', raw: '{not json\u0000', sourceInfo: { vehicle_id: 'EV-002' } });
+
+  const [row] = deadLetterService.buffer;
+  assert.strictEqual(row.payload, null);
+  assert.strictEqual(row.raw_payload, '{not json�');
+  assert.strictEqual(row.vehicle_id, 'EV-002');
+});
+
+test('vehicle_id is capped at 50 characters', () => {
+  deadLetterService.record({ source: 'http', reason: 'unknown_vehicle', payload: { vehicle_id: 'X'.repeat(80) } });
+  assert.strictEqual(deadLetterService.buffer[0].vehicle_id, 'X'.repeat(50));
+
+  // Non-string IDs fall back to the source info
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 42 }, sourceInfo: {} });
+  assert.strictEqual(deadLetterService.buffer[1].vehicle_id, null);
+});
+
+test('an oversized payload is kept as truncated raw text', () => {
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-001', blob: 'x'.repeat(20000) } });
+
+  const [row] = deadLetterService.buffer;
+  assert.strictEqual(row.payload, null);
+  assert.strictEqual(row.raw_payload.length, 16 * 1024);
+  assert.ok(row.raw_payload.startsWith('{"vehicle_id":"EV-001"'));
+  assert.strictEqual(JSON.parse(row.source_info).truncated, true);
+  assert.strictEqual(row.vehicle_id, 'EV-001');
+});
+
+test('a batch refused for its data is written row by row, dropping only the bad row', async (t) => {
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-001' } });
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-BAD' } });
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-002' } });
+
+  const written = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    if (params[0].includes('EV-BAD')) throw dbError('22P05', 'unsupported Unicode escape sequence');
+    written.push(...params[0]);
+    return { rows: [], rowCount: params[0].length };
+  });
+
+  await assert.rejects(deadLetterService.flush(), /Dropped 1 unstorable rejection/);
+  assert.deepStrictEqual(written, ['EV-001', 'EV-002']);
+  assert.strictEqual(deadLetterService.buffer.length, 0);
+  assert.strictEqual(deadLetterService.stats.dropped, 1);
+});
+
+test('a flush failing on the connection keeps the buffer', async (t) => {
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-001' } });
+  deadLetterService.record({ source: 'http', reason: 'invalid', payload: { vehicle_id: 'EV-002' } });
+
+  t.mock.method(db, 'query', async () => {
+    throw dbError('ECONNREFUSED', 'connect ECONNREFUSED');
+  });
+
+  await assert.rejects(deadLetterService.flush(), /ECONNREFUSED/);
+  assert.deepStrictEqual(deadLetterService.buffer.map(row => row.vehicle_id), ['EV-001', 'EV-002']);
+  assert.strictEqual(deadLetterService.stats.dropped, 0);
+});
+
+/**
+ * Stub the entry lookup and the resubmit UPDATE; returns the UPDATE parameters
+ */
+const stubEntry = (t, entry) => {
+  const updates = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    if (/^\s*SELECT/.test(sql)) return { rows: entry ? [entry] : [] };
+    updates.push(params);
+    return { rows: [{ ...entry, last_resubmit_status: params[1] }] };
+  });
+  return updates;
+};
+
+test('resubmit runs the stored payload through ingestion and marks success', async (t) => {
+  const updates = stubEntry(t, { dead_letter_id: 9, status: 'new', payload: { vehicle_id: 'EV-001', timestamp: 1 } });
+  const received = [];
+  t.mock.method(telemetryService, 'receivePacket', async (payload, options) => {
+    received.push({ payload, options });
+    return { status: 'accepted', errors: null };
+  });
+
+  const result = await deadLetterService.resubmit(9, { user: 'admin' });
+
+  assert.strictEqual(result.status, 'accepted');
+  assert.deepStrictEqual(received, [{ payload: { vehicle_id: 'EV-001', timestamp: 1 }, options: { trusted: true } }]);
+  assert.deepStrictEqual(updates, [[9, 'accepted', null, true, 'admin']]);
+});
+
+test('resubmit prefers a corrected payload and records a renewed rejection', async (t) => {
+  const updates = stubEntry(t, { dead_letter_id: 9, status: 'new', payload: { vehicle_id: 'EV-001' } });
+  const errors = [{ field: 'data.speed', message: 'out of range' }];
+  t.mock.method(telemetryService, 'receivePacket', async () => ({ status: 'invalid', errors }));
+
+  const corrected = { vehicle_id: 'EV-001', timestamp: 2, data: { speed: 999 } };
+  const result = await deadLetterService.resubmit(9, { payload: corrected });
+
+  assert.strictEqual(telemetryService.receivePacket.mock.calls[0].arguments[0], corrected);
+  assert.strictEqual(result.status, 'invalid');
+  assert.deepStrictEqual(updates, [[9, 'invalid', JSON.stringify(errors), false, null]]);
+});
+
+test('resubmit refuses missing, already resubmitted and payload-less entries', async (t) => {
+  t.mock.method(telemetryService, 'receivePacket', async () => assert.fail('must not ingest'));
+
+  stubEntry(t, null);
+  assert.strictEqual(await deadLetterService.resubmit(1), null);
+
+  t.mock.restoreAll();
+  t.mock.method(telemetryService, 'receivePacket', async () => assert.fail('must not ingest'));
+  stubEntry(t, { dead_letter_id: 2, status: 'resubmitted', payload: {} });
+  assert.strictEqual((await deadLetterService.resubmit(2)).status, 'already_resubmitted');
+
+  t.mock.restoreAll();
+  t.mock.method(telemetryService, 'receivePacket', async () => assert.fail('must not ingest'));
+  const updates = stubEntry(t, { dead_letter_id: 3, status: 'new', payload: null, raw_payload: '{oops' });
+  const result = await deadLetterService.resubmit(3);
+  assert.strictEqual(result.status, 'no_payload');
+  assert.strictEqual(result.errors[0].field, 'payload');
+  assert.strictEqual(updates.length, 0);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileExpression, truthy } = require('../src/alerts/expression');
+
+const matches = (source, data) => truthy(compileExpression(source).evaluate(data));
+
+test('NOT of a comparison with a missing field does not match', () => {
+  const condition = 'abs(battery_current) > 150 OR NOT (motor_temp <= 80)';
+
+  assert.strictEqual(compileExpression(condition).evaluate({ battery_current: 10 }), null);
+  assert.strictEqual(matches(condition, { battery_current: 10 }), false);
+  assert.strictEqual(matches(condition, { battery_current: 10, motor_temp: 90 }), true);
+  assert.strictEqual(matches(condition, { battery_current: 10, motor_temp: 70 }), false);
+  assert.strictEqual(matches(condition, { battery_current: 200 }), true);
+});
+
+test('AND and OR follow three-valued logic with missing fields', () => {
+  assert.strictEqual(compileExpression('soc < 20 AND speed > 60').evaluate({ soc: 50 }), false);
+  assert.strictEqual(compileExpression('soc < 20 AND speed > 60').evaluate({ soc: 10 }), null);
+  assert.strictEqual(compileExpression('soc < 20 OR speed > 60').evaluate({ soc: 10 }), true);
+  assert.strictEqual(compileExpression('NOT (soc < 20 OR speed > 60)').evaluate({ soc: 50 }), null);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mqtt = require('mqtt');
+const db = require('../src/db');
+
+// No database: the bridge is tested against stubbed credentials and ingestion
+db.query = async () => ({ rows: [], rowCount: 0 });
+
+const mqttBridge = require('../src/services/mqtt.bridge.service');
+const telemetryService = require('../src/services/telemetry.service');
+const deviceCredentialService = require('../src/services/device.credential.service');
+const deadLetterService = require('../src/services/dead.letter.service');
+
+const TOKENS = { 'EV-001': 'dev_good_token_1', 'EV-002': 'dev_good_token_2' };
+const revoked = new Set();
+const received = [];
+const deadLetters = [];
+
+deviceCredentialService.verify = async (vehicleId, token) => {
+  if (!token) return 'missing';
+  return TOKENS[vehicleId] === token && !revoked.has(token) ? 'valid' : 'invalid';
+};
+deviceCredentialService.authorize = async (vehicleId, token) => {
+  const reason = await deviceCredentialService.verify(vehicleId, token);
+  return { allowed: reason === 'valid', reason };
+};
+telemetryService.receivePacket = async (payload) => {
+  received.push(payload);
+  return { status: 'accepted', errors: null };
+};
+deadLetterService.record = (entry) => {
+  deadLetters.push(entry);
+  return true;
+};
+
+let port;
+
+/**
+ * Connect a device; resolves with the client, rejects when the broker refuses it
+ */
+const connectDevice = (username, password) => new Promise((resolve, reject) => {
+  const client = mqtt.connect(`mqtt://127.0.0.1:${port}`, { username, password, reconnectPeriod: 0 });
+  client.once('connect', () => resolve(client));
+  client.once('error', err => {
+    client.end(true);
+    reject(err);
+  });
+});
+
+/**
+ * Wait until a condition holds (messages go device -> broker -> bridge asynchronously)
+ */
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const packet = (vehicleId) => JSON.stringify({
+  vehicle_id: vehicleId,
+  timestamp: Date.now(),
+  data: { speed: 40, battery_voltage: 60, battery_current: 10, soc: 80, motor_temp: 50, battery_temp: 30 }
+});
+
+test.before(async () => {
+  assert.strictEqual(await mqttBridge.start({ brokerPort: 0 }), true);
+  port = mqttBridge.server.address().port;
+});
+
+test.after(async () => {
+  await mqttBridge.stop();
+});
+
+test.beforeEach(() => {
+  received.length = 0;
+  deadLetters.length = 0;
+});
+
+test('a device with a valid token is accepted and its packets ingested', async () => {
+  const device = await connectDevice('EV-001', TOKENS['EV-001']);
+  await device.publishAsync('fleet/EV-001/telemetry', packet('EV-001'), { qos: 1 });
+
+  await waitFor(() => received.length === 1);
+  assert.strictEqual(received[0].vehicle_id, 'EV-001');
+  assert.strictEqual(deadLetters.length, 0);
+  await device.endAsync();
+});
+
+test('vehicle_id may be omitted and is taken from the topic', async () => {
+  const device = await connectDevice('EV-001', TOKENS['EV-001']);
+  const body = JSON.parse(packet('EV-001'));
+  delete body.vehicle_id;
+  await device.publishAsync('fleet/EV-001/telemetry', JSON.stringify(body), { qos: 1 });
+
+  await waitFor(() => received.length === 1);
+  assert.strictEqual(received[0].vehicle_id, 'EV-001');
+  await device.endAsync();
+});
+
+test('a wrong token is refused at connect', async () => {
+  await assert.rejects(connectDevice('EV-001', 'dev_wrong_token'), /Not authorized|Bad username or password/);
+  await assert.rejects(connectDevice('EV-001', TOKENS['EV-002']), /Not authorized|Bad username or password/);
+});
+
+test('a token revoked mid-session is refused, dead-lettered and disconnected', async () => {
+  const device = await connectDevice('EV-002', TOKENS['EV-002']);
+  const closed = new Promise(resolve => device.once('close', resolve));
+
+  revoked.add(TOKENS['EV-002']);
+  try {
+    device.publish('fleet/EV-002/telemetry', packet('EV-002'), { qos: 1 });
+    await closed;
+    await waitFor(() => deadLetters.length === 1);
+  } finally {
+    revoked.delete(TOKENS['EV-002']);
+    device.end(true);
+  }
+
+  assert.strictEqual(received.length, 0);
+  assert.strictEqual(deadLetters[0].reason, 'unauthorized');
+  assert.strictEqual(deadLetters[0].payload.vehicle_id, 'EV-002');
+});
+
+test('publishing to another vehicle\'s topic is refused and dead-lettered', async () => {
+  const device = await connectDevice('EV-001', TOKENS['EV-001']);
+  const closed = new Promise(resolve => device.once('close', resolve));
+
+  device.publish('fleet/EV-002/telemetry', packet('EV-002'), { qos: 1 });
+  await closed;
+  await waitFor(() => deadLetters.length === 1);
+  device.end(true);
+
+  assert.strictEqual(received.length, 0);
+  assert.strictEqual(deadLetters[0].reason, 'unauthorized');
+  assert.strictEqual(deadLetters[0].sourceInfo.client_vehicle_id, 'EV-001');
+});
+
+test('a payload vehicle_id that contradicts the topic is rejected, dead-lettered and answered', async () => {
+  const device = await connectDevice('EV-001', TOKENS['EV-001']);
+  await device.subscribeAsync('fleet/EV-001/errors', { qos: 1 });
+  const answer = new Promise(resolve => device.once('message', (topic, message) => resolve(JSON.parse(message.toString()))));
+
+  await device.publishAsync('fleet/EV-001/telemetry', packet('EV-002'), { qos: 1 });
+
+  const error = await answer;
+  assert.strictEqual(error.event, 'telemetry_rejected');
+  assert.strictEqual(error.status, 'invalid');
+  assert.strictEqual(error.errors[0].field, 'vehicle_id');
+
+  assert.strictEqual(received.length, 0);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].source, 'mqtt');
+  assert.strictEqual(deadLetters[0].reason, 'invalid');
+  assert.strictEqual(deadLetters[0].sourceInfo.vehicle_id, 'EV-001');
+  await device.endAsync();
+});
+
+test('start rejects when the broker cannot be reached', async () => {
+  const bridge = new mqttBridge.constructor();
+  await assert.rejects(bridge.start({ url: 'mqtt://127.0.0.1:1' }), /ECONNREFUSED/);
+  assert.strictEqual(bridge.client, null);
+});
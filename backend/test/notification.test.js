@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const db = require('../src/db');
+
+db.query = async () => ({ rows: [], rowCount: 0 });
+
+const notificationService = require('../src/services/notification.service');
+
+const alert = {
+  alert_id: 'a1b2c3d4-0000-4000-8000-000000000001',
+  vehicle_id: 'EV-001',
+  alert_type: 'high_motor_temp',
+  severity: 'CRITICAL',
+  message: 'Motor temperature 105°C',
+  data: { motor_temp: 105 },
+  created_at: '2026-01-01T00:00:00.000Z'
+};
+const payload = notificationService.buildPayload(alert, 'north');
+
+// Local webhook receiver: the path selects the status it answers with
+let lastRequest = null;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    lastRequest = { headers: req.headers, body };
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/200' });
+      return res.end();
+    }
+    res.writeHead(parseInt(req.url.slice(1)) || 200);
+    res.end();
+  });
+});
+let baseUrl;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Run a send and return the error it failed with
+ */
+const failure = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail('expected the send to fail');
+};
+
+test('sendWebhook posts the payload and signs it with the channel secret', async () => {
+  const status = await notificationService.sendWebhook({ url: `${baseUrl}/200`, secret: 'shh', headers: { 'X-Custom': 'yes' } }, payload, 42);
+  assert.strictEqual(status, 200);
+
+  const { headers, body } = lastRequest;
+  assert.deepStrictEqual(JSON.parse(body), payload);
+  assert.strictEqual(headers['x-ev-event'], 'alert.created');
+  assert.strictEqual(headers['x-ev-delivery'], '42');
+  assert.strictEqual(headers['x-custom'], 'yes');
+
+  const expected = crypto.createHmac('sha256', 'shh').update(`${headers['x-ev-timestamp']}.${body}`).digest('hex');
+  assert.strictEqual(headers['x-ev-signature'], `sha256=${expected}`);
+});
+
+test('sendWebhook without a secret sends no signature', async () => {
+  await notificationService.sendWebhook({ url: `${baseUrl}/204` }, payload, 1);
+  assert.strictEqual(lastRequest.headers['x-ev-signature'], undefined);
+});
+
+test('sendWebhook retries 408, 429 and 5xx responses', async () => {
+  for (const status of [408, 429, 500, 503]) {
+    const error = await failure(notificationService.sendWebhook({ url: `${baseUrl}/${status}` }, payload, 1));
+    assert.strictEqual(error.responseCode, status);
+    assert.strictEqual(error.retryable, true, `HTTP ${status} should be retried`);
+  }
+});
+
+test('sendWebhook treats other 4xx responses and redirects as permanent', async () => {
+  for (const status of [400, 401, 404, 410]) {
+    const error = await failure(notificationService.sendWebhook({ url: `${baseUrl}/${status}` }, payload, 1));
+    assert.strictEqual(error.responseCode, status);
+    assert.strictEqual(error.retryable, false, `HTTP ${status} should not be retried`);
+  }
+
+  const error = await failure(notificationService.sendWebhook({ url: `${baseUrl}/redirect` }, payload, 1));
+  assert.strictEqual(error.responseCode, 302);
+  assert.strictEqual(error.retryable, false);
+});
+
+test('sendWebhook retries network errors', async () => {
+  const error = await failure(notificationService.sendWebhook({ url: 'http://127.0.0.1:1/' }, payload, 1));
+  assert.strictEqual(error.responseCode, null);
+  assert.strictEqual(error.retryable, true);
+  assert.match(error.message, /Webhook request failed/);
+});
+
+/**
+ * Swap the SMTP transporter for the duration of a test
+ */
+const useTransporter = (t, transporter) => {
+  const original = notificationService.transporter;
+  notificationService.transporter = transporter;
+  t.after(() => { notificationService.transporter = original; });
+};
+
+test('sendEmail sends to all recipients through the transporter', async (t) => {
+  const sent = [];
+  useTransporter(t, {
+    sendMail: async (message) => {
+      sent.push(message);
+      return { response: '250 2.0.0 OK queued' };
+    }
+  });
+
+  const code = await notificationService.sendEmail({ recipients: ['ops@example.com', 'oncall@example.com'] }, payload);
+  assert.strictEqual(code, 250);
+  assert.strictEqual(sent[0].to, 'ops@example.com, oncall@example.com');
+  assert.strictEqual(sent[0].subject, '[CRITICAL] high_motor_temp on EV-001');
+  assert.match(sent[0].text, /Vehicle: EV-001 \(north\)/);
+});
+
+test('sendEmail treats SMTP 5xx as permanent and 4xx as retryable', async (t) => {
+  let responseCode;
+  useTransporter(t, {
+    sendMail: async () => {
+      const error = new Error(`${responseCode} rejected`);
+      error.responseCode = responseCode;
+      throw error;
+    }
+  });
+
+  responseCode = 550;
+  let error = await failure(notificationService.sendEmail({ recipients: ['nobody@example.com'] }, payload));
+  assert.strictEqual(error.responseCode, 550);
+  assert.strictEqual(error.retryable, false);
+
+  responseCode = 451;
+  error = await failure(notificationService.sendEmail({ recipients: ['ops@example.com'] }, payload));
+  assert.strictEqual(error.responseCode, 451);
+  assert.strictEqual(error.retryable, true);
+});
+
+test('sendEmail without SMTP configured fails permanently', async (t) => {
+  useTransporter(t, null);
+  const error = await failure(notificationService.sendEmail({ recipients: ['ops@example.com'] }, payload));
+  assert.strictEqual(error.retryable, false);
+});
+
+/**
+ * Run attemptDelivery against a webhook path and capture the UPDATE parameters
+ */
+const attempt = async (t, path, attempts) => {
+  const calls = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    calls.push(params);
+    return { rows: [{ delivery_id: 7 }], rowCount: 1 };
+  });
+  await notificationService.attemptDelivery({
+    delivery_id: 7,
+    attempts,
+    channel_type: 'webhook',
+    config: { url: `${baseUrl}${path}` },
+    payload
+  });
+  assert.strictEqual(calls.length, 1);
+  return calls[0];
+};
+
+test('attemptDelivery marks a successful send as sent', async (t) => {
+  const [id, attempts, responseCode] = await attempt(t, '/200', 0);
+  assert.strictEqual(id, 7);
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(responseCode, 200);
+});
+
+test('attemptDelivery reschedules retryable failures with exponential backoff', async (t) => {
+  let [, status, attempts, responseCode, , backoffMs] = await attempt(t, '/503', 0);
+  assert.strictEqual(status, 'pending');
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(responseCode, 503);
+  assert.strictEqual(backoffMs, notificationService.BASE_BACKOFF_MS);
+
+  [, status, attempts, , , backoffMs] = await attempt(t, '/429', 2);
+  assert.strictEqual(status, 'pending');
+  assert.strictEqual(attempts, 3);
+  assert.strictEqual(backoffMs, notificationService.BASE_BACKOFF_MS * 4);
+});
+
+test('attemptDelivery fails permanent errors and exhausted retries', async (t) => {
+  let [, status, attempts] = await attempt(t, '/404', 0);
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(attempts, 1);
+
+  [, status, attempts] = await attempt(t, '/500', notificationService.MAX_ATTEMPTS - 1);
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(attempts, notificationService.MAX_ATTEMPTS);
+});
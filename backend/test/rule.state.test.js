@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+
+db.query = async () => ({ rows: [], rowCount: 0 });
+
+const ruleState = require('../src/alerts/rule.state');
+
+const T0 = 1700000000000;
+
+test.beforeEach(() => {
+  ruleState.states.clear();
+  ruleState.dirtyKeys.clear();
+  ruleState.removedKeys.clear();
+});
+
+test('consecutive violations extend one streak', () => {
+  ruleState.recordViolation('EV-001', 'high_motor_temp', T0);
+  ruleState.recordViolation('EV-001', 'high_motor_temp', T0 + 1000);
+  const state = ruleState.recordViolation('EV-001', 'high_motor_temp', T0 + 2000);
+
+  assert.strictEqual(state.pendingSince, T0);
+  assert.strictEqual(state.samples, 3);
+  assert.strictEqual(state.lastSampleAt, T0 + 2000);
+  assert.ok(ruleState.dirtyKeys.has('EV-001_high_motor_temp'));
+});
+
+test('a silence of exactly STREAK_GAP_MS keeps the streak', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  const state = ruleState.recordViolation('EV-001', 'low_soc', T0 + ruleState.STREAK_GAP_MS);
+
+  assert.strictEqual(state.pendingSince, T0);
+  assert.strictEqual(state.samples, 2);
+});
+
+test('a silence longer than STREAK_GAP_MS starts a new streak', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.recordViolation('EV-001', 'low_soc', T0 + 1000);
+  const resumed = T0 + 1000 + ruleState.STREAK_GAP_MS + 1;
+  const state = ruleState.recordViolation('EV-001', 'low_soc', resumed);
+
+  assert.strictEqual(state.pendingSince, resumed);
+  assert.strictEqual(state.samples, 1);
+});
+
+test('streaks are tracked per vehicle and alert type', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.recordViolation('EV-001', 'high_motor_temp', T0 + 1000);
+  const state = ruleState.recordViolation('EV-002', 'low_soc', T0 + 2000);
+
+  assert.strictEqual(state.samples, 1);
+  assert.strictEqual(ruleState.get('EV-001', 'low_soc').samples, 1);
+  assert.strictEqual(ruleState.states.size, 3);
+});
+
+test('resetting an inactive streak drops the state and queues its removal', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.resetStreak('EV-001', 'low_soc');
+
+  assert.strictEqual(ruleState.states.has('EV-001_low_soc'), false);
+  assert.strictEqual(ruleState.dirtyKeys.has('EV-001_low_soc'), false);
+  assert.deepStrictEqual(ruleState.removedKeys.get('EV-001_low_soc'), { vehicleId: 'EV-001', alertType: 'low_soc' });
+});
+
+test('an active alert keeps its state after the streak resets, until cleared', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.setActive('EV-001', 'low_soc', true);
+  ruleState.resetStreak('EV-001', 'low_soc');
+
+  const state = ruleState.states.get('EV-001_low_soc');
+  assert.strictEqual(state.active, true);
+  assert.strictEqual(state.pendingSince, null);
+  assert.strictEqual(state.samples, 0);
+
+  ruleState.setActive('EV-001', 'low_soc', false);
+  assert.strictEqual(ruleState.states.has('EV-001_low_soc'), false);
+  assert.ok(ruleState.removedKeys.has('EV-001_low_soc'));
+});
+
+test('flush writes changed and removed states in bulk', async (t) => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.recordViolation('EV-002', 'low_soc', T0);
+  ruleState.resetStreak('EV-002', 'low_soc');
+
+  const calls = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: [], rowCount: 0 };
+  });
+  await ruleState.flush();
+
+  assert.strictEqual(calls.length, 2);
+  assert.match(calls[0].sql, /INSERT INTO alert_rule_state/);
+  assert.deepStrictEqual(calls[0].params.slice(0, 4), [['EV-001'], ['low_soc'], [T0], [1]]);
+  assert.match(calls[1].sql, /DELETE FROM alert_rule_state/);
+  assert.deepStrictEqual(calls[1].params, [['EV-002'], ['low_soc']]);
+  assert.strictEqual(ruleState.dirtyKeys.size, 0);
+  assert.strictEqual(ruleState.removedKeys.size, 0);
+});
+
+test('a failed flush queues its keys again', async (t) => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.recordViolation('EV-002', 'low_soc', T0);
+  ruleState.resetStreak('EV-002', 'low_soc');
+
+  t.mock.method(db, 'query', async () => {
+    throw new Error('connection terminated');
+  });
+  await assert.rejects(ruleState.flush(), /connection terminated/);
+
+  assert.ok(ruleState.dirtyKeys.has('EV-001_low_soc'));
+  assert.ok(ruleState.removedKeys.has('EV-002_low_soc'));
+});
+
+test('a requeued key does not override a newer change made during the flush', () => {
+  ruleState.recordViolation('EV-001', 'low_soc', T0);
+  ruleState.dirtyKeys.clear();
+  // Streak reset while the upsert was in flight: the removal supersedes it
+  ruleState.resetStreak('EV-001', 'low_soc');
+
+  ruleState.requeue(['EV-001_low_soc'], []);
+  assert.strictEqual(ruleState.dirtyKeys.has('EV-001_low_soc'), false);
+  assert.ok(ruleState.removedKeys.has('EV-001_low_soc'));
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+
+db.query = async () => ({ rows: [], rowCount: 0 });
+
+const sequenceService = require('../src/services/sequence.service');
+
+const T0 = 1700000000000;
+
+test.beforeEach(() => {
+  sequenceService.vehicles.clear();
+  sequenceService.dirty.clear();
+});
+
+/**
+ * Record a packet if it is not a duplicate, like the telemetry pipeline does
+ */
+const receive = (packet) => {
+  const packetWithVehicle = { vehicle_id: 'EV-001', ...packet };
+  if (sequenceService.isDuplicate(packetWithVehicle)) {
+    sequenceService.recordDuplicate(packetWithVehicle.vehicle_id);
+    return false;
+  }
+  sequenceService.record(packetWithVehicle);
+  return true;
+};
+
+test('an unknown vehicle is never a duplicate', () => {
+  assert.strictEqual(sequenceService.isDuplicate({ vehicle_id: 'EV-404', seq: 1, timestamp: T0 }), false);
+});
+
+test('a repeated message_id is a duplicate', () => {
+  assert.strictEqual(receive({ message_id: 'm-1', timestamp: T0 }), true);
+  assert.strictEqual(receive({ message_id: 'm-2', timestamp: T0 + 1000 }), true);
+  assert.strictEqual(receive({ message_id: 'm-1', timestamp: T0 }), false);
+
+  const stats = sequenceService.getStats('EV-001');
+  assert.strictEqual(stats.received, 2);
+  assert.strictEqual(stats.duplicates, 1);
+});
+
+test('a repeated seq is a duplicate', () => {
+  receive({ seq: 1, timestamp: T0 });
+  receive({ seq: 2, timestamp: T0 + 1000 });
+
+  assert.strictEqual(receive({ seq: 2, timestamp: T0 + 1000 }), false);
+  assert.strictEqual(receive({ seq: 1, timestamp: T0 }), false);
+  assert.strictEqual(sequenceService.getStats('EV-001').duplicates, 2);
+});
+
+test('a jump in seq counts the skipped packets as missing', () => {
+  receive({ seq: 1, timestamp: T0 });
+  receive({ seq: 5, timestamp: T0 + 4000 });
+  receive({ seq: 6, timestamp: T0 + 5000 });
+  receive({ seq: 9, timestamp: T0 + 8000 });
+
+  const stats = sequenceService.getStats('EV-001');
+  assert.strictEqual(stats.highest_seq, 9);
+  assert.strictEqual(stats.received, 4);
+  assert.strictEqual(stats.gaps, 2);
+  assert.strictEqual(stats.missing, 5);
+  assert.strictEqual(stats.loss_pct, 55.56);
+});
+
+test('a late packet fills its gap and is not a duplicate', () => {
+  receive({ seq: 1, timestamp: T0 });
+  receive({ seq: 4, timestamp: T0 + 3000 });
+
+  assert.strictEqual(receive({ seq: 2, timestamp: T0 + 1000 }), true);
+  let stats = sequenceService.getStats('EV-001');
+  assert.strictEqual(stats.missing, 1);
+  assert.strictEqual(stats.recovered, 1);
+  assert.strictEqual(stats.gaps, 1);
+
+  // Once recovered, a retry of the same packet is a duplicate
+  assert.strictEqual(receive({ seq: 2, timestamp: T0 + 1000 }), false);
+  stats = sequenceService.getStats('EV-001');
+  assert.strictEqual(stats.recovered, 1);
+  assert.strictEqual(stats.duplicates, 1);
+});
+
+test('a lower seq with a newer timestamp is a restart, not a duplicate', () => {
+  receive({ seq: 100, timestamp: T0 });
+  receive({ seq: 103, timestamp: T0 + 3000 });
+
+  assert.strictEqual(receive({ seq: 1, timestamp: T0 + 60000 }), true);
+  assert.strictEqual(receive({ seq: 2, timestamp: T0 + 61000 }), true);
+
+  const stats = sequenceService.getStats('EV-001');
+  assert.strictEqual(stats.restarts, 1);
+  assert.strictEqual(stats.highest_seq, 2);
+  assert.strictEqual(stats.duplicates, 0);
+  // Gaps from before the restart are no longer recoverable
+  assert.strictEqual(sequenceService.vehicles.get('EV-001').missing.size, 0);
+});
+
+test('packets without seq or message_id are always accepted', () => {
+  assert.strictEqual(receive({ timestamp: T0 }), true);
+  assert.strictEqual(receive({ timestamp: T0 }), true);
+  assert.strictEqual(sequenceService.getStats('EV-001').received, 2);
+});
+
+test('getAllStats lists the worst loss first', () => {
+  receive({ vehicle_id: 'EV-001', seq: 1, timestamp: T0 });
+  receive({ vehicle_id: 'EV-001', seq: 2, timestamp: T0 + 1000 });
+  receive({ vehicle_id: 'EV-002', seq: 1, timestamp: T0 });
+  receive({ vehicle_id: 'EV-002', seq: 4, timestamp: T0 + 3000 });
+
+  assert.deepStrictEqual(sequenceService.getAllStats().map(s => s.vehicle_id), ['EV-002', 'EV-001']);
+});
+
+test('a failed flush marks the vehicles dirty again', async (t) => {
+  receive({ seq: 1, timestamp: T0 });
+
+  t.mock.method(db, 'query', async () => {
+    throw new Error('connection terminated');
+  });
+  await assert.rejects(sequenceService.flush(), /connection terminated/);
+  assert.ok(sequenceService.dirty.has('EV-001'));
+});
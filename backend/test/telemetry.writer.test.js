@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+
+process.env.TELEMETRY_WRITE_BATCH_SIZE = '3';
+process.env.TELEMETRY_WRITE_MAX_QUEUE = '10';
+// Long enough that the timer never writes on its own; tests call writeBatch()
+process.env.TELEMETRY_WRITE_INTERVAL_MS = '60000';
+
+const telemetryWriter = require('../src/services/telemetry.writer.service');
+
+// Called with the vehicle_ids of each INSERT; throws to fail it
+let onInsert = () => {};
+// Statements run per transaction
+let transactions = [];
+
+db.getClient = async () => {
+  const statements = [];
+  transactions.push(statements);
+  return {
+    query: async (sql, params) => {
+      const statement = sql.trim().split(/\s+/)[0];
+      statements.push(statement);
+      if (statement === 'INSERT') onInsert(params[0]);
+      return { rows: [], rowCount: 0 };
+    },
+    release: () => {}
+  };
+};
+
+const dbError = (code, message) => Object.assign(new Error(message), { code });
+
+const packets = (count, vehicleId = 'EV-001') => Array.from({ length: count }, (_, i) => ({
+  vehicle_id: vehicleId,
+  timestamp: 1700000000000 + i * 1000,
+  data: { speed: i }
+}));
+
+test.beforeEach(() => {
+  clearTimeout(telemetryWriter.timer);
+  telemetryWriter.timer = null;
+  telemetryWriter.queue = [];
+  telemetryWriter.retryAt = 0;
+  telemetryWriter.consecutiveFailures = 0;
+  Object.assign(telemetryWriter.stats, { enqueued: 0, written: 0, rejected: 0, dropped: 0, failed_writes: 0, batches: 0 });
+  onInsert = () => {};
+  transactions = [];
+});
+
+test('enqueue refuses packets that do not fit, all or none', () => {
+  // Database backing off: nothing leaves the queue
+  telemetryWriter.retryAt = Date.now() + 60000;
+
+  assert.strictEqual(telemetryWriter.enqueue(packets(8)), true);
+  assert.strictEqual(telemetryWriter.enqueue(packets(3)), false);
+  assert.strictEqual(telemetryWriter.queue.length, 8);
+  assert.strictEqual(telemetryWriter.stats.rejected, 3);
+
+  assert.strictEqual(telemetryWriter.enqueue(packets(2)), true);
+  assert.strictEqual(telemetryWriter.queue.length, 10);
+  assert.strictEqual(telemetryWriter.stats.enqueued, 10);
+  assert.strictEqual(telemetryWriter.getMetrics().queue_utilization, 100);
+});
+
+test('a batch and its last_seen update are written in one transaction', async () => {
+  telemetryWriter.queue = packets(2).concat(packets(1, 'EV-002')).map(p => ({ ...p, attempts: 0 }));
+  await telemetryWriter.writeBatch();
+
+  assert.deepStrictEqual(transactions, [['BEGIN', 'INSERT', 'UPDATE', 'COMMIT']]);
+  assert.strictEqual(telemetryWriter.stats.written, 3);
+  assert.strictEqual(telemetryWriter.stats.batches, 1);
+  assert.strictEqual(telemetryWriter.queue.length, 0);
+});
+
+test('a connection failure rolls back, requeues the batch and backs off', async () => {
+  onInsert = () => { throw dbError('ECONNRESET', 'Connection terminated unexpectedly'); };
+  telemetryWriter.queue = packets(4).map(p => ({ ...p, attempts: 0 }));
+
+  const before = Date.now();
+  await telemetryWriter.writeBatch();
+
+  assert.deepStrictEqual(transactions, [['BEGIN', 'INSERT', 'ROLLBACK']]);
+  assert.strictEqual(telemetryWriter.stats.written, 0);
+  assert.strictEqual(telemetryWriter.stats.failed_writes, 1);
+  // Failed batch back at the front, in order
+  assert.deepStrictEqual(telemetryWriter.queue.map(p => p.timestamp), packets(4).map(p => p.timestamp));
+  assert.deepStrictEqual(telemetryWriter.queue.map(p => p.attempts), [1, 1, 1, 0]);
+  assert.ok(telemetryWriter.retryAt >= before + 1000);
+  assert.strictEqual(telemetryWriter.canWrite(), false);
+});
+
+test('back-off doubles per consecutive failure and resets after a success', async () => {
+  onInsert = () => { throw dbError('57P01', 'terminating connection due to administrator command'); };
+  telemetryWriter.queue = packets(1).map(p => ({ ...p, attempts: 0 }));
+
+  for (const expectedMs of [1000, 2000, 4000]) {
+    telemetryWriter.retryAt = 0;
+    const before = Date.now();
+    await telemetryWriter.writeBatch();
+    const backoffMs = telemetryWriter.retryAt - before;
+    assert.ok(backoffMs >= expectedMs && backoffMs < expectedMs + 500, `expected ~${expectedMs}ms, got ${backoffMs}ms`);
+  }
+
+  onInsert = () => {};
+  telemetryWriter.retryAt = 0;
+  await telemetryWriter.writeBatch();
+  assert.strictEqual(telemetryWriter.consecutiveFailures, 0);
+  assert.strictEqual(telemetryWriter.stats.written, 1);
+});
+
+test('packets are dropped after MAX_ATTEMPTS failed writes', async () => {
+  onInsert = () => { throw dbError('ECONNREFUSED', 'connect ECONNREFUSED'); };
+  telemetryWriter.queue = packets(1).map(p => ({ ...p, attempts: 0 }));
+
+  for (let i = 0; i < 5; i++) {
+    telemetryWriter.retryAt = 0;
+    await telemetryWriter.writeBatch();
+  }
+  assert.strictEqual(telemetryWriter.queue.length, 0);
+  assert.strictEqual(telemetryWriter.stats.dropped, 1);
+  assert.strictEqual(telemetryWriter.stats.failed_writes, 5);
+});
+
+test('a data error writes the batch row by row and drops only the bad rows', async () => {
+  // invalid_text_representation for any INSERT containing EV-BAD
+  onInsert = (vehicleIds) => {
+    if (vehicleIds.includes('EV-BAD')) throw dbError('22P02', 'invalid input syntax');
+  };
+  telemetryWriter.queue = [...packets(1), ...packets(1, 'EV-BAD'), ...packets(1, 'EV-002')].map(p => ({ ...p, attempts: 0 }));
+
+  await telemetryWriter.writeBatch();
+
+  assert.strictEqual(transactions.length, 4);
+  assert.strictEqual(telemetryWriter.stats.written, 2);
+  assert.strictEqual(telemetryWriter.stats.dropped, 1);
+  assert.strictEqual(telemetryWriter.queue.length, 0);
+  assert.strictEqual(telemetryWriter.retryAt, 0);
+});
+
+test('drain writes everything still buffered', async () => {
+  telemetryWriter.queue = packets(7).map(p => ({ ...p, attempts: 0 }));
+
+  assert.strictEqual(await telemetryWriter.drain(2000), 0);
+  assert.strictEqual(telemetryWriter.stats.written, 7);
+  assert.strictEqual(telemetryWriter.stats.batches, 3);
+});
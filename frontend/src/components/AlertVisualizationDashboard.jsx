@@ -6,7 +6,7 @@ import {
 } from 'recharts';
 import { 
   AlertCircle, AlertTriangle, Battery, Thermometer, Zap, 
-  TrendingUp, Car, Wifi, Radio, Activity
+  TrendingUp, Car, Wifi, Radio, Activity, Timer
 } from 'lucide-react';
 import axios from 'axios';
 import { cn } from '../utils/ui-utils';
@@ -20,6 +20,7 @@ import { formatTime } from '../utils/formatters';
  * 2. Active Alerts by Type (Donut/Bar) - Categorical breakdown
  * 3. Vehicle Health Distribution - System-wide health overview
  * 4. Top Problem Vehicles - Ranked problem identification
+ * 5. Response Times - MTTA / MTTR per alert type, vehicle group or operator
  * 
  * All charts update every few seconds with smooth transitions
  * No chart re-renders per individual alert
@@ -29,6 +30,8 @@ const AlertVisualizationDashboard = ({ alerts, vehicles, className }) => {
   const [vehicleHealthData, setVehicleHealthData] = useState({});
   const [topVehicles, setTopVehicles] = useState([]);
   const [alertTypeData, setAlertTypeData] = useState([]);
+  const [responseTimes, setResponseTimes] = useState(null);
+  const [responseGroupBy, setResponseGroupBy] = useState('alert_type');
 
   // Fetch time series data every 5 seconds
   useEffect(() => {
@@ -78,6 +81,22 @@ const AlertVisualizationDashboard = ({ alerts, vehicles, className }) => {
     return () => clearInterval(interval);
   }, []);
 
+  // Fetch MTTA / MTTR for the last 24 hours every minute (heavier query, slow-moving numbers)
+  useEffect(() => {
+    const fetchResponseTimes = async () => {
+      try {
+        const response = await axios.get(`/api/v1/alerts/stats/response-times?group_by=${responseGroupBy}&time_window=1440`);
+        setResponseTimes(response.data.data || null);
+      } catch (error) {
+        console.error('Failed to fetch response time metrics:', error);
+      }
+    };
+
+    fetchResponseTimes();
+    const interval = setInterval(fetchResponseTimes, 60000);
+    return () => clearInterval(interval);
+  }, [responseGroupBy]);
+
   // Process alert type data from existing alerts (updated in real-time)
   useEffect(() => {
     const processAlertTypes = () => {
@@ -141,6 +160,25 @@ const AlertVisualizationDashboard = ({ alerts, vehicles, className }) => {
     ].filter(item => item.value > 0);
   }, [vehicles, vehicleHealthData]);
 
+  // Mean times in minutes per group for the bar chart
+  const responseTimeData = useMemo(() => {
+    if (!responseTimes) return [];
+    const toMinutes = (seconds) => (seconds === null ? 0 : Math.round(seconds / 6) / 10);
+
+    return responseTimes.groups.slice(0, 8).map(group => ({
+      name: group.key ? group.key.replace(/_/g, ' ').toUpperCase() : (responseTimes.group_by === 'operator' ? 'UNACKNOWLEDGED' : 'UNGROUPED'),
+      MTTA: toMinutes(group.mtta.mean),
+      MTTR: toMinutes(group.mttr.mean)
+    }));
+  }, [responseTimes]);
+
+  const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return '--';
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${(seconds / 3600).toFixed(1)}h`;
+  };
+
   // Colors and styling
   const alertTypeColors = {
     'LOW BATTERY': '#ffcc00',
@@ -412,6 +450,78 @@ const AlertVisualizationDashboard = ({ alerts, vehicles, className }) => {
           )}
         </div>
       </div>
+
+      {/* Response Times - MTTA / MTTR Bar Chart */}
+      <div className="glass-panel p-6 border-white/5 bg-white/[0.02] xl:col-span-2">
+        <ChartHeader 
+          title="Response Times (24h)" 
+          icon={<Timer size={16} />}
+          value={formatDuration(responseTimes?.overall?.mtta.mean)}
+          label="mean time to acknowledge"
+        />
+
+        <div className="mt-4 flex items-center justify-between">
+          <div className="flex gap-1">
+            {[['alert_type', 'By Type'], ['vehicle_group', 'By Group'], ['operator', 'By Operator']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setResponseGroupBy(key)}
+                className={cn(
+                  "px-2 py-1 rounded text-[9px] font-black uppercase tracking-wider transition-colors",
+                  responseGroupBy === key ? "bg-ev-blue/20 text-ev-blue" : "bg-white/5 text-slate-500 hover:text-slate-300"
+                )}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {responseTimes?.overall && (
+            <div className="flex items-center gap-4 text-[9px] font-mono text-slate-500">
+              <span>MTTR <span className="text-white font-black">{formatDuration(responseTimes.overall.mttr.mean)}</span></span>
+              <span>P90 ACK <span className="text-white font-black">{formatDuration(responseTimes.overall.mtta.p90)}</span></span>
+              <span className={cn(responseTimes.overall.ack_sla_breaches > 0 ? "text-ev-red" : "text-ev-green")}>
+                {responseTimes.overall.ack_sla_breaches} ACK SLA BREACHES ({responseTimes.sla.ack_minutes}m)
+              </span>
+              <span className={cn(responseTimes.overall.resolve_sla_breaches > 0 ? "text-ev-red" : "text-ev-green")}>
+                {responseTimes.overall.resolve_sla_breaches} RESOLVE SLA BREACHES ({responseTimes.sla.resolve_minutes}m)
+              </span>
+            </div>
+          )}
+        </div>
+
+        <div className="h-64 mt-4">
+          {responseTimeData.length > 0 ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={responseTimeData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#ffffff05" vertical={false} />
+                <XAxis 
+                  dataKey="name" 
+                  axisLine={false}
+                  tickLine={false}
+                  tick={{ fill: '#94a3b8', fontSize: 9 }}
+                />
+                <YAxis 
+                  axisLine={false}
+                  tickLine={false}
+                  tick={{ fill: '#94a3b8', fontSize: 10 }}
+                  tickFormatter={(minutes) => `${minutes}m`}
+                />
+                <Tooltip content={<CustomTooltip />} />
+                <Bar dataKey="MTTA" fill="#00d2ff" radius={[3, 3, 0, 0]} isAnimationActive={true} animationDuration={800} />
+                <Bar dataKey="MTTR" fill="#ffcc00" radius={[3, 3, 0, 0]} isAnimationActive={true} animationDuration={800} />
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="h-full flex flex-col items-center justify-center text-center">
+              <Timer size={32} className="text-ev-blue mb-2 opacity-50" />
+              <p className="text-[10px] font-mono text-slate-500 uppercase tracking-widest">
+                No Alerts In The Last 24 Hours
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 };
@@ -1,5 +1,5 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Search, Filter, AlertCircle, AlertTriangle, CheckCircle2, Wifi, Radio, Database } from 'lucide-react';
+import { Search, Filter, AlertCircle, AlertTriangle, CheckCircle2, Wifi, Radio, Database, Wrench } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { cn } from '../utils/ui-utils';
 
@@ -12,8 +12,9 @@ import { cn } from '../utils/ui-utils';
  * - Warning alerts show yellow indicator
  * - Healthy vehicles show no indicator
  * - Battery health shows real-time SOC with color-coded status
+ * - Vehicles under a maintenance window/suppression show a muted wrench badge
  */
-const AssetListItem = React.memo(({ vehicle, isSelected, onSelect, alertSeverity, alertCount, isEscalated }) => {
+const AssetListItem = React.memo(({ vehicle, isSelected, onSelect, alertSeverity, alertCount, isEscalated, suppressions }) => {
   const { vehicle_id, status, data } = vehicle;
   const isOnline = status === 'online';
   const hasCritical = alertSeverity === 'CRITICAL';
@@ -106,6 +107,15 @@ const AssetListItem = React.memo(({ vehicle, isSelected, onSelect, alertSeverity
                 <span>{alertCount}</span>
               </div>
             )}
+            {suppressions && suppressions.length > 0 && (
+              <div
+                className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-slate-700/40 text-[8px] font-black text-slate-400"
+                title={suppressions.map(s => `${s.reason} (until ${new Date(s.ends_at).toLocaleString()})`).join('\n')}
+              >
+                <Wrench size={8} />
+                <span>{suppressions.some(s => s.kind === 'maintenance') ? 'MAINT' : 'MUTED'}</span>
+              </div>
+            )}
           </div>
           <span className={cn(
             "text-[9px] font-mono uppercase tracking-widest",
@@ -149,11 +159,12 @@ const AssetListItem = React.memo(({ vehicle, isSelected, onSelect, alertSeverity
     prevProps.isSelected === nextProps.isSelected &&
     prevProps.alertSeverity === nextProps.alertSeverity &&
     prevProps.alertCount === nextProps.alertCount &&
-    prevProps.isEscalated === nextProps.isEscalated
+    prevProps.isEscalated === nextProps.isEscalated &&
+    prevProps.suppressions === nextProps.suppressions
   );
 });
 
-const AssetList = ({ vehicles, selectedId, onSelect, activeAlerts }) => {
+const AssetList = ({ vehicles, selectedId, onSelect, activeAlerts, suppressedVehicles = {} }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedSearch, setDebouncedSearch] = useState('');
   const [filterStatus, setFilterStatus] = useState('all'); // 'all', 'online', 'offline', 'warning', 'critical'
@@ -312,6 +323,7 @@ const AssetList = ({ vehicles, selectedId, onSelect, activeAlerts }) => {
                 alertSeverity={alertInfo?.severity}
                 alertCount={alertInfo?.count || 0}
                 isEscalated={alertInfo?.isEscalated || false}
+                suppressions={suppressedVehicles[vehicle.vehicle_id]}
               />
             );
           })
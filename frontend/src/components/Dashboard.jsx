@@ -23,6 +23,7 @@ const Dashboard = ({ user, onLogout }) => {
   const [history, setHistory] = useState({});
   const [correlateTime, setCorrelateTime] = useState(null);
   const [isManagementOpen, setIsManagementOpen] = useState(false);
+  const [suppressedVehicles, setSuppressedVehicles] = useState({});
 
   useEffect(() => {
     const fetchData = async () => {
@@ -84,6 +85,21 @@ const Dashboard = ({ user, onLogout }) => {
     fetchData();
   }, []);
 
+  // Poll vehicles under maintenance windows/suppressions for the asset list indicator
+  useEffect(() => {
+    const fetchSuppressions = async () => {
+      try {
+        const res = await axios.get('/api/v1/suppressions/vehicles');
+        setSuppressedVehicles(res.data?.data?.vehicles || {});
+      } catch (error) {
+        console.warn('Failed to fetch suppressed vehicles:', error.message);
+      }
+    };
+    fetchSuppressions();
+    const interval = setInterval(fetchSuppressions, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
   useEffect(() => {
     const socket = socketService.connect();
     
@@ -158,6 +174,26 @@ const Dashboard = ({ user, onLogout }) => {
       handleAlertAcknowledged(data);
     });
 
+    // Listen for ownership, snooze and comment updates
+    socket.on('alert_assigned', (data) => {
+      handleAlertUpdated(data.alert_id, { assignee: data.assignee, assigned_at: data.assigned_at });
+    });
+    socket.on('alert_snoozed', (data) => {
+      handleAlertUpdated(data.alert_id, { snoozed_until: data.snoozed_until, snoozed_by: data.snoozed_by });
+    });
+    socket.on('alert_comment_added', (data) => {
+      setAlerts(prev => prev.map(alert =>
+        alert.alert_id === data.alert_id
+          ? { ...alert, comment_count: (alert.comment_count || 0) + 1 }
+          : alert
+      ));
+    });
+
+    // Listen for escalations of unacknowledged alerts
+    socket.on('alert_escalated', (data) => {
+      handleAlertEscalated(data);
+    });
+
     // Listen for alert summary updates
     socket.on('alert_summary', (data) => {
       // This is a periodic summary - we could use it to trigger stats refresh
@@ -183,10 +219,28 @@ const Dashboard = ({ user, onLogout }) => {
   }, []);
 
   // Handle WebSocket alert acknowledgment updates
+  // Bulk acknowledgements arrive as one event carrying alert_ids
   const handleAlertAcknowledged = useCallback((data) => {
+    const ids = new Set(data.alert_ids || [data.alert_id]);
     setAlerts(prev => prev.map(alert => 
-      alert.alert_id === data.alert_id 
-        ? { ...alert, acknowledged_at: data.acknowledged_at }
+      ids.has(alert.alert_id)
+        ? { ...alert, acknowledged_at: data.acknowledged_at, acknowledged_by: data.acknowledged_by }
+        : alert
+    ));
+  }, []);
+
+  // Merge ownership/snooze changes from WebSocket into an alert
+  const handleAlertUpdated = useCallback((alertId, changes) => {
+    setAlerts(prev => prev.map(alert =>
+      alert.alert_id === alertId ? { ...alert, ...changes } : alert
+    ));
+  }, []);
+
+  // Handle alert escalation from WebSocket
+  const handleAlertEscalated = useCallback((data) => {
+    setAlerts(prev => prev.map(alert =>
+      alert.alert_id === data.alert_id
+        ? { ...alert, escalation_level: data.escalation_level, last_escalated_at: data.escalated_at }
         : alert
     ));
   }, []);
@@ -341,6 +395,7 @@ const Dashboard = ({ user, onLogout }) => {
                 selectedId={selectedVehicleId}
                 onSelect={setSelectedVehicleId}
                 activeAlerts={alerts}
+                suppressedVehicles={suppressedVehicles}
               />
             </section>
           </div>
@@ -407,6 +462,7 @@ const Dashboard = ({ user, onLogout }) => {
                   vehicleId={selectedVehicleId}
                   alerts={alerts}
                   isAdmin={isAdmin}
+                  currentUser={user?.username}
                   onAlertAck={handleAlertAck}
                 />
               ) : (
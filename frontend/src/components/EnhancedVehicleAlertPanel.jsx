@@ -4,7 +4,8 @@ import { formatRelativeTime, formatTime } from '../utils/formatters';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   AlertCircle, AlertTriangle, Info, CheckCircle2, ChevronRight, X, 
-  ShieldAlert, Battery, Thermometer, Zap, Clock, CheckCircle 
+  ShieldAlert, Battery, Thermometer, Zap, Clock, CheckCircle,
+  User, BellOff, MessageSquare, Send
 } from 'lucide-react';
 import { cn } from '../utils/ui-utils';
 
@@ -17,8 +18,9 @@ import { cn } from '../utils/ui-utils';
  * - Grouped by alert type with consolidated view
  * - Resolved alerts visually muted
  * - Critical alerts visually emphasized
+ * - Ownership, snooze and notes show who is handling what
  */
-const EnhancedVehicleAlertPanel = ({ vehicleId, alerts, isAdmin, onAlertAck }) => {
+const EnhancedVehicleAlertPanel = ({ vehicleId, alerts, isAdmin, currentUser, onAlertAck }) => {
   const [acking, setAcking] = useState(null);
   const [expandedType, setExpandedType] = useState(null);
   const [resolvedAlerts, setResolvedAlerts] = useState([]);
@@ -86,13 +88,17 @@ const EnhancedVehicleAlertPanel = ({ vehicleId, alerts, isAdmin, onAlertAck }) =
     };
   }, [alerts, resolvedAlerts, vehicleId]);
 
-  const handleAcknowledge = async (alertId) => {
-    setAcking(alertId);
+  // Acknowledge every open alert of one type on this vehicle in a single bulk request
+  const handleAcknowledge = async (alertType) => {
+    setAcking(alertType);
     try {
-      const response = await axios.post(`/api/v1/alerts/${alertId}/acknowledge`);
+      const response = await axios.post('/api/v1/alerts/acknowledge', {
+        vehicle_id: vehicleId,
+        alert_type: alertType
+      });
       // Only update local state on successful acknowledgment
       if (response.data.status === 'success') {
-        onAlertAck(alertId);
+        response.data.data.alerts.forEach(a => onAlertAck(a.alert_id));
       }
     } catch (error) {
       console.error('Failed to acknowledge alert:', error);
@@ -200,6 +206,7 @@ const EnhancedVehicleAlertPanel = ({ vehicleId, alerts, isAdmin, onAlertAck }) =
                     expandedType === group.type ? null : group.type
                   )}
                   isAdmin={isAdmin}
+                  currentUser={currentUser}
                   isAcking={acking}
                   onAcknowledge={handleAcknowledge}
                   icon={getAlertIcon(group.type)}
@@ -236,6 +243,7 @@ const AlertTypeGroup = ({
   isExpanded, 
   onToggle, 
   isAdmin, 
+  currentUser,
   isAcking, 
   onAcknowledge, 
   icon: Icon,
@@ -244,6 +252,8 @@ const AlertTypeGroup = ({
   const isCritical = group.severity === 'CRITICAL';
   const isWarning = group.severity === 'WARNING';
   const isResolved = !group.isActive;
+  const assignee = group.alerts.find(a => a.assignee)?.assignee;
+  const isSnoozed = group.alerts.some(a => a.snoozed_until && new Date(a.snoozed_until) > new Date());
 
   const severityConfig = {
     critical: {
@@ -327,6 +337,23 @@ const AlertTypeGroup = ({
                 {isResolved ? 'RESOLVED' : (group.alerts.some(a => a.acknowledged_at) ? 'ACKNOWLEDGED' : severityConfig.badge)}
               </span>
               {getStatusBadge(isResolved)}
+              {!isResolved && isSnoozed && (
+                <span className="flex items-center gap-1 text-[9px] font-black px-1.5 py-0.5 rounded bg-slate-700/40 text-slate-400">
+                  <BellOff size={9} />
+                  SNOOZED
+                </span>
+              )}
+              {!isResolved && assignee && (
+                <span className="flex items-center gap-1 text-[9px] font-black px-1.5 py-0.5 rounded bg-ev-blue/20 text-ev-blue">
+                  <User size={9} />
+                  {assignee.toUpperCase()}
+                </span>
+              )}
+              {!isResolved && group.alerts.some(a => a.escalation_level > 0) && (
+                <span className="text-[9px] font-black px-1.5 py-0.5 rounded bg-orange-500/20 text-orange-400">
+                  ESCALATED L{Math.max(...group.alerts.map(a => a.escalation_level || 0))}
+                </span>
+              )}
               <span className={cn(
                 "text-[9px] font-mono",
                 isResolved || group.alerts.some(a => a.acknowledged_at) ? "text-slate-500" : "text-slate-400"
@@ -408,14 +435,18 @@ const AlertTypeGroup = ({
                   )}
                 </div>
 
+                {/* Ownership, snooze and notes for the latest active alert */}
+                {!isResolved && group.alerts[0] && (
+                  <AlertOwnership alert={group.alerts[0]} isAdmin={isAdmin} currentUser={currentUser} />
+                )}
+
                 {/* Admin Actions for Active Alerts */}
                 {!isResolved && isAdmin && !group.alerts.some(a => a.acknowledged_at) && (
                   <div className="pt-3 border-t border-white/5">
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
-                        const firstAlert = group.alerts[0];
-                        if (firstAlert) onAcknowledge(firstAlert.alert_id);
+                        onAcknowledge(group.type);
                       }}
                       disabled={isAcking}
                       className={cn(
@@ -439,4 +470,143 @@ const AlertTypeGroup = ({
   );
 };
 
+/**
+ * Alert Ownership Component - Assignee, snooze and comment thread of one alert
+ * State changes arrive back through socket events merged into the alerts list
+ */
+const AlertOwnership = ({ alert, isAdmin, currentUser }) => {
+  const [comments, setComments] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const isSnoozed = alert.snoozed_until && new Date(alert.snoozed_until) > new Date();
+  const isMine = alert.assignee && alert.assignee === currentUser;
+
+  // Refetch the thread when the alert changes or a comment is added elsewhere
+  React.useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const response = await axios.get(`/api/v1/alerts/${alert.alert_id}/comments`);
+        setComments(response.data.data || []);
+      } catch (error) {
+        console.error('Failed to fetch alert comments:', error);
+      }
+    };
+    fetchComments();
+  }, [alert.alert_id, alert.comment_count]);
+
+  const run = async (request) => {
+    setBusy(true);
+    try {
+      await request();
+    } catch (error) {
+      console.error('Alert update failed:', error);
+      window.alert(error.response?.data?.message || 'Alert update failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleOwnership = (e) => {
+    e.stopPropagation();
+    run(() => isMine
+      ? axios.delete(`/api/v1/alerts/${alert.alert_id}/assign`)
+      : axios.post(`/api/v1/alerts/${alert.alert_id}/assign`));
+  };
+
+  const toggleSnooze = (e) => {
+    e.stopPropagation();
+    run(() => isSnoozed
+      ? axios.delete(`/api/v1/alerts/${alert.alert_id}/snooze`)
+      : axios.post(`/api/v1/alerts/${alert.alert_id}/snooze`, { minutes: 30 }));
+  };
+
+  const submitComment = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!draft.trim()) return;
+    run(async () => {
+      await axios.post(`/api/v1/alerts/${alert.alert_id}/comments`, { body: draft });
+      setDraft('');
+    });
+  };
+
+  return (
+    <div className="pt-3 mt-3 border-t border-white/5 space-y-2" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center justify-between text-[9px]">
+        <span className="text-slate-400">
+          <User size={10} className="inline mr-1" />
+          {alert.assignee ? `Handled by ${alert.assignee}` : 'Unassigned'}
+        </span>
+        {isSnoozed && (
+          <span className="text-slate-500 font-mono">
+            Snoozed until {formatTime(alert.snoozed_until)}
+          </span>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        {(!alert.assignee || isMine || isAdmin) && (
+          <button
+            onClick={toggleOwnership}
+            disabled={busy}
+            className={cn(
+              "flex-1 py-1.5 rounded text-[9px] font-black uppercase tracking-wider bg-ev-blue/20 text-ev-blue hover:bg-ev-blue/30 transition-all",
+              busy && "opacity-50 cursor-not-allowed"
+            )}
+          >
+            {isMine || (isAdmin && alert.assignee) ? 'Release' : 'Take Ownership'}
+          </button>
+        )}
+        <button
+          onClick={toggleSnooze}
+          disabled={busy}
+          className={cn(
+            "flex-1 py-1.5 rounded text-[9px] font-black uppercase tracking-wider bg-white/5 text-slate-300 hover:bg-white/10 transition-all",
+            busy && "opacity-50 cursor-not-allowed"
+          )}
+        >
+          {isSnoozed ? 'Unsnooze' : 'Snooze 30m'}
+        </button>
+      </div>
+
+      <div className="space-y-1 max-h-32 overflow-y-auto">
+        {comments.map(comment => (
+          <div key={comment.comment_id} className="text-[9px] p-2 rounded bg-white/5">
+            <div className="flex justify-between text-slate-500 font-mono">
+              <span>{comment.author}</span>
+              <span>{formatRelativeTime(comment.created_at)}</span>
+            </div>
+            <p className="text-slate-300 mt-0.5 whitespace-pre-wrap">{comment.body}</p>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={submitComment} className="flex gap-2">
+        <div className="relative flex-1">
+          <MessageSquare size={10} className="absolute left-2 top-1/2 -translate-y-1/2 text-slate-500" />
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Add a note..."
+            maxLength={2000}
+            className="w-full bg-white/5 border border-white/10 rounded py-1.5 pl-6 pr-2 text-[10px] text-white placeholder:text-slate-600 focus:outline-none focus:border-ev-blue/50"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busy || !draft.trim()}
+          className={cn(
+            "px-2 rounded bg-ev-blue/20 text-ev-blue hover:bg-ev-blue/30 transition-all",
+            (busy || !draft.trim()) && "opacity-50 cursor-not-allowed"
+          )}
+        >
+          <Send size={10} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
 export default EnhancedVehicleAlertPanel;
\ No newline at end of file
@@ -127,6 +127,8 @@ const CONFIG = {
 // Global state
 let authToken = null;
 let activeSimulators = [];
+// Map<vehicle_id, device token> sent with every telemetry packet
+const deviceTokens = new Map();
 
 // ================================================
 // AUTHENTICATION
@@ -134,7 +136,7 @@ let activeSimulators = [];
 
 /**
  * Authenticate with backend to get JWT token for vehicle registration.
- * Telemetry ingestion does NOT require authentication.
+ * Telemetry ingestion uses per-vehicle device tokens instead (see registerVehicles).
  */
 async function authenticate() {
   try {
@@ -176,6 +178,10 @@ class VehicleSimulator {
     this.circuitResetTime = null;
     this.isPaused = false;
 
+    // Per-vehicle packet sequence (lets the backend drop retried duplicates and count gaps)
+    this.seq = 0;
+    this.simulatorStartedAt = Date.now();
+
     // Statistics tracking
     this.stats = {
       packetsSent: 0,
@@ -329,9 +335,13 @@ class VehicleSimulator {
 
     this.updateState();
 
+    // Retries below resend this same payload, so seq/message_id identify it as a duplicate
+    this.seq++;
     const payload = {
       vehicle_id: this.vehicleId,
       timestamp: Date.now(), // Use milliseconds since epoch for database compatibility
+      seq: this.seq,
+      message_id: `${this.vehicleId}-${this.simulatorStartedAt}-${this.seq}`,
       data: { ...this.state }
     };
 
@@ -341,6 +351,7 @@ class VehicleSimulator {
     while (attempt < CONFIG.MAX_RETRIES && !success) {
       try {
         await axios.post(`${CONFIG.API_URL}/telemetry`, payload, {
+          headers: { 'X-Device-Token': deviceTokens.get(this.vehicleId) },
           timeout: 10000  // 10 second timeout (increased)
         });
 
@@ -513,13 +524,24 @@ class FleetManager {
       const batchResults = await Promise.all(
         batch.map(async (v) => {
           try {
-            await axios.post(`${CONFIG.API_URL}/vehicles`, v, {
+            const response = await axios.post(`${CONFIG.API_URL}/vehicles`, v, {
               headers: { Authorization: `Bearer ${authToken}` },
               timeout: 5000
             });
+            deviceTokens.set(v.vehicle_id, response.data.data.device_token);
             return { status: 'registered', vehicleId: v.vehicle_id };
           } catch (e) {
             if (e.response?.status === 409) {
+              // Already registered: its token was shown once, so rotate to get a fresh one
+              try {
+                const response = await axios.post(`${CONFIG.API_URL}/vehicles/${v.vehicle_id}/credentials/rotate`, {}, {
+                  headers: { Authorization: `Bearer ${authToken}` },
+                  timeout: 5000
+                });
+                deviceTokens.set(v.vehicle_id, response.data.data.device_token);
+              } catch (rotateError) {
+                return { status: 'failed', vehicleId: v.vehicle_id, error: rotateError.response?.data?.message || rotateError.message };
+              }
               return { status: 'existing', vehicleId: v.vehicle_id };
             } else {
               return { status: 'failed', vehicleId: v.vehicle_id, error: e.response?.data?.message || e.message };